@@ -0,0 +1,30 @@
+// Abilities.js - Parkour movement abilities the player can switch on in the main menu
+//
+//   doubleJump  one more jump in the air, refreshed on landing or a wall jump
+//   dash        a short burst along the movement keys (or the view), with a cooldown
+//   wallRun     run along a wall while airborne, holding forward; jump to leap off it
+//   slide       slide at sprint speed, keeping momentum for a moment, with a cooldown
+//
+// Parkour scenarios and level files can set each one to "optional" (the player's choice,
+// the default), "required" (always on) or "forbidden" (always off). The mechanics live in
+// GameCore.js.
+
+export const ABILITIES = {
+    doubleJump: { name: 'DOUBLE JUMP' },
+    dash: { name: 'DASH' },
+    wallRun: { name: 'WALL-RUN' },
+    slide: { name: 'SLIDE' }
+};
+
+export const ABILITY_RULES = ['optional', 'required', 'forbidden'];
+
+// Which abilities a run has: `rules` from the scenario (null for non-parkour scenarios, which
+// have none) applied to the player's `chosen` switches
+export function resolveAbilities(rules, chosen = {}) {
+    const enabled = {};
+    Object.keys(ABILITIES).forEach(ability => {
+        const rule = rules ? rules[ability] : 'forbidden';
+        enabled[ability] = rule === 'required' || (rule === 'optional' && Boolean(chosen[ability]));
+    });
+    return enabled;
+}
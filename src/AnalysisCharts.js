@@ -0,0 +1,177 @@
+// AnalysisCharts.js - Canvas drawing for the end screen shot analysis and spray review
+//
+// The shot charts work in target radii (see ShotAnalysis.js): the target is always the
+// circle of radius 1 at the origin, +x right, +y up. The spray chart works in degrees.
+
+const COLOR_HIT = '#00ffff';
+const COLOR_MISS = '#ff00ff';
+const COLOR_GRID = 'rgba(0, 255, 255, 0.15)';
+const COLOR_TARGET = '#ff0000';
+const COLOR_PATTERN = 'rgba(255, 255, 255, 0.45)';
+
+function setupCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(5, 5, 16, 0.8)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return ctx;
+}
+
+function drawTarget(ctx, cx, cy, scale) {
+    ctx.strokeStyle = COLOR_GRID;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, cy);
+    ctx.lineTo(ctx.canvas.width, cy);
+    ctx.moveTo(cx, 0);
+    ctx.lineTo(cx, ctx.canvas.height);
+    ctx.stroke();
+
+    ctx.strokeStyle = COLOR_TARGET;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, scale, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+function drawEmpty(ctx, text) {
+    ctx.fillStyle = '#888';
+    ctx.font = '14px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, ctx.canvas.width / 2, ctx.canvas.height / 2);
+}
+
+// Density heatmap of shot offsets with the individual shots scattered on top.
+// Shows +/- `range` target radii; shots outside are pinned to the edge.
+export function drawOffsetHeatmap(canvas, shots, range = 4) {
+    const ctx = setupCanvas(canvas);
+    const size = canvas.width;
+    const scale = size / (range * 2);
+    const center = size / 2;
+
+    if (shots.length === 0) {
+        drawEmpty(ctx, 'NO SHOTS');
+        return;
+    }
+
+    // Density grid
+    const bins = 16;
+    const grid = new Array(bins * bins).fill(0);
+    const toBin = (v) => Math.min(bins - 1, Math.max(0, Math.floor((v + range) / (range * 2) * bins)));
+    shots.forEach(shot => {
+        grid[toBin(-shot.y) * bins + toBin(shot.x)]++;
+    });
+    const peak = Math.max(...grid);
+    const cell = size / bins;
+    grid.forEach((count, i) => {
+        if (count === 0) return;
+        ctx.fillStyle = `rgba(255, 0, 255, ${0.15 + 0.5 * count / peak})`;
+        ctx.fillRect((i % bins) * cell, Math.floor(i / bins) * cell, cell, cell);
+    });
+
+    drawTarget(ctx, center, center, scale);
+
+    shots.forEach(shot => {
+        const clampedX = Math.max(-range, Math.min(range, shot.x));
+        const clampedY = Math.max(-range, Math.min(range, shot.y));
+        const pinned = clampedX !== shot.x || clampedY !== shot.y;
+
+        ctx.beginPath();
+        ctx.arc(center + clampedX * scale, center - clampedY * scale, 3, 0, Math.PI * 2);
+        if (pinned) {
+            ctx.strokeStyle = shot.hit ? COLOR_HIT : COLOR_MISS;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        } else {
+            ctx.fillStyle = shot.hit ? COLOR_HIT : COLOR_MISS;
+            ctx.fill();
+        }
+    });
+}
+
+// Aim paths leading into each shot, auto-fitted so the longest flick is visible.
+// Only the most recent `limit` paths are drawn; older ones fade out.
+export function drawFlickPaths(canvas, shots, limit = 30) {
+    const ctx = setupCanvas(canvas);
+    const recent = shots.slice(-limit);
+
+    if (recent.length === 0) {
+        drawEmpty(ctx, 'NO SHOTS');
+        return;
+    }
+
+    let extent = 2;
+    recent.forEach(shot => shot.path.forEach(([x, y]) => {
+        extent = Math.max(extent, Math.abs(x), Math.abs(y));
+    }));
+
+    const size = canvas.width;
+    const scale = (size / 2 - 10) / extent;
+    const center = size / 2;
+
+    drawTarget(ctx, center, center, Math.max(2, scale));
+
+    recent.forEach((shot, i) => {
+        ctx.globalAlpha = 0.25 + 0.75 * (i + 1) / recent.length;
+        ctx.strokeStyle = shot.hit ? COLOR_HIT : COLOR_MISS;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        shot.path.forEach(([x, y], j) => {
+            const px = center + x * scale;
+            const py = center - y * scale;
+            if (j === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+
+        const [endX, endY] = shot.path[shot.path.length - 1];
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.beginPath();
+        ctx.arc(center + endX * scale, center - endY * scale, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+}
+
+// One spray (see SprayRecorder.js): the weapon's raw pattern as a faint numbered line and
+// the bullets on top, around the target centre. Auto-fitted to whichever reaches further.
+export function drawSprayPattern(canvas, spray) {
+    const ctx = setupCanvas(canvas);
+
+    let extent = 2;
+    [...spray.pattern, ...spray.shots.map(shot => [shot.x, shot.y])].forEach(([x, y]) => {
+        extent = Math.max(extent, Math.abs(x), Math.abs(y));
+    });
+
+    const size = canvas.width;
+    const scale = (size / 2 - 12) / extent;
+    const center = size / 2;
+    const toCanvas = ([x, y]) => [center + x * scale, center - y * scale];
+
+    drawTarget(ctx, center, center, 4);
+
+    ctx.strokeStyle = COLOR_PATTERN;
+    ctx.fillStyle = COLOR_PATTERN;
+    ctx.lineWidth = 1;
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'left';
+    ctx.beginPath();
+    spray.pattern.forEach((point, i) => {
+        const [px, py] = toCanvas(point);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+    spray.pattern.forEach((point, i) => {
+        const [px, py] = toCanvas(point);
+        ctx.fillText(String(i + 1), px + 4, py + 3);
+    });
+
+    spray.shots.forEach(shot => {
+        const [px, py] = toCanvas([shot.x, shot.y]);
+        ctx.fillStyle = shot.hit ? COLOR_HIT : COLOR_MISS;
+        ctx.beginPath();
+        ctx.arc(px, py, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
@@ -0,0 +1,289 @@
+// Crosshair.js - Crosshair settings, drawing, dynamic gap and share codes
+//
+// A crosshair is a plain object (sizes in CSS pixels):
+//   length     line length (0 = no lines)      thickness  line and dot width
+//   gap        distance of the lines from the centre
+//   dot        centre dot                       outline    black outline width (0 = none)
+//   color      "#rrggbb"                        opacity    0.1 .. 1
+//   tStyle     no top line                      circle     ring radius (0 = none)
+//   dynamic    gap widens while moving, sprinting and firing (see DynamicGap)
+//
+// Share codes are either our own "XH1-" codes, which hold every field, or CS2 crosshair
+// codes ("CSGO-xxxxx-..."), which hold everything but the ring. CS2 sizes are converted
+// as they look at 1080p, so imported crosshairs match closely rather than exactly.
+
+export const CROSSHAIR_PRESETS = {
+    dot: { length: 0, thickness: 6, gap: 0, dot: true, outline: 0, color: '#00ffff', opacity: 1, tStyle: false, circle: 0, dynamic: false },
+    cross: { length: 9, thickness: 2, gap: 0, dot: false, outline: 0, color: '#00ffff', opacity: 1, tStyle: false, circle: 0, dynamic: false },
+    circle: { length: 0, thickness: 2, gap: 0, dot: false, outline: 0, color: '#00ffff', opacity: 1, tStyle: false, circle: 10, dynamic: false }
+};
+
+export const DEFAULT_CROSSHAIR = CROSSHAIR_PRESETS.dot;
+
+// [min, max] of the numeric fields
+export const CROSSHAIR_LIMITS = {
+    length: [0, 40],
+    thickness: [1, 10],
+    gap: [0, 40],
+    outline: [0, 3],
+    opacity: [0.1, 1],
+    circle: [0, 40]
+};
+
+const CODE_PREFIX = 'XH1-';
+const CODE_FIELDS = ['length', 'thickness', 'gap', 'dot', 'outline', 'color', 'opacity', 'tStyle', 'dynamic', 'circle'];
+
+// Dynamic gap in pixels: full walking speed, full sprint speed, per shot (capped) and
+// how fast the firing part closes again (px/s)
+const MOVE_GAP = 4;
+const SPRINT_GAP = 8;
+const FIRE_GAP = 3;
+const MAX_FIRE_GAP = 12;
+const FIRE_RECOVERY = 40;
+const MOVE_RESPONSE = 12; // 1/s; how quickly the movement part follows the speed
+
+export class CrosshairError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CrosshairError';
+    }
+}
+
+// Complete crosshair from a possibly partial or hand-edited object, or a preset name
+export function normalizeCrosshair(data) {
+    if (typeof data === 'string') data = CROSSHAIR_PRESETS[data];
+    const source = data && typeof data === 'object' ? data : {};
+    const crosshair = {};
+
+    Object.entries(DEFAULT_CROSSHAIR).forEach(([field, fallback]) => {
+        const value = source[field];
+        if (CROSSHAIR_LIMITS[field]) {
+            const [min, max] = CROSSHAIR_LIMITS[field];
+            const valid = typeof value === 'number' && Number.isFinite(value);
+            // Sizes are whole pixels so lines stay sharp
+            const clamped = valid ? Math.min(max, Math.max(min, value)) : fallback;
+            crosshair[field] = field === 'opacity' ? clamped : Math.round(clamped);
+        } else if (field === 'color') {
+            crosshair[field] = typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+        } else {
+            crosshair[field] = typeof value === 'boolean' ? value : fallback;
+        }
+    });
+    return crosshair;
+}
+
+// Draws `crosshair` centred on `canvas`, resizing the canvas to fit. `extraGap` is the
+// current dynamic gap in pixels. Opacity is applied to the whole canvas so the outline
+// doesn't show through the lines.
+export function drawCrosshair(canvas, crosshair, extraGap = 0) {
+    const { length, thickness, outline, circle } = crosshair;
+    const gap = crosshair.gap + extraGap;
+    const radius = Math.ceil(Math.max(length > 0 ? gap + length : 0, circle + thickness, thickness) + outline) + 1;
+    const size = radius * 2;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(size * ratio);
+    canvas.height = Math.round(size * ratio);
+    canvas.style.width = `${size}px`;
+    canvas.style.height = `${size}px`;
+    canvas.style.opacity = crosshair.opacity;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+
+    // Odd thicknesses are centred on a pixel instead of between two, so edges stay sharp
+    const centre = radius + (thickness % 2) / 2;
+    const half = thickness / 2;
+    const rects = [];
+    if (length > 0) {
+        if (!crosshair.tStyle) rects.push([centre - half, centre - gap - length, thickness, length]);
+        rects.push([centre - half, centre + gap, thickness, length]);
+        rects.push([centre - gap - length, centre - half, length, thickness]);
+        rects.push([centre + gap, centre - half, length, thickness]);
+    }
+    if (crosshair.dot) rects.push([centre - half, centre - half, thickness, thickness]);
+
+    const drawRing = (width, style) => {
+        if (circle <= 0) return;
+        ctx.lineWidth = width;
+        ctx.strokeStyle = style;
+        ctx.beginPath();
+        ctx.arc(centre, centre, circle, 0, Math.PI * 2);
+        ctx.stroke();
+    };
+
+    if (outline > 0) {
+        ctx.fillStyle = '#000000';
+        rects.forEach(([x, y, w, h]) => ctx.fillRect(x - outline, y - outline, w + outline * 2, h + outline * 2));
+        drawRing(thickness + outline * 2, '#000000');
+    }
+    ctx.fillStyle = crosshair.color;
+    rects.forEach(([x, y, w, h]) => ctx.fillRect(x, y, w, h));
+    drawRing(thickness, crosshair.color);
+}
+
+// Gap added by a dynamic crosshair. Purely visual: actual weapon spread is in Weapons.js.
+export class DynamicGap {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.movement = 0;
+        this.firing = 0;
+    }
+
+    get value() {
+        return this.movement + this.firing;
+    }
+
+    kick() {
+        this.firing = Math.min(MAX_FIRE_GAP, this.firing + FIRE_GAP);
+    }
+
+    // speed: horizontal speed as a fraction of walking speed (0 .. 1)
+    update(delta, speed, sprinting) {
+        const target = speed * (sprinting ? SPRINT_GAP : MOVE_GAP);
+        this.movement += (target - this.movement) * Math.min(1, delta * MOVE_RESPONSE);
+        this.firing = Math.max(0, this.firing - FIRE_RECOVERY * delta);
+    }
+}
+
+// --- Share codes ---
+
+// Field values in CODE_FIELDS order, as stored in "XH1-" codes and profile codes
+export function packCrosshair(crosshair) {
+    return CODE_FIELDS.map(field => {
+        const value = crosshair[field];
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (field === 'color') return value.slice(1);
+        if (field === 'opacity') return Math.round(value * 100);
+        return value;
+    });
+}
+
+export function unpackCrosshair(packed) {
+    const data = {};
+    CODE_FIELDS.forEach((field, i) => {
+        const value = packed[i];
+        if (typeof DEFAULT_CROSSHAIR[field] === 'boolean') data[field] = value === 1;
+        else if (field === 'color') data[field] = `#${value}`;
+        else if (field === 'opacity') data[field] = typeof value === 'number' ? value / 100 : undefined;
+        else data[field] = value;
+    });
+    return normalizeCrosshair(data);
+}
+
+export function crosshairToCode(crosshair) {
+    return CODE_PREFIX + packCrosshair(crosshair).join('.');
+}
+
+// Reads either code format; throws a CrosshairError for anything else
+export function crosshairFromCode(code) {
+    const trimmed = typeof code === 'string' ? code.trim() : '';
+    if (trimmed.toUpperCase().startsWith(CS2_PREFIX)) return crosshairFromCS2Code(trimmed);
+    if (!trimmed.startsWith(CODE_PREFIX)) {
+        throw new CrosshairError(`Crosshair codes start with "${CODE_PREFIX}" or "${CS2_PREFIX}"`);
+    }
+
+    const values = trimmed.slice(CODE_PREFIX.length).split('.');
+    if (values.length !== CODE_FIELDS.length) throw new CrosshairError('Crosshair code is damaged or incomplete');
+    return unpackCrosshair(values.map((value, i) => CODE_FIELDS[i] === 'color' ? value : Number(value)));
+}
+
+// --- CS2 codes ---
+//
+// 18 bytes written as a base-57 number (least significant digit first) in five groups of
+// five characters. Byte 0 is a checksum of the others; the crosshair fields used here:
+//   2 gap * 10 (signed)   3 outline * 2   4-7 red, green, blue, alpha
+//   10 colour preset (bits 0-2), outline on (bit 3)   12 thickness * 10
+//   13 style (bits 1-3), dot (bit 4), alpha on (bit 6), T style (bit 7)
+//   14-15 length * 10 (13 bits, little endian)
+
+const CS2_PREFIX = 'CSGO-';
+const CS2_ALPHABET = 'ABCDEFGHJKLMNOPQRSTUVWXYZabcdefhijkmnopqrstuvwxyz23456789';
+const CS2_BYTES = 18;
+const CS2_COLORS = ['#fa3232', '#32fa32', '#fafa32', '#3232fa', '#32fafa']; // Presets 0-4; 5 = custom
+const CS2_CUSTOM_COLOR = 5;
+const CS2_DYNAMIC_STYLES = [0, 2, 3, 5]; // Default, classic, classic dynamic, legacy
+const CS2_STATIC_STYLE = 4;
+const CS2_DYNAMIC_STYLE = 3;
+// At 1080p one CS2 size unit is about two pixels, and a gap of -4 closes the lines
+const CS2_SCALE = 2;
+const CS2_GAP_OFFSET = 4;
+
+function toHex(value) {
+    return value.toString(16).padStart(2, '0');
+}
+
+export function crosshairFromCS2Code(code) {
+    const digits = code.trim().slice(CS2_PREFIX.length).replace(/-/g, '');
+    if (digits.length !== 25) throw new CrosshairError('CS2 crosshair code is damaged or incomplete');
+
+    let number = 0n;
+    for (const char of [...digits].reverse()) {
+        const digit = CS2_ALPHABET.indexOf(char);
+        if (digit < 0) throw new CrosshairError(`"${char}" can't appear in a CS2 crosshair code`);
+        number = number * 57n + BigInt(digit);
+    }
+
+    const bytes = [];
+    for (let i = 0; i < CS2_BYTES; i++) {
+        bytes.unshift(Number(number & 0xffn));
+        number >>= 8n;
+    }
+    const checksum = bytes.slice(1).reduce((sum, byte) => sum + byte, 0) % 256;
+    if (number !== 0n || bytes[0] !== checksum) throw new CrosshairError('CS2 crosshair code is damaged or incomplete');
+
+    const gap = (bytes[2] << 24 >> 24) / 10;
+    const outline = bytes[3] / 2;
+    const colorPreset = bytes[10] & 7;
+    const style = (bytes[13] & 0xf) >> 1;
+    const alphaEnabled = (bytes[13] & 0x40) !== 0;
+    const length = (((bytes[15] & 0x1f) << 8) + bytes[14]) / 10;
+
+    return normalizeCrosshair({
+        length: length * CS2_SCALE,
+        thickness: Math.max(1, (bytes[12] / 10) * CS2_SCALE),
+        gap: Math.max(0, (gap + CS2_GAP_OFFSET) * CS2_SCALE),
+        dot: (bytes[13] & 0x10) !== 0,
+        outline: (bytes[10] & 8) !== 0 ? Math.max(1, outline) : 0,
+        color: colorPreset === CS2_CUSTOM_COLOR || !CS2_COLORS[colorPreset]
+            ? `#${toHex(bytes[4])}${toHex(bytes[5])}${toHex(bytes[6])}`
+            : CS2_COLORS[colorPreset],
+        opacity: alphaEnabled ? bytes[7] / 255 : 1,
+        tStyle: (bytes[13] & 0x80) !== 0,
+        circle: 0,
+        dynamic: CS2_DYNAMIC_STYLES.includes(style)
+    });
+}
+
+export function crosshairToCS2Code(crosshair) {
+    const color = parseInt(crosshair.color.slice(1), 16);
+    const length = Math.round((crosshair.length / CS2_SCALE) * 10);
+    const style = crosshair.dynamic ? CS2_DYNAMIC_STYLE : CS2_STATIC_STYLE;
+
+    const bytes = new Array(CS2_BYTES).fill(0);
+    bytes[1] = 1;
+    bytes[2] = Math.round((crosshair.gap / CS2_SCALE - CS2_GAP_OFFSET) * 10) & 0xff;
+    bytes[3] = crosshair.outline * 2;
+    bytes[4] = (color >> 16) & 0xff;
+    bytes[5] = (color >> 8) & 0xff;
+    bytes[6] = color & 0xff;
+    bytes[7] = Math.round(crosshair.opacity * 255);
+    bytes[10] = CS2_CUSTOM_COLOR | (crosshair.outline > 0 ? 8 : 0);
+    bytes[12] = Math.round((crosshair.thickness / CS2_SCALE) * 10);
+    bytes[13] = (style << 1) | (crosshair.dot ? 0x10 : 0) | 0x40 | (crosshair.tStyle ? 0x80 : 0);
+    bytes[14] = length & 0xff;
+    bytes[15] = (length >> 8) & 0x1f;
+    bytes[0] = bytes.slice(1).reduce((sum, byte) => sum + byte, 0) % 256;
+
+    let number = bytes.reduce((total, byte) => (total << 8n) | BigInt(byte), 0n);
+    let digits = '';
+    for (let i = 0; i < 25; i++) {
+        digits += CS2_ALPHABET[Number(number % 57n)];
+        number /= 57n;
+    }
+    return CS2_PREFIX + digits.match(/.{5}/g).join('-');
+}
@@ -5,9 +5,46 @@ import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { Target } from './Target.js';
 import { Weapon } from './Weapon.js';
-import { SoundManager } from './SoundManager.js';
+import { SoundManager, SOUND_CATEGORIES } from './SoundManager.js';
+import { SoundPackLibrary, SoundPackError, SOUND_EVENTS, readSoundPack } from './SoundPacks.js';
+import { Random } from './Random.js';
+import { parseScenario, sortScenarios } from './Scenario.js';
+import { builtInScenarios } from './scenarios/index.js';
+import { RunHistory } from './RunHistory.js';
+import { ShotAnalysis } from './ShotAnalysis.js';
+import { drawOffsetHeatmap, drawFlickPaths, drawSprayPattern } from './AnalysisCharts.js';
+import { INPUT, serializeReplay, parseReplay } from './Replay.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { LevelEditor, BEHAVIOUR_PRESETS, blankLevel } from './LevelEditor.js';
+import { LevelLibrary, LevelError, levelScenario, parseLevel, serializeLevel } from './Level.js';
+import { ParkourRecords, levelKey, ghostPath } from './ParkourRecords.js';
+import { Ghost } from './Ghost.js';
+import { PLATFORM_KINDS } from './Platform.js';
+import { ABILITIES, ABILITY_RULES } from './Abilities.js';
+import { GameCore, FIXED_STEP, EYE_HEIGHT } from './GameCore.js';
+import {
+    BROWSER_YAW, GAME_PRESETS, MATCH_MODES, horizontalFov, cmPer360, inchesPer360, convertFromGame
+} from './Sensitivity.js';
+import { WEAPONS } from './Weapons.js';
+import { SprayRecorder } from './SprayRecorder.js';
+import { InputBindings, ACTIONS, BINDING_SLOTS } from './InputBindings.js';
+import { SettingsProfiles, SettingsError, SENSITIVITY_RANGE } from './Settings.js';
+import { CROSSHAIR_PRESETS, CrosshairError, DynamicGap, drawCrosshair, crosshairToCode, crosshairToCS2Code, crosshairFromCode } from './Crosshair.js';
+
+// Game.js - Browser adapter around GameCore: rendering, pointer-lock input, sounds and menus.
+// All game rules live in GameCore; this feeds it input once per tick and presents the result.
+
+const MAX_FRAME_TIME = 0.25; // Clamp long frames (tab switches) so we don't spiral
+const FOV = 75; // Vertical, degrees
+const ZOOM_FACTOR = 0.5; // FOV and sensitivity multiplier while zoomed
+const COUNTDOWN_SECONDS = 5; // A tick plays for each of the last seconds of a timed run
+const MOVING_CUE_INTERVAL = 0.6; // Seconds between location cues of moving targets
+const MOVING_CUE_DISTANCE = 0.05; // Minimum movement between cues to count as moving
+const CRUMBLE_SHAKE = 0.15; // How far crumbling platforms shake, in units
+
+const _listenerForward = new THREE.Vector3();
+const _listenerUp = new THREE.Vector3();
 
 export class Game {
     constructor(container) {
@@ -16,16 +53,14 @@ export class Game {
         this.height = window.innerHeight;
 
         // Game State
-        this.score = 0;
-        this.gameMode = 'static'; // 'static', 'tracking', or 'parkour'
-        this.targets = [];
-        this.lastSpawnTime = 0;
+        this.scenarios = [...builtInScenarios];
+        this.scenario = this.scenarios[0]; // Active scenario definition (see Scenario.js)
+        this.seed = Random.randomSeed(); // Seed of the current/last run (see Random.js)
 
-        // Parkour Mode State
+        // Parkour platform meshes, built from the core's level data
         this.parkourPlatforms = [];
-        this.goalPlatform = null;
-        this.parkourStartTime = 0;
-        this.startPlatformY = 2;
+        this.platformMeshes = []; // By core platform index, posed every frame
+        this.checkpointRings = []; // By checkpoint index, recoloured once reached
 
         // GLB Model Loader
         this.gltfLoader = new GLTFLoader();
@@ -39,18 +74,117 @@ export class Game {
         this.menuEl = document.getElementById('main-menu');
         this.pauseEl = document.getElementById('pause-menu');
         this.settingsEl = document.getElementById('settings-menu');
+        this.bindingsListEl = document.getElementById('bindings-list');
+        this.bindingsWarningEl = document.getElementById('bindings-warning');
+        this.instructionsEl = document.getElementById('instructions');
+        this.volumeSlider = document.getElementById('volume-slider');
+        this.volumeValue = document.getElementById('volume-value');
+        this.volumeCategoriesEl = document.getElementById('volume-categories');
+        this.soundPackSelectEl = document.getElementById('sound-pack-select');
+        this.soundPackDropEl = document.getElementById('sound-pack-drop');
+        this.soundPackFileInput = document.getElementById('sound-pack-files');
+        this.soundPackInfoEl = document.getElementById('sound-pack-info');
+        this.soundPackErrorEl = document.getElementById('sound-pack-error');
+        this.profileSelectEl = document.getElementById('profile-select');
+        this.profileNameEl = document.getElementById('profile-name');
+        this.profileCodeEl = document.getElementById('profile-code');
+        this.profileFileInput = document.getElementById('profile-file');
+        this.profileErrorEl = document.getElementById('profile-error');
         this.endScreenEl = document.getElementById('end-screen');
         this.hudEl = document.getElementById('hud');
         this.crosshairEl = document.getElementById('crosshair');
+        this.crosshairPreviewEl = document.getElementById('crosshair-preview');
+        this.crosshairPreviewBg = document.getElementById('crosshair-preview-bg');
+        this.crosshairFieldEls = document.querySelectorAll('[data-crosshair]');
+        this.crosshairCodeEl = document.getElementById('crosshair-code');
+        this.crosshairErrorEl = document.getElementById('crosshair-error');
         this.heightEl = document.getElementById('height');
+        this.ammoEl = document.getElementById('ammo');
+        this.sprayReviewEl = document.getElementById('spray-review');
+        this.sprayCanvas = document.getElementById('spray-canvas');
+        this.sprayErrorEl = document.getElementById('spray-error');
+        this.splitsEl = document.getElementById('splits');
+        this.abilitiesEl = document.getElementById('abilities');
+        this.abilityTogglesEl = document.getElementById('ability-toggles');
+        this.weaponSelectEl = document.getElementById('weapon-select');
         this.sensSlider = document.getElementById('sens-slider');
+        [this.sensSlider.min, this.sensSlider.max] = SENSITIVITY_RANGE;
         this.sensValue = document.getElementById('sens-value');
+        this.sensReadoutEl = document.getElementById('sens-readout');
+        this.sensDpiEl = document.getElementById('sens-dpi');
+        this.sensGameEl = document.getElementById('sens-game');
+        this.sensGameValueEl = document.getElementById('sens-game-value');
+        this.sensGameYawEl = document.getElementById('sens-game-yaw');
+        this.sensGameFovEl = document.getElementById('sens-game-fov');
+        this.sensMatchEl = document.getElementById('sens-match');
+        this.sensGameReadoutEl = document.getElementById('sens-game-readout');
+        this.sensApplyBtn = document.getElementById('btn-sens-apply');
+        this.seedInput = document.getElementById('seed-input');
+        this.scenarioListEl = document.getElementById('scenario-list');
+        this.menuErrorEl = document.getElementById('menu-error');
+        this.scenarioFileInput = document.getElementById('scenario-file');
 
         // Stats Elements
         this.finalScoreEl = document.getElementById('final-score');
         this.finalAccuracyEl = document.getElementById('final-accuracy');
         this.finalHitsEl = document.getElementById('final-hits');
         this.finalMissesEl = document.getElementById('final-misses');
+        this.finalSeedEl = document.getElementById('final-seed');
+        this.finalScoreLabelEl = document.getElementById('final-score-label');
+        this.finalPbEl = document.getElementById('final-pb');
+        this.newPbEl = document.getElementById('new-pb');
+        this.finalReactionEl = document.getElementById('final-reaction');
+        this.finalTtkEl = document.getElementById('final-ttk');
+        this.finalKpsEl = document.getElementById('final-kps');
+        this.finalStreakEl = document.getElementById('final-streak');
+        this.finalTtkChartEl = document.getElementById('final-ttk-chart');
+        this.finalZonesItemEl = document.getElementById('final-zones-item');
+        this.finalZonesEl = document.getElementById('final-zones');
+        this.finalLeadItemEl = document.getElementById('final-lead-item');
+        this.finalLeadEl = document.getElementById('final-lead');
+        this.analysisPanelEl = document.getElementById('analysis-panel');
+        this.offsetCanvas = document.getElementById('offset-canvas');
+        this.pathCanvas = document.getElementById('path-canvas');
+        this.missSummaryEl = document.getElementById('miss-summary');
+
+        // History Elements
+        this.historyEl = document.getElementById('history-menu');
+        this.historyListEl = document.getElementById('history-list');
+        this.historyScenarioEl = document.getElementById('history-scenario');
+        this.historyDurationEl = document.getElementById('history-duration');
+        this.historyWeaponEl = document.getElementById('history-weapon');
+
+        // Replay Elements
+        this.replayControlsEl = document.getElementById('replay-controls');
+        this.replayPlayBtn = document.getElementById('btn-replay-play');
+        this.replayViewBtn = document.getElementById('btn-replay-view');
+        this.replaySpeedEl = document.getElementById('replay-speed');
+        this.replayScrubEl = document.getElementById('replay-scrub');
+        this.replayTimeEl = document.getElementById('replay-time');
+        this.replayInputEl = document.getElementById('replay-input');
+        this.replayFileInput = document.getElementById('replay-file');
+
+        // Level Editor Elements
+        this.levelSelectEl = document.getElementById('level-select');
+        this.editorPanelEl = document.getElementById('editor-panel');
+        this.editorNameEl = document.getElementById('editor-name');
+        this.editorErrorEl = document.getElementById('editor-error');
+        this.editorGoalBtn = document.getElementById('btn-editor-goal');
+        this.editorCheckpointBtn = document.getElementById('btn-editor-checkpoint');
+        this.editorAbilitiesEl = document.getElementById('editor-abilities');
+        this.editorBehaviourEl = document.getElementById('editor-behaviour');
+        this.levelFileInput = document.getElementById('level-file');
+
+        // Run History (persisted in localStorage)
+        this.runHistory = new RunHistory();
+
+        // Hand-made parkour levels saved from the editor
+        this.levels = new LevelLibrary();
+        this.isTestingLevel = false; // Playing the editor's level; quitting returns to the editor
+
+        // Best splits and ghost of the best run, per parkour level
+        this.parkourRecords = new ParkourRecords();
+        this.bestSplits = []; // Of the current level, as they were when the run started
 
         // Scene
         this.scene = new THREE.Scene();
@@ -58,13 +192,9 @@ export class Game {
         this.scene.fog = new THREE.FogExp2(0x050510, 0.035);
 
         // Camera
-        this.camera = new THREE.PerspectiveCamera(75, this.width / this.height, 0.1, 1000);
+        this.camera = new THREE.PerspectiveCamera(FOV, this.width / this.height, 0.1, 1000);
         this.camera.position.y = 1.6;
 
-        // Raycaster
-        this.raycaster = new THREE.Raycaster();
-        this.center = new THREE.Vector2(0, 0);
-
         // Optimized Renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: "high-performance" });
         this.renderer.setSize(this.width, this.height);
@@ -97,27 +227,79 @@ export class Game {
         this.camera.add(this.weapon);
         this.scene.add(this.camera); // Add camera to scene so weapon children renders
 
+        // Simulation (shares the scene and camera so targets render and aim follows the mouse)
+        this.core = new GameCore({ scene: this.scene, camera: this.camera });
+        this.core.addEventListener('levelchange', () => this.buildParkourLevel());
+        this.core.addEventListener('spawn', (e) => this.soundManager.playTargetSpawn(e.spawned.mesh.position));
+        this.core.addEventListener('shot', (e) => {
+            // Projectiles were already fired (and are visible) since their 'launch'
+            if (!e.projectile) {
+                this.weapon.shoot();
+                this.createBulletTracer(e.origin, e.direction);
+                this.soundManager.playShoot();
+                this.dynamicGap.kick();
+            }
+            if (e.hit) this.soundManager.playHit();
+            else this.soundManager.playMiss();
+        });
+        this.core.addEventListener('launch', () => {
+            this.weapon.shoot();
+            this.soundManager.playShoot();
+            this.dynamicGap.kick();
+        });
+        this.core.addEventListener('spray', (e) => {
+            if (this.scenario.sprayReview) this.showSprayReview(e.spray);
+        });
+        this.core.addEventListener('dryfire', () => this.soundManager.playEmpty());
+        this.core.addEventListener('reload', (e) => {
+            this.weapon.setReloading(!e.done);
+            if (!e.done) this.soundManager.playReload();
+        });
+        this.core.addEventListener('checkpoint', (e) => this.showSplit(e.index, e.time));
+        this.core.addEventListener('ability', (e) => this.soundManager.playAbility(e.ability));
+        this.core.addEventListener('end', (e) => {
+            if (e.completed) this.winParkour();
+            else this.endGame();
+        });
+
         // Game State
         this.isPlaying = false;
         this.isPaused = false;
         this.isGameOver = false;
         this.sensitivity = 1.0;
-        this.gameDuration = 60; // Default
-        this.timeLeft = 60;
-        this.canJump = false;
-
-        // Stats
-        this.shotsFired = 0;
-        this.shotsHit = 0;
-
-        // Move state
-        this.moveForward = false;
-        this.moveBackward = false;
-        this.moveLeft = false;
-        this.moveRight = false;
-        this.isSprinting = false;
-        this.velocity = new THREE.Vector3();
-        this.direction = new THREE.Vector3();
+        this.gameDuration = 60;
+
+        // Settings profiles (persisted in localStorage); applied at the end of setup
+        this.profiles = new SettingsProfiles();
+        this.soundPacks = new SoundPackLibrary();
+        this.crosshair = null;
+        this.dynamicGap = new DynamicGap();
+        this.drawnGap = 0; // Dynamic gap the HUD crosshair was last drawn with
+
+        // Input for the next simulation tick: held keys/buttons plus one-shot presses
+        this.input = {
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            sprint: false,
+            trigger: false,
+            slide: false,
+            zoom: false,
+            jump: false,
+            dash: false,
+            fire: false,
+            reload: false
+        };
+
+        // Keys and mouse buttons per action (see InputBindings.js); bindingCapture is the
+        // { action, slot } waiting for a new input in the settings menu
+        this.bindings = new InputBindings(window.localStorage, this.profiles.active);
+        this.bindingCapture = null;
+        this.isZoomed = false;
+
+        // Fixed timestep state (see animate())
+        this.accumulator = 0;
 
         // Clock
         this.clock = new THREE.Clock();
@@ -130,15 +312,38 @@ export class Game {
         document.addEventListener('keydown', this.onKeyDown.bind(this));
         document.addEventListener('keyup', this.onKeyUp.bind(this));
         document.addEventListener('mousedown', this.onMouseDown.bind(this));
+        document.addEventListener('mouseup', (e) => this.onInput(`Mouse${e.button}`, false));
+        document.addEventListener('contextmenu', (e) => {
+            if (this.controls.isLocked || this.bindingCapture) e.preventDefault(); // Right mouse is bindable
+        });
 
         // --- Menu Listeners ---
-        // Main Menu
-        document.getElementById('btn-static').addEventListener('click', () => this.startGame('static'));
-        document.getElementById('btn-tracking').addEventListener('click', () => this.startGame('tracking'));
-        document.getElementById('btn-parkour').addEventListener('click', () => this.startGame('parkour'));
+        // Main Menu (scenario buttons are generated from this.scenarios)
+        this.buildScenarioMenu();
+        document.getElementById('btn-load-scenario').addEventListener('click', () => this.scenarioFileInput.click());
+        this.scenarioFileInput.addEventListener('change', (e) => this.loadScenarioFile(e.target.files[0]));
         document.getElementById('btn-settings-main').addEventListener('click', () => this.openSettings('main'));
+        document.getElementById('btn-history').addEventListener('click', () => this.openHistory());
+        document.getElementById('btn-load-replay').addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', (e) => this.loadReplayFile(e.target.files[0]));
         document.getElementById('btn-restart').addEventListener('click', () => this.quitToMain());
         document.getElementById('btn-retry').addEventListener('click', () => this.retryGame()); // Retry Listener
+        document.getElementById('btn-new-seed').addEventListener('click', () => this.startGame(this.scenario, Random.randomSeed()));
+        document.getElementById('btn-watch-replay').addEventListener('click', () => this.watchReplay(this.lastReplay, 'end'));
+        document.getElementById('btn-save-replay').addEventListener('click', () => this.saveReplay(this.lastReplay));
+
+        // Replay Controls
+        this.replayPlayBtn.addEventListener('click', () => this.replayPlayer.togglePlay());
+        this.replayViewBtn.addEventListener('click', () => {
+            this.replayPlayer.setView(this.replayPlayer.view === 'first' ? 'free' : 'first');
+            this.crosshairEl.style.display = this.replayPlayer.view === 'first' ? 'block' : 'none';
+            this.replayViewBtn.textContent = this.replayPlayer.view === 'first' ? 'FREE CAM' : 'FIRST PERSON';
+        });
+        this.replaySpeedEl.addEventListener('change', (e) => this.replayPlayer.setSpeed(parseFloat(e.target.value)));
+        this.replayScrubEl.addEventListener('input', (e) => {
+            this.replayPlayer.seek(parseFloat(e.target.value) / 1000 * this.replayPlayer.duration);
+        });
+        document.getElementById('btn-replay-exit').addEventListener('click', () => this.exitReplay());
 
         // Pause Menu
         document.getElementById('btn-resume').addEventListener('click', () => this.resumeGame());
@@ -148,35 +353,126 @@ export class Game {
         // Settings Menu
         document.getElementById('btn-back').addEventListener('click', () => this.closeSettings());
 
+        // Controls (rebinding: click a slot, then press a key or mouse button)
+        this.buildBindingsMenu();
+        document.getElementById('btn-bindings-reset').addEventListener('click', () => {
+            this.bindings.reset();
+            this.renderBindings();
+        });
+        this.settingsEl.addEventListener('mousedown', (e) => {
+            if (!this.bindingCapture) return;
+            e.preventDefault();
+            this.finishBindingCapture(`Mouse${e.button}`);
+        });
+
+        // History Menu
+        document.getElementById('btn-history-back').addEventListener('click', () => this.closeHistory());
+        document.getElementById('btn-history-clear').addEventListener('click', () => {
+            this.runHistory.clear(this.getHistoryFilter());
+            this.openHistory();
+        });
+        this.historyScenarioEl.addEventListener('change', () => this.renderHistory());
+        this.historyDurationEl.addEventListener('change', () => this.renderHistory());
+        this.historyWeaponEl.addEventListener('change', () => this.renderHistory());
+
         // Sensitivity
-        this.sensSlider.addEventListener('input', (e) => {
-            this.sensitivity = parseFloat(e.target.value);
-            this.sensValue.textContent = this.sensitivity.toFixed(1);
-            this.controls.pointerSpeed = this.sensitivity;
+        this.sensSlider.addEventListener('input', (e) => this.setSensitivity(parseFloat(e.target.value)));
+
+        // Volume
+        this.volumeSlider.addEventListener('input', (e) => this.setVolume(parseFloat(e.target.value)));
+        this.buildVolumeSliders();
+
+        // Sound packs
+        this.soundPackSelectEl.addEventListener('change', () => this.selectSoundPack(this.soundPackSelectEl.value || null));
+        document.getElementById('btn-sound-pack-delete').addEventListener('click', () => this.deleteSoundPack());
+        document.getElementById('btn-sound-pack-load').addEventListener('click', () => this.soundPackFileInput.click());
+        this.soundPackFileInput.addEventListener('change', (e) => this.importSoundPack(e.target.files));
+        this.soundPackDropEl.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.soundPackDropEl.classList.add('dragging');
+        });
+        this.soundPackDropEl.addEventListener('dragleave', () => this.soundPackDropEl.classList.remove('dragging'));
+        this.soundPackDropEl.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.soundPackDropEl.classList.remove('dragging');
+            this.importSoundPack(e.dataTransfer.files);
         });
 
+        // Menu clicks (the first one also unlocks audio)
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('button')) return;
+            this.soundManager.init();
+            this.soundManager.playClick();
+        });
+
+        // Profiles
+        this.profileSelectEl.addEventListener('change', () => this.switchProfile(this.profileSelectEl.value));
+        document.getElementById('btn-profile-new').addEventListener('click', () => this.createProfile());
+        document.getElementById('btn-profile-delete').addEventListener('click', () => this.deleteProfile());
+        document.getElementById('btn-profile-copy-code').addEventListener('click', () => this.showProfileCode());
+        document.getElementById('btn-profile-import-code').addEventListener('click', () => this.importProfileCode());
+        document.getElementById('btn-profile-export').addEventListener('click', () => this.exportProfile());
+        document.getElementById('btn-profile-import').addEventListener('click', () => this.profileFileInput.click());
+        this.profileFileInput.addEventListener('change', (e) => this.importProfileFile(e.target.files[0]));
+
+        // Sensitivity matching (game presets -> pointerSpeed, cm/360 readouts)
+        const fillOptions = (select, entries) => entries.forEach(([value, { name }]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        fillOptions(this.weaponSelectEl, Object.entries(WEAPONS));
+        fillOptions(this.sensGameEl, Object.entries(GAME_PRESETS));
+        fillOptions(this.sensMatchEl, Object.entries(MATCH_MODES));
+        this.sensGameEl.addEventListener('change', () => this.selectGamePreset(this.sensGameEl.value));
+        [this.sensDpiEl, this.sensGameValueEl, this.sensGameYawEl, this.sensGameFovEl, this.sensMatchEl].forEach(el => {
+            el.addEventListener('input', () => this.updateSensitivityReadout());
+        });
+        this.sensDpiEl.addEventListener('change', () => {
+            const dpi = parseFloat(this.sensDpiEl.value);
+            if (dpi > 0) this.profiles.update({ dpi });
+        });
+        this.sensApplyBtn.addEventListener('click', () => {
+            const speed = this.convertGameSensitivity();
+            if (speed !== null) this.setSensitivity(THREE.MathUtils.clamp(speed, ...SENSITIVITY_RANGE));
+        });
+        this.selectGamePreset('cs2');
+
         // Crosshair Selector
         document.querySelectorAll('.crosshair-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const style = e.target.dataset.style; // dot, cross, circle
-                this.setCrosshair(style);
-                // Visual update active class
-                document.querySelectorAll('.crosshair-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-            });
+            btn.addEventListener('click', (e) => this.setCrosshair(CROSSHAIR_PRESETS[e.target.dataset.style])); // dot, cross, circle
+        });
+        // Editor fields apply while typing and show the clamped value once committed
+        this.crosshairFieldEls.forEach(el => {
+            el.addEventListener('input', () => this.setCrosshair(this.readCrosshairEditor(), false));
+            el.addEventListener('change', () => this.setCrosshair(this.readCrosshairEditor()));
         });
+        document.getElementById('btn-crosshair-import').addEventListener('click', () => this.importCrosshairCode());
+        document.getElementById('btn-crosshair-copy').addEventListener('click', () => this.showCrosshairCode(crosshairToCode(this.crosshair)));
+        document.getElementById('btn-crosshair-copy-cs2').addEventListener('click', () => this.showCrosshairCode(crosshairToCS2Code(this.crosshair)));
 
         // Duration Selector
         document.querySelectorAll('.duration-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.gameDuration = parseInt(e.target.dataset.time);
-                document.querySelectorAll('.duration-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
+            btn.addEventListener('click', (e) => this.setDuration(parseInt(e.target.dataset.time)));
+        });
+
+        // Parkour ability switches (the level's rules may override them, see Abilities.js)
+        Object.entries(ABILITIES).forEach(([ability, { name }]) => {
+            const btn = document.createElement('button');
+            btn.className = 'small-btn';
+            btn.dataset.ability = ability;
+            btn.textContent = name;
+            btn.addEventListener('click', () => {
+                const abilities = this.profiles.settings.abilities;
+                this.profiles.update({ abilities: { ...abilities, [ability]: !abilities[ability] } });
+                this.renderAbilityToggles();
             });
+            this.abilityTogglesEl.appendChild(btn);
         });
 
         // Stop propagation on menus to prevent shooting/locking when clicking UI
-        [this.menuEl, this.pauseEl, this.settingsEl, this.endScreenEl].forEach(el => {
+        [this.menuEl, this.pauseEl, this.settingsEl, this.endScreenEl, this.historyEl, this.replayControlsEl].forEach(el => {
             el.addEventListener('mousedown', (e) => e.stopPropagation());
             el.addEventListener('click', (e) => e.stopPropagation());
         });
@@ -188,15 +484,68 @@ export class Game {
             }
         });
 
-        // Default Crosshair
-        this.setCrosshair('dot');
-
         // Sound Manager
         this.soundManager = new SoundManager();
+
+        // Saved settings of the active profile
+        this.applySettings();
+        this.renderProfiles();
+
+        // Replays (recorded every run by the core, viewable from the end screen or a file)
+        this.replayPlayer = new ReplayPlayer(this);
+        this.lastReplay = null;
+        this.ghost = new Ghost(this);
+
+        // Level Editor
+        this.editor = new LevelEditor(this);
+        this.editor.onSelect = () => this.renderEditorPanel();
+        this.renderLevelPicker();
+        document.getElementById('btn-level-editor').addEventListener('click', () => this.openEditor());
+        document.getElementById('btn-editor-new').addEventListener('click', () => {
+            this.editor.load(blankLevel());
+            this.renderEditorPanel();
+        });
+        document.getElementById('btn-editor-add').addEventListener('click', () => this.editor.add());
+        document.getElementById('btn-editor-duplicate').addEventListener('click', () => this.editor.duplicate());
+        document.getElementById('btn-editor-delete').addEventListener('click', () => this.editor.delete());
+        document.getElementById('btn-editor-move').addEventListener('click', () => this.editor.setMode('translate'));
+        document.getElementById('btn-editor-resize').addEventListener('click', () => this.editor.setMode('scale'));
+        this.editorGoalBtn.addEventListener('click', () => this.editor.toggleGoal());
+        this.editorCheckpointBtn.addEventListener('click', () => this.editor.toggleCheckpoint());
+        document.getElementById('btn-editor-start').addEventListener('click', () => this.editor.startOnSelected());
+        document.getElementById('btn-editor-test').addEventListener('click', () => this.testLevel());
+        document.getElementById('btn-editor-save').addEventListener('click', () => this.saveLevel());
+        document.getElementById('btn-editor-export').addEventListener('click', () => this.exportLevel());
+        document.getElementById('btn-editor-import').addEventListener('click', () => this.levelFileInput.click());
+        this.levelFileInput.addEventListener('change', (e) => this.importLevelFile(e.target.files[0]));
+        document.getElementById('btn-editor-exit').addEventListener('click', () => this.closeEditor());
+        this.editorNameEl.addEventListener('input', () => {
+            this.editor.name = this.editorNameEl.value;
+        });
+        Object.entries(BEHAVIOUR_PRESETS).forEach(([behaviour, { name }]) => {
+            this.editorBehaviourEl.add(new Option(name, behaviour));
+        });
+        this.editorBehaviourEl.addEventListener('change', () => {
+            this.editor.setBehaviour(this.editorBehaviourEl.value || null);
+        });
+        Object.entries(ABILITIES).forEach(([ability, { name }]) => {
+            const label = document.createElement('label');
+            label.textContent = name;
+            const select = document.createElement('select');
+            select.className = 'select-input';
+            select.dataset.ability = ability;
+            ABILITY_RULES.forEach(rule => select.add(new Option(rule.toUpperCase(), rule)));
+            select.addEventListener('change', () => {
+                this.editor.abilities[ability] = select.value;
+            });
+            label.appendChild(select);
+            this.editorAbilitiesEl.appendChild(label);
+        });
     }
 
-    startGame(mode) {
-        this.gameMode = mode;
+    startGame(scenario, seed = this.readSeedInput()) {
+        this.scenario = scenario;
+        this.seed = seed;
         this.isPlaying = true;
         this.isPaused = false;
         this.isGameOver = false; // Ensure game over is cleared
@@ -209,9 +558,13 @@ export class Game {
 
         this.hudEl.style.display = 'flex';
         this.crosshairEl.style.display = 'block';
+        this.dynamicGap.reset();
+        this.updateCrosshairGap();
+        this.targetCues = new Map(); // Target -> { timer, position } for spatial location cues
+        this.lastCountdownTick = null;
 
         // Parkour mode specific UI
-        if (mode === 'parkour') {
+        if (scenario.type === 'parkour') {
             this.scoreEl.style.display = 'none';
             this.hitsEl.style.display = 'none';
             this.heightEl.style.display = 'block';
@@ -221,8 +574,11 @@ export class Game {
             this.hitsEl.style.display = 'block';
             this.heightEl.style.display = 'none';
         }
+        this.ammoEl.style.display = scenario.scoring && scenario.scoring.type === 'hit' ? 'block' : 'none';
+        this.sprayReviewEl.style.display = 'none';
 
         this.resetGame();
+        this.loadParkourRecord();
         this.clock.start(); // Restart the clock for new game
         this.controls.lock();
 
@@ -232,37 +588,91 @@ export class Game {
     }
 
     retryGame() {
-        this.startGame(this.gameMode);
+        // Replay the exact same sequence
+        this.startGame(this.scenario, this.seed);
     }
 
-    resetGame() {
-        this.score = 0;
-        this.timeLeft = this.gameDuration;
-        this.shotsFired = 0;
-        this.shotsHit = 0;
-        this.updateHUD();
+    // One button per available scenario, in scenario order
+    buildScenarioMenu() {
+        this.scenarioListEl.innerHTML = '';
+        this.scenarios.forEach(scenario => {
+            const btn = document.createElement('button');
+            btn.textContent = scenario.name;
+            btn.title = scenario.description;
+            btn.addEventListener('click', () => this.startGame(this.withPickedLevel(scenario)));
+            this.scenarioListEl.appendChild(btn);
+        });
+    }
 
-        if (this.gameMode === 'parkour') {
-            // Clear previous parkour level
-            this.clearParkourLevel();
-            // Create new parkour level
-            this.createParkourLevel();
-            // Position player on top of start platform (platform Y + platform half-height + player height)
-            this.camera.position.set(0, this.startPlatformY + 0.25 + 1.6, 0);
-            this.velocity.set(0, 0, 0);
-            this.parkourStartTime = Date.now();
-        } else {
-            this.targets.forEach(t => t.despawn());
-            this.spawnTarget();
-            this.camera.position.set(0, 1.6, 0);
-            this.velocity.set(0, 0, 0);
+    // Parkour scenarios play the level picked in the menu, if any, instead of a generated one
+    withPickedLevel(scenario) {
+        const level = this.levels.get(this.levelSelectEl.value);
+        return scenario.type === 'parkour' && level ? levelScenario(level, scenario) : scenario;
+    }
+
+    // Load a user scenario JSON file and add it to the menu (replacing one with the same id)
+    async loadScenarioFile(file) {
+        if (!file) return;
+        this.scenarioFileInput.value = ''; // Allow re-selecting the same file after fixing it
+
+        try {
+            const scenario = parseScenario(await file.text(), file.name);
+            this.scenarios = this.scenarios.filter(s => s.id !== scenario.id);
+            this.scenarios.push(scenario);
+            sortScenarios(this.scenarios);
+            this.buildScenarioMenu();
+            this.menuErrorEl.textContent = '';
+        } catch (e) {
+            console.error(e);
+            this.menuErrorEl.textContent = e.message;
         }
     }
 
+    // Weapon picked in the menu, or the scenario's own
+    getWeapon() {
+        return WEAPONS[this.weaponSelectEl.value || this.scenario.weapon];
+    }
+
+    // Round length in seconds, or null for untimed scenarios
+    getDuration() {
+        if (this.scenario.duration === null) return null;
+        return this.scenario.adjustableDuration ? this.gameDuration : this.scenario.duration;
+    }
+
+    // Seed typed in the menu, or a fresh one when left blank
+    readSeedInput() {
+        const text = this.seedInput ? this.seedInput.value.trim() : '';
+        return text ? Random.normalizeSeed(text) : Random.randomSeed();
+    }
+
+    resetGame() {
+        this.layoutDecorations(this.seed);
+        this.core.start(this.scenario, {
+            seed: this.seed,
+            duration: this.getDuration(),
+            weapon: this.getWeapon(),
+            sensitivity: this.sensitivity,
+            abilities: this.profiles.settings.abilities
+        });
+        this.renderAbilityHUD();
+
+        // Drop presses queued from the previous run
+        this.setZoom(false);
+        this.input.jump = false;
+        this.input.dash = false;
+        this.input.fire = false;
+        this.input.reload = false;
+        this.input.trigger = false;
+        this.weapon.setReloading(false);
+        this.accumulator = 0;
+        this.updateHUD();
+    }
+
     endGame() {
         this.isPlaying = false;
         this.isGameOver = true;
         this.controls.unlock();
+        this.setZoom(false);
         this.clock.stop(); // Stop delta
 
         // Play game over sound
@@ -270,25 +680,245 @@ export class Game {
 
         this.hudEl.style.display = 'none';
         this.crosshairEl.style.display = 'none';
+        this.sprayReviewEl.style.display = 'none';
+        this.splitsEl.style.display = 'none';
+        this.abilitiesEl.style.display = 'none';
         this.endScreenEl.style.display = 'flex';
 
         // Update Stats UI
-        this.finalScoreEl.textContent = Math.floor(this.score);
-        this.finalHitsEl.textContent = this.shotsHit;
-        this.finalMissesEl.textContent = this.shotsFired - this.shotsHit;
+        const run = this.createRunRecord();
+        this.finalScoreLabelEl.textContent = 'SCORE';
+        this.finalScoreEl.textContent = run.score;
+        this.finalHitsEl.textContent = run.hits;
+        this.finalMissesEl.textContent = run.misses;
+        this.finalAccuracyEl.textContent = `${run.accuracy.toFixed(1)}%`;
+        this.finalSeedEl.textContent = this.seed;
+        this.showShotAnalytics(run.analytics);
+        this.showSpatialAnalysis(run.spatial);
+        this.showZoneBreakdown(run.zones);
+        this.showLeadError(run.lead);
+
+        this.showPersonalBest(run, this.recordRun(run));
+        this.lastReplay = this.core.replay;
+    }
+
+    // Shot offset heatmap, flick paths and the over/undershoot summary
+    showSpatialAnalysis(summary) {
+        this.analysisPanelEl.style.display = summary ? 'flex' : 'none';
+        if (!summary) return;
+
+        drawOffsetHeatmap(this.offsetCanvas, this.core.shotAnalysis.shots);
+        drawFlickPaths(this.pathCanvas, this.core.shotAnalysis.shots);
+
+        this.missSummaryEl.innerHTML = '';
+        ShotAnalysis.describe(summary).forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            this.missSummaryEl.appendChild(item);
+        });
+    }
+
+    // Bullets of the spray that just ended against the weapon's raw pattern, kept up until the next one
+    showSprayReview(spray) {
+        this.sprayReviewEl.style.display = 'flex';
+        this.sprayErrorEl.textContent = `${spray.shots.length} shots • ${SprayRecorder.meanError(spray).toFixed(2)}° avg`;
+        drawSprayPattern(this.sprayCanvas, spray);
+    }
+
+    // Average lead error of projectile shots at moving targets, hidden for hitscan runs
+    showLeadError(lead) {
+        this.finalLeadItemEl.style.display = lead ? 'block' : 'none';
+        if (!lead) return;
+
+        this.finalLeadEl.textContent = `${lead.meanError.toFixed(2)}m avg • ${lead.ahead} ahead / ${lead.behind} behind`;
+    }
+
+    // Hits (or tracking time) per hit zone, hidden for single-zone targets
+    showZoneBreakdown(zones) {
+        this.finalZonesItemEl.style.display = zones ? 'block' : 'none';
+        if (!zones) return;
+
+        const total = Object.values(zones.values).reduce((sum, v) => sum + v, 0);
+        this.finalZonesEl.textContent = Object.entries(zones.values).map(([zone, value]) => {
+            const amount = zones.unit === 'seconds' ? `${value.toFixed(1)}s` : value;
+            const percent = total > 0 ? Math.round(value / total * 100) : 0;
+            return `${zone.toUpperCase()} ${amount} (${percent}%)`;
+        }).join(' · ');
+    }
+
+    // Reaction time, TTK and kill rate on the end screen (null clears them, e.g. for parkour)
+    showShotAnalytics(analytics) {
+        const ms = (seconds) => seconds === null ? '-' : `${Math.round(seconds * 1000)}ms`;
+
+        this.finalTtkChartEl.innerHTML = '';
+        if (!analytics) {
+            [this.finalReactionEl, this.finalTtkEl, this.finalKpsEl, this.finalStreakEl].forEach(el => {
+                el.textContent = '-';
+            });
+            return;
+        }
+
+        this.finalReactionEl.textContent = ms(analytics.reactionTime);
+        this.finalTtkEl.textContent = analytics.ttkMedian === null
+            ? '-'
+            : `${ms(analytics.ttkMedian)} (p90 ${ms(analytics.ttkP90)})`;
+        this.finalKpsEl.textContent = analytics.killsPerSecond.toFixed(2);
+        this.finalStreakEl.textContent = analytics.longestMissStreak;
+
+        // TTK histogram, one bar per bucket scaled to the busiest bucket
+        const peak = Math.max(1, ...analytics.ttkDistribution);
+        const bucketMs = analytics.ttkBucketSize * 1000;
+        analytics.ttkDistribution.forEach((count, i) => {
+            const bar = document.createElement('div');
+            bar.className = 'ttk-bar';
+            bar.style.height = `${(count / peak) * 100}%`;
+            const isLast = i === analytics.ttkDistribution.length - 1;
+            bar.title = isLast
+                ? `${i * bucketMs}ms+: ${count}`
+                : `${i * bucketMs}-${(i + 1) * bucketMs}ms: ${count}`;
+            this.finalTtkChartEl.appendChild(bar);
+        });
+    }
 
-        const acc = this.shotsFired > 0 ? (this.shotsHit / this.shotsFired * 100).toFixed(1) : 0;
-        this.finalAccuracyEl.textContent = `${acc}%`;
+    // Snapshot of the finished run as stored in the run history (core.result plus metadata)
+    createRunRecord() {
+        const timestamp = Date.now();
+
+        return {
+            id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp,
+            scenarioId: this.scenario.id,
+            scenarioName: this.scenario.name,
+            duration: this.core.duration,
+            sensitivity: this.sensitivity,
+            weapon: this.core.weapon.id,
+            seed: this.seed,
+            metric: this.scenario.type === 'parkour' ? 'time' : 'score',
+            ...this.core.result
+        };
+    }
+
+    formatRunResult(run) {
+        if (run.metric === 'time') {
+            return run.completed ? `${run.time.toFixed(2)}s` : 'DNF';
+        }
+        return `${run.score}`;
+    }
+
+    // Adds a run to the history (and a parkour run's splits and ghost to the level's records),
+    // except test runs of a level that is still being edited
+    recordRun(run) {
+        if (this.isTestingLevel) return { previousBest: null, isNewBest: false };
+        if (this.scenario.type === 'parkour') {
+            this.parkourRecords.add(levelKey(this.scenario, this.seed, this.core.abilities), run, ghostPath(this.core.replay));
+        }
+        return this.runHistory.add(run);
+    }
+
+    // Best splits and ghost to race against this run; none when testing a level in the editor
+    loadParkourRecord() {
+        const record = this.scenario.type === 'parkour' && !this.isTestingLevel
+            ? this.parkourRecords.get(levelKey(this.scenario, this.seed, this.core.abilities))
+            : null;
+        this.bestSplits = record ? record.bestSplits : [];
+        this.ghost.load(record && record.best ? record.best.ghost : null);
+        this.splitsEl.innerHTML = '';
+        this.splitsEl.style.display = 'none';
+    }
+
+    // HUD line for a checkpoint just reached: its split and the difference to the best split
+    showSplit(index, time) {
+        const best = this.bestSplits[index] ?? null;
+        const line = document.createElement('div');
+        line.textContent = `CP ${index + 1}  ${time.toFixed(2)}s`;
+        if (best !== null) {
+            const diff = time - best;
+            line.textContent += `  ${diff <= 0 ? '-' : '+'}${Math.abs(diff).toFixed(2)}`;
+            line.className = diff <= 0 ? 'ahead' : 'behind';
+        }
+        this.splitsEl.appendChild(line);
+        this.splitsEl.style.display = 'flex';
+
+        const ring = this.checkpointRings[index];
+        if (ring) ring.material.color.set(0x00ffff);
+    }
+
+    // Fills the PB line on the end screen: the best before this run and the delta against it
+    showPersonalBest(run, { previousBest, isNewBest }) {
+        this.newPbEl.style.display = isNewBest ? 'block' : 'none';
+
+        if (!previousBest) {
+            this.finalPbEl.textContent = isNewBest ? 'FIRST RUN' : '-';
+            return;
+        }
+
+        let delta = '';
+        if (RunHistory.isRanked(run)) {
+            if (run.metric === 'time') {
+                const diff = run.time - previousBest.time;
+                delta = ` (${diff <= 0 ? '-' : '+'}${Math.abs(diff).toFixed(2)}s)`;
+            } else {
+                const diff = run.score - previousBest.score;
+                delta = ` (${diff >= 0 ? '+' : '-'}${Math.abs(diff)})`;
+            }
+        }
+        this.finalPbEl.textContent = `${this.formatRunResult(previousBest)}${delta}`;
     }
 
     updateHUD() {
-        if (this.scoreEl) this.scoreEl.textContent = `Score: ${Math.floor(this.score)}`;
-        if (this.timeEl) this.timeEl.textContent = `Time: ${Math.ceil(this.timeLeft)}s`;
-        if (this.hitsEl) this.hitsEl.textContent = `Hits: ${this.shotsHit}`;
+        const core = this.core;
+        if (this.scoreEl) this.scoreEl.textContent = `Score: ${Math.floor(core.score)}`;
+        if (this.timeEl) {
+            const shown = core.timeLeft === null ? Math.floor(core.elapsedTime) : Math.ceil(core.timeLeft);
+            this.timeEl.textContent = `Time: ${shown}s`;
+            if (core.timeLeft !== null && shown <= COUNTDOWN_SECONDS && shown > 0 && shown !== this.lastCountdownTick) {
+                this.lastCountdownTick = shown;
+                this.soundManager.playTick();
+            }
+        }
+        if (this.hitsEl) this.hitsEl.textContent = `Hits: ${core.shotsHit}`;
+        if (this.ammoEl) {
+            if (core.ammo === null) this.ammoEl.textContent = 'Ammo: ∞';
+            else if (core.isReloading) this.ammoEl.textContent = 'RELOADING';
+            else this.ammoEl.textContent = `Ammo: ${core.ammo}/${core.weapon.magazine}`;
+        }
+        if (this.abilitiesEl.style.display !== 'none') {
+            const status = core.abilityStatus;
+            this.abilitiesEl.querySelectorAll('[data-ability]').forEach(chip => {
+                const { ready, active } = status[chip.dataset.ability];
+                chip.firstChild.style.width = `${Math.round(ready * 100)}%`;
+                chip.classList.toggle('ready', ready >= 1);
+                chip.classList.toggle('active', active);
+            });
+        }
+    }
+
+    // One chip per ability this run has, filled as its cooldown runs out
+    renderAbilityHUD() {
+        this.abilitiesEl.innerHTML = '';
+        const enabled = Object.keys(ABILITIES).filter(ability => this.core.abilities[ability]);
+        enabled.forEach(ability => {
+            const chip = document.createElement('div');
+            chip.className = 'ability-chip';
+            chip.dataset.ability = ability;
+            const fill = document.createElement('span');
+            fill.className = 'ability-fill';
+            chip.append(fill, ABILITIES[ability].name);
+            this.abilitiesEl.appendChild(chip);
+        });
+        this.abilitiesEl.style.display = enabled.length > 0 ? 'flex' : 'none';
+    }
+
+    renderAbilityToggles() {
+        const abilities = this.profiles.settings.abilities;
+        this.abilityTogglesEl.querySelectorAll('[data-ability]').forEach(btn => {
+            btn.classList.toggle('active', abilities[btn.dataset.ability]);
+        });
     }
 
     pauseGame() {
         this.isPaused = true;
+        this.setZoom(false);
         this.pauseEl.style.display = 'flex';
         // HTML overlay handles mouse interactions now
     }
@@ -310,14 +940,138 @@ export class Game {
         this.pauseEl.style.display = 'none';
         this.hudEl.style.display = 'none';
         this.crosshairEl.style.display = 'none';
+        this.splitsEl.style.display = 'none';
+        this.abilitiesEl.style.display = 'none';
+        this.ghost.hide();
         this.endScreenEl.style.display = 'none';
         this.endScreenEl.classList.remove('parkour-win');
+
+        if (this.isTestingLevel) {
+            this.openEditor(null);
+            return;
+        }
         this.menuEl.style.display = 'flex'; // Show Main Menu
 
         // Reset camera for menu view
         this.startMenuAnimation();
     }
 
+    // --- Level Editor ---
+
+    // `level` null keeps editing the current one; by default the level picked in the menu,
+    // or a blank one
+    openEditor(level = this.levels.get(this.levelSelectEl.value) || blankLevel()) {
+        this.setTestingLevel(false);
+        this.menuEl.style.display = 'none';
+        this.editorPanelEl.style.display = 'flex';
+        this.editorErrorEl.textContent = '';
+        this.editor.open(level);
+        this.renderEditorPanel();
+    }
+
+    closeEditor() {
+        this.editor.close();
+        this.editorPanelEl.style.display = 'none';
+        this.renderLevelPicker();
+        this.menuEl.style.display = 'flex';
+    }
+
+    // Name field and the buttons that need a selected platform
+    renderEditorPanel() {
+        this.editorNameEl.value = this.editor.name;
+        const platform = this.editor.isPlatformSelected();
+        this.editorPanelEl.querySelectorAll('[data-needs-platform]').forEach(btn => {
+            btn.disabled = !platform;
+        });
+        this.editorGoalBtn.classList.toggle('active', platform && this.editor.selected.userData.goal);
+        this.editorCheckpointBtn.classList.toggle('active', platform && this.editor.selected.userData.checkpoint);
+        this.editorBehaviourEl.value = this.editor.getBehaviour() ?? '';
+        this.editorAbilitiesEl.querySelectorAll('select').forEach(select => {
+            select.value = this.editor.abilities[select.dataset.ability] ?? 'optional';
+        });
+    }
+
+    // The edited level, validated like a level file; shows the problems and returns null if invalid
+    readEditorLevel() {
+        try {
+            const level = parseLevel(serializeLevel(this.editor.toLevel()), this.editor.name || 'level');
+            this.editorErrorEl.textContent = '';
+            return level;
+        } catch (e) {
+            if (!(e instanceof LevelError)) throw e;
+            this.editorErrorEl.textContent = e.message;
+            return null;
+        }
+    }
+
+    // Play the level untimed; quitting or finishing returns to the editor
+    testLevel() {
+        const level = this.readEditorLevel();
+        if (!level) return;
+        this.editor.close();
+        this.editorPanelEl.style.display = 'none';
+        this.setTestingLevel(true);
+        this.startGame(levelScenario(level));
+    }
+
+    setTestingLevel(testing) {
+        this.isTestingLevel = testing;
+        const label = testing ? 'BACK TO EDITOR' : 'MAIN MENU';
+        document.getElementById('btn-quit').textContent = label;
+        document.getElementById('btn-restart').textContent = label;
+    }
+
+    saveLevel() {
+        const level = this.readEditorLevel();
+        if (!level) return;
+        this.levels.put(level);
+        this.editor.name = level.name;
+        this.renderLevelPicker(level.name);
+        this.editorErrorEl.textContent = `Saved "${level.name}"`;
+    }
+
+    exportLevel() {
+        const level = this.readEditorLevel();
+        if (!level) return;
+
+        const blob = new Blob([serializeLevel(level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `aimthree-level-${level.name.replace(/[^a-z0-9-_]+/gi, '_')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importLevelFile(file) {
+        if (!file) return;
+        this.levelFileInput.value = '';
+
+        try {
+            this.editor.load(parseLevel(await file.text(), file.name));
+            this.editorErrorEl.textContent = '';
+            this.renderEditorPanel();
+        } catch (e) {
+            console.error(e);
+            this.editorErrorEl.textContent = e.message;
+        }
+    }
+
+    // The menu's level choice: the generated spiral or a saved level
+    renderLevelPicker(selected = this.levelSelectEl.value) {
+        this.levelSelectEl.innerHTML = '';
+        const spiral = document.createElement('option');
+        spiral.value = '';
+        spiral.textContent = 'GENERATED SPIRAL';
+        this.levelSelectEl.appendChild(spiral);
+        this.levels.names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.levelSelectEl.appendChild(option);
+        });
+        this.levelSelectEl.value = this.levels.get(selected) ? selected : '';
+    }
+
     openSettings(source) {
         this.previousMenu = source; // 'main' or 'pause'
         this.menuEl.style.display = 'none';
@@ -326,6 +1080,7 @@ export class Game {
     }
 
     closeSettings() {
+        if (this.bindingCapture) this.cancelBindingCapture();
         this.settingsEl.style.display = 'none';
         if (this.previousMenu === 'main') {
             this.menuEl.style.display = 'flex';
@@ -334,9 +1089,620 @@ export class Game {
         }
     }
 
-    setCrosshair(style) {
-        // defined in style.css: .crosshair-dot, .crosshair-cross, .crosshair-circle
-        this.crosshairEl.className = `crosshair-${style}`;
+    // Rebuild the deterministic parts of a run (level, decorations) and start playback.
+    // `source` is the screen to return to: 'end' or 'main'.
+    watchReplay(replay, source) {
+        if (!replay) return;
+
+        this.replaySource = source;
+        this.scenario = replay.scenario;
+        this.seed = replay.seed;
+        this.layoutDecorations(this.seed);
+        this.core.load(this.scenario, this.seed);
+        this.ghost.hide();
+
+        this.menuEl.style.display = 'none';
+        this.endScreenEl.style.display = 'none';
+        this.hudEl.style.display = 'flex';
+        this.crosshairEl.style.display = 'block';
+        this.replayControlsEl.style.display = 'flex';
+        this.scoreEl.style.display = this.scenario.type === 'parkour' ? 'none' : 'block';
+        this.hitsEl.style.display = 'none';
+        this.heightEl.style.display = 'none';
+        this.ammoEl.style.display = 'none';
+        this.replaySpeedEl.value = '1';
+        this.replayViewBtn.textContent = 'FREE CAM';
+
+        this.replayPlayer.load(replay);
+    }
+
+    exitReplay() {
+        this.replayPlayer.stop();
+        this.replayControlsEl.style.display = 'none';
+        this.hudEl.style.display = 'none';
+        this.crosshairEl.style.display = 'none';
+        this.hitsEl.style.display = 'block';
+
+        if (this.replaySource === 'end') {
+            this.endScreenEl.style.display = 'flex';
+        } else {
+            this.clearParkourLevel();
+            this.menuEl.style.display = 'flex';
+        }
+    }
+
+    // Per-frame replay HUD: score, clock, scrub position and recorded inputs
+    updateReplayUI() {
+        const player = this.replayPlayer;
+        const duration = player.replay.duration;
+        const countdown = duration !== null && this.scenario.type !== 'parkour';
+        const shown = countdown ? Math.ceil(Math.max(0, duration - player.time)) : Math.floor(player.time);
+
+        this.scoreEl.textContent = `Score: ${player.score}`;
+        this.timeEl.textContent = `Time: ${shown}s`;
+        this.replayTimeEl.textContent = `${player.time.toFixed(1)} / ${player.duration.toFixed(1)}s`;
+        this.replayScrubEl.value = player.duration > 0 ? Math.round(player.time / player.duration * 1000) : 0;
+        this.replayPlayBtn.textContent = player.isPlaying ? 'PAUSE' : 'PLAY';
+
+        this.replayInputEl.querySelectorAll('[data-bit]').forEach(key => {
+            key.classList.toggle('active', (player.inputBits & INPUT[key.dataset.bit]) !== 0);
+        });
+    }
+
+    saveReplay(replay) {
+        if (!replay) return;
+
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const date = new Date(replay.recordedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `aimthree-replay-${replay.scenario.id}-${date}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async loadReplayFile(file) {
+        if (!file) return;
+        this.replayFileInput.value = '';
+
+        try {
+            const replay = parseReplay(await file.text());
+            this.menuErrorEl.textContent = '';
+            this.watchReplay(replay, 'main');
+        } catch (e) {
+            console.error(e);
+            this.menuErrorEl.textContent = e.message;
+        }
+    }
+
+    openHistory() {
+        this.menuEl.style.display = 'none';
+        this.historyEl.style.display = 'flex';
+
+        // Rebuild filter options from what's actually stored, keeping the current selection
+        const runs = this.runHistory.filter();
+        const scenarioIds = [...new Set(runs.map(run => run.scenarioId))];
+        const durations = [...new Set(runs.map(run => run.duration))].sort((a, b) => (a ?? Infinity) - (b ?? Infinity));
+        const weapons = [...new Set(runs.map(RunHistory.weaponOf))];
+
+        const fillSelect = (select, options) => {
+            const previous = select.value;
+            select.innerHTML = '<option value="">ALL</option>';
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = options.some(o => o.value === previous) ? previous : '';
+        };
+
+        fillSelect(this.historyScenarioEl, scenarioIds.map(id => ({
+            value: id,
+            label: runs.find(run => run.scenarioId === id).scenarioName
+        })));
+        fillSelect(this.historyDurationEl, durations.map(duration => ({
+            value: String(duration),
+            label: duration === null ? 'UNTIMED' : `${duration}s`
+        })));
+        fillSelect(this.historyWeaponEl, weapons.map(id => ({
+            value: id,
+            label: WEAPONS[id]?.name ?? id.toUpperCase()
+        })));
+
+        this.renderHistory();
+    }
+
+    closeHistory() {
+        this.historyEl.style.display = 'none';
+        this.menuEl.style.display = 'flex';
+    }
+
+    getHistoryFilter() {
+        const filter = {};
+        if (this.historyScenarioEl.value) filter.scenarioId = this.historyScenarioEl.value;
+        if (this.historyDurationEl.value) {
+            filter.duration = this.historyDurationEl.value === 'null' ? null : Number(this.historyDurationEl.value);
+        }
+        if (this.historyWeaponEl.value) filter.weapon = this.historyWeaponEl.value;
+        return filter;
+    }
+
+    renderHistory() {
+        const runs = this.runHistory.filter(this.getHistoryFilter());
+        this.historyListEl.innerHTML = '';
+
+        if (runs.length === 0) {
+            this.historyListEl.innerHTML = '<tr><td colspan="9" class="history-empty">NO RUNS YET</td></tr>';
+            return;
+        }
+
+        runs.forEach(run => {
+            const weapon = RunHistory.weaponOf(run);
+            const best = this.runHistory.getBest(run.scenarioId, run.duration, weapon);
+            const row = document.createElement('tr');
+            if (best && best.id === run.id) row.classList.add('history-pb');
+
+            const cells = [
+                new Date(run.timestamp).toLocaleString(),
+                run.scenarioName,
+                run.duration === null ? '-' : `${run.duration}s`,
+                WEAPONS[weapon]?.name ?? weapon.toUpperCase(),
+                this.formatRunResult(run),
+                run.metric === 'score' ? `${run.accuracy.toFixed(1)}%` : '-',
+                run.sensitivity.toFixed(2),
+                run.seed
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const deleteCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'history-delete';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete run';
+            deleteBtn.addEventListener('click', () => {
+                this.runHistory.remove(run.id);
+                this.renderHistory();
+            });
+            deleteCell.appendChild(deleteBtn);
+            row.appendChild(deleteCell);
+
+            this.historyListEl.appendChild(row);
+        });
+    }
+
+    setSensitivity(value) {
+        this.sensitivity = value;
+        this.controls.pointerSpeed = value * (this.isZoomed ? ZOOM_FACTOR : 1);
+        this.sensSlider.value = value;
+        this.sensValue.textContent = value.toFixed(2);
+        this.updateSensitivityReadout();
+        this.profiles.update({ sensitivity: value });
+    }
+
+    setVolume(value) {
+        this.soundManager.setVolume(value);
+        this.volumeSlider.value = value;
+        this.volumeValue.textContent = `${Math.round(value * 100)}%`;
+        this.profiles.update({ volume: value });
+    }
+
+    // One slider per sound category, as a fraction of the master volume
+    buildVolumeSliders() {
+        this.volumeSliders = {};
+        Object.entries(SOUND_CATEGORIES).forEach(([category, { name }]) => {
+            const label = document.createElement('span');
+            label.textContent = name;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 1;
+            slider.step = 0.05;
+            slider.addEventListener('input', () => this.setCategoryVolume(category, parseFloat(slider.value)));
+            this.volumeCategoriesEl.append(label, slider);
+            this.volumeSliders[category] = slider;
+        });
+    }
+
+    setCategoryVolume(category, value) {
+        this.soundManager.setCategoryVolume(category, value);
+        this.volumeSliders[category].value = value;
+        this.profiles.update({ volumes: { ...this.profiles.settings.volumes, [category]: value } });
+    }
+
+    setDuration(seconds) {
+        this.gameDuration = seconds;
+        document.querySelectorAll('.duration-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.time) === seconds);
+        });
+        this.profiles.update({ duration: seconds });
+    }
+
+    // Puts the active profile's settings into effect (startup and profile switches)
+    applySettings() {
+        const settings = this.profiles.settings;
+        this.sensDpiEl.value = settings.dpi;
+        this.setSensitivity(settings.sensitivity);
+        this.setCrosshair(settings.crosshair);
+        this.setDuration(settings.duration);
+        this.setVolume(settings.volume);
+        Object.entries(settings.volumes).forEach(([category, value]) => this.setCategoryVolume(category, value));
+        this.selectSoundPack(settings.soundPack);
+        this.renderAbilityToggles();
+    }
+
+    selectGamePreset(id) {
+        const preset = GAME_PRESETS[id];
+        this.sensGameEl.value = id;
+        this.sensGameYawEl.disabled = preset.yaw === null;
+        if (preset.yaw !== null) this.sensGameYawEl.value = preset.yaw;
+        this.sensGameFovEl.value = preset.fov;
+        this.updateSensitivityReadout();
+    }
+
+    // Matching form values, with null for anything missing or out of range
+    readSensitivityForm() {
+        const positive = (el) => {
+            const value = parseFloat(el.value);
+            return Number.isFinite(value) && value > 0 ? value : null;
+        };
+        const gameFov = positive(this.sensGameFovEl);
+        return {
+            dpi: positive(this.sensDpiEl),
+            yaw: positive(this.sensGameYawEl),
+            sensitivity: positive(this.sensGameValueEl),
+            gameFov: gameFov !== null && gameFov < 180 ? gameFov : null,
+            mode: this.sensMatchEl.value
+        };
+    }
+
+    // The game sensitivity from the form as a pointerSpeed here, or null if the form is incomplete
+    convertGameSensitivity() {
+        const { yaw, sensitivity, gameFov, mode } = this.readSensitivityForm();
+        if (yaw === null || sensitivity === null || gameFov === null) return null;
+
+        const fov = horizontalFov(this.camera.fov, this.camera.aspect);
+        return convertFromGame({ yaw, sensitivity, gameFov, fov, mode });
+    }
+
+    updateSensitivityReadout() {
+        const { dpi, yaw, sensitivity } = this.readSensitivityForm();
+        const distances = (degreesPerCount) => dpi === null
+            ? '-'
+            : `${cmPer360(degreesPerCount, dpi).toFixed(1)} cm/360 · ${inchesPer360(degreesPerCount, dpi).toFixed(1)} in/360`;
+
+        this.sensReadoutEl.textContent = distances(this.sensitivity * BROWSER_YAW);
+
+        const speed = this.convertGameSensitivity();
+        this.sensApplyBtn.disabled = speed === null;
+        if (speed === null) {
+            this.sensGameReadoutEl.textContent = 'ENTER SENSITIVITY, YAW AND FOV';
+            return;
+        }
+        // Out-of-range conversions apply as the nearest sensitivity the slider allows
+        const [min, max] = SENSITIVITY_RANGE;
+        const applied = THREE.MathUtils.clamp(speed, min, max);
+        const limit = speed < min ? `BELOW THE ${min.toFixed(2)} MINIMUM` : `ABOVE THE ${max.toFixed(2)} MAXIMUM`;
+        this.sensGameReadoutEl.textContent = `GAME: ${distances(yaw * sensitivity)} → ${speed.toFixed(2)} HERE`
+            + (applied === speed
+                ? ` (${distances(speed * BROWSER_YAW)})`
+                : ` — ${limit}, APPLIES AS ${applied.toFixed(2)} (${distances(applied * BROWSER_YAW)})`);
+    }
+
+    // Saves and draws a crosshair (see Crosshair.js); the editor fields are refreshed unless
+    // the change came from them mid-edit
+    setCrosshair(crosshair, updateEditor = true) {
+        this.profiles.update({ crosshair });
+        this.crosshair = this.profiles.settings.crosshair;
+        drawCrosshair(this.crosshairEl, this.crosshair, this.crosshair.dynamic ? this.drawnGap : 0);
+        drawCrosshair(this.crosshairPreviewEl, this.crosshair);
+
+        const code = crosshairToCode(this.crosshair);
+        document.querySelectorAll('.crosshair-btn').forEach(btn => {
+            btn.classList.toggle('active', crosshairToCode(CROSSHAIR_PRESETS[btn.dataset.style]) === code);
+        });
+        if (updateEditor) this.renderCrosshairEditor();
+    }
+
+    readCrosshairEditor() {
+        const crosshair = { ...this.crosshair };
+        this.crosshairFieldEls.forEach(el => {
+            const field = el.dataset.crosshair;
+            if (el.type === 'checkbox') crosshair[field] = el.checked;
+            else if (el.type === 'color') crosshair[field] = el.value;
+            else if (el.value !== '') crosshair[field] = parseFloat(el.value);
+        });
+        return crosshair;
+    }
+
+    renderCrosshairEditor() {
+        this.crosshairFieldEls.forEach(el => {
+            const value = this.crosshair[el.dataset.crosshair];
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = value;
+        });
+    }
+
+    // Redraws the HUD crosshair when its dynamic gap has moved by a visible amount
+    updateCrosshairGap() {
+        const gap = this.crosshair.dynamic ? this.dynamicGap.value : 0;
+        if (Math.abs(gap - this.drawnGap) < 0.25 && (gap > 0 || this.drawnGap === 0)) return;
+        this.drawnGap = gap;
+        drawCrosshair(this.crosshairEl, this.crosshair, gap);
+    }
+
+    // Live preview: the centre of the last rendered frame at its real size, crosshair on top
+    drawCrosshairPreview() {
+        const canvas = this.crosshairPreviewBg;
+        const ratio = this.renderer.getPixelRatio();
+        const source = this.renderer.domElement;
+        if (canvas.width !== canvas.clientWidth * ratio) {
+            canvas.width = canvas.clientWidth * ratio;
+            canvas.height = canvas.clientHeight * ratio;
+        }
+        canvas.getContext('2d').drawImage(
+            source,
+            (source.width - canvas.width) / 2, (source.height - canvas.height) / 2, canvas.width, canvas.height,
+            0, 0, canvas.width, canvas.height
+        );
+    }
+
+    showCrosshairCode(code) {
+        this.crosshairErrorEl.textContent = '';
+        this.crosshairCodeEl.value = code;
+        this.crosshairCodeEl.select();
+        if (navigator.clipboard) navigator.clipboard.writeText(code).catch(() => {});
+    }
+
+    importCrosshairCode() {
+        try {
+            this.setCrosshair(crosshairFromCode(this.crosshairCodeEl.value));
+            this.crosshairErrorEl.textContent = '';
+        } catch (e) {
+            if (!(e instanceof CrosshairError)) throw e;
+            this.crosshairErrorEl.textContent = e.message;
+        }
+    }
+
+    // Keeps the audio listener on the camera and plays target location cues: every
+    // `cueInterval` seconds from each target when the scenario sets one, otherwise only
+    // from targets that are moving
+    updateSpatialAudio(delta) {
+        this.camera.getWorldDirection(_listenerForward);
+        _listenerUp.set(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        this.soundManager.updateListener(this.camera.position, _listenerForward, _listenerUp);
+
+        if (this.scenario.type !== 'targets' || !this.controls.isLocked) return;
+        const interval = this.scenario.targets.cueInterval;
+        this.core.targets.forEach(target => {
+            const position = target.mesh.position;
+            if (!target.isActive) {
+                this.targetCues.delete(target);
+                return;
+            }
+            let cue = this.targetCues.get(target);
+            if (!cue) {
+                cue = { timer: interval ?? MOVING_CUE_INTERVAL, position: position.clone() };
+                this.targetCues.set(target, cue);
+            }
+
+            cue.timer -= delta;
+            if (cue.timer > 0) return;
+            cue.timer += interval ?? MOVING_CUE_INTERVAL;
+            if (interval !== undefined || cue.position.distanceTo(position) > MOVING_CUE_DISTANCE) {
+                this.soundManager.playTargetCue(position);
+            }
+            cue.position.copy(position);
+        });
+    }
+
+    // Every frame is rendered through here so the settings preview can copy it while
+    // the drawing buffer is still valid
+    render() {
+        this.composer.render();
+        if (this.settingsEl.style.display === 'flex') this.drawCrosshairPreview();
+    }
+
+    // --- Sound packs ---
+
+    async renderSoundPacks() {
+        let names = [];
+        try {
+            names = await this.soundPacks.names();
+        } catch (e) {
+            console.warn('Stored sound packs are unavailable:', e);
+        }
+        // A selected pack that couldn't be read stays listed (see selectSoundPack)
+        const selected = this.profiles.settings.soundPack;
+        if (selected !== null && !names.includes(selected)) names.push(selected);
+
+        this.soundPackSelectEl.innerHTML = '';
+        [['', 'PROCEDURAL (BUILT-IN)'], ...names.map(name => [name, name])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.soundPackSelectEl.appendChild(option);
+        });
+        this.soundPackSelectEl.value = this.profiles.settings.soundPack ?? '';
+    }
+
+    // Switches to a stored pack (null = procedural sounds); a pack that's gone falls back
+    // to the procedural sounds. So does one that can't be read right now, for this session
+    // only: the profile keeps it selected.
+    async selectSoundPack(name) {
+        this.soundPackErrorEl.textContent = '';
+        let pack = null;
+        let readError = null;
+        if (name !== null) {
+            try {
+                pack = await this.soundPacks.get(name);
+            } catch (e) {
+                console.warn('Could not load the sound pack:', e);
+                readError = e;
+            }
+        }
+
+        this.profiles.update({ soundPack: pack ? pack.name : readError ? name : null });
+        this.showSoundPackInfo(pack);
+        await this.renderSoundPacks();
+        if (readError) {
+            this.soundPackErrorEl.textContent = `Could not load the sound pack "${name}" (${readError.message}), using the default sounds for now`;
+        }
+        try {
+            await this.soundManager.setPack(pack);
+        } catch (e) {
+            if (!(e instanceof SoundPackError)) throw e;
+            this.soundPackErrorEl.textContent = e.message;
+        }
+    }
+
+    // Packs are decoded before they're stored so broken files are reported right away.
+    // A pack with the name of a stored one replaces it.
+    async importSoundPack(files) {
+        this.soundPackFileInput.value = '';
+        this.soundPackErrorEl.textContent = '';
+        if (files.length === 0) return;
+
+        try {
+            const pack = await readSoundPack(files);
+            this.soundManager.init();
+            await this.soundManager.setPack(pack);
+            try {
+                await this.soundPacks.put(pack);
+            } catch (e) {
+                throw new SoundPackError(`Could not store the sound pack: ${e.message}`);
+            }
+            this.profiles.update({ soundPack: pack.name });
+            this.showSoundPackInfo(pack);
+            await this.renderSoundPacks();
+        } catch (e) {
+            if (!(e instanceof SoundPackError)) throw e;
+            await this.selectSoundPack(this.profiles.settings.soundPack);
+            this.soundPackErrorEl.textContent = e.message;
+        }
+    }
+
+    async deleteSoundPack() {
+        const name = this.profiles.settings.soundPack;
+        if (name === null) return;
+        try {
+            await this.soundPacks.delete(name);
+        } catch (e) {
+            console.warn('Could not delete the sound pack:', e);
+        }
+        await this.selectSoundPack(null);
+    }
+
+    showSoundPackInfo(pack) {
+        if (!pack) {
+            this.soundPackInfoEl.textContent = '';
+            return;
+        }
+        const custom = Object.keys(SOUND_EVENTS).filter(event => pack.files[event]);
+        const names = custom.map(event => SOUND_EVENTS[event].name).join(', ');
+        this.soundPackInfoEl.textContent = custom.length === Object.keys(SOUND_EVENTS).length
+            ? 'ALL SOUNDS FROM THE PACK'
+            : `FROM THE PACK: ${names} · THE REST ARE BUILT-IN`;
+    }
+
+    // --- Profiles ---
+
+    renderProfiles() {
+        this.profileSelectEl.innerHTML = '';
+        this.profiles.names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.profileSelectEl.appendChild(option);
+        });
+        this.profileSelectEl.value = this.profiles.active;
+    }
+
+    switchProfile(name) {
+        this.profiles.select(name);
+        this.bindings.setProfile(this.profiles.active);
+        this.applySettings();
+        this.renderBindings();
+        this.renderProfiles();
+        this.profileErrorEl.textContent = '';
+    }
+
+    // Adds a profile holding `settings` and `bindings` (a copy of the current ones by default)
+    // under `name`, and switches to it
+    addProfile(name, settings = this.profiles.settings, bindings = this.bindings.bindings) {
+        const created = this.profiles.create(name, settings);
+        this.bindings.setProfile(created);
+        this.bindings.replace(bindings);
+        this.switchProfile(created);
+    }
+
+    createProfile() {
+        try {
+            this.addProfile(this.profileNameEl.value);
+            this.profileNameEl.value = '';
+        } catch (e) {
+            if (!(e instanceof SettingsError)) throw e;
+            this.profileErrorEl.textContent = e.message;
+        }
+    }
+
+    deleteProfile() {
+        const name = this.profiles.active;
+        if (!this.profiles.delete(name)) {
+            this.profileErrorEl.textContent = 'The last profile can\'t be deleted';
+            return;
+        }
+        this.bindings.deleteProfile(name);
+        this.switchProfile(this.profiles.active);
+    }
+
+    // Fills the code field with the active profile's code and copies it when allowed
+    showProfileCode() {
+        const code = SettingsProfiles.toCode(this.profiles.settings, this.bindings.bindings);
+        this.profileCodeEl.value = code;
+        this.profileCodeEl.select();
+        if (navigator.clipboard) navigator.clipboard.writeText(code).catch(() => {});
+    }
+
+    // Imported profiles are added next to the existing ones, named after the name field
+    // (codes) or the file, never overwriting
+    importProfileCode() {
+        try {
+            const { settings, bindings } = SettingsProfiles.fromCode(this.profileCodeEl.value);
+            this.addProfile(this.profiles.freeName(this.profileNameEl.value || 'imported'), settings, bindings);
+            this.profileCodeEl.value = '';
+            this.profileNameEl.value = '';
+        } catch (e) {
+            if (!(e instanceof SettingsError)) throw e;
+            this.profileErrorEl.textContent = e.message;
+        }
+    }
+
+    exportProfile() {
+        const name = this.profiles.active;
+        const blob = new Blob([SettingsProfiles.toFile(name, this.profiles.settings, this.bindings.bindings)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `aimthree-profile-${name.replace(/[^a-z0-9_-]+/gi, '_')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importProfileFile(file) {
+        if (!file) return;
+        this.profileFileInput.value = '';
+
+        try {
+            const { name, settings, bindings } = SettingsProfiles.fromFile(await file.text());
+            this.addProfile(this.profiles.freeName(name), settings, bindings);
+        } catch (e) {
+            if (!(e instanceof SettingsError)) throw e;
+            this.profileErrorEl.textContent = e.message;
+        }
     }
 
     // Load GLB models for platforms
@@ -363,8 +1729,9 @@ export class Game {
     }
 
     // Create a platform instance (uses GLB if loaded, otherwise box)
-    createPlatformMesh(width, depth, isGoal = false) {
-        const model = isGoal ? this.goalModel : this.platformModel;
+    createPlatformMesh({ width, depth, height, isGoal, kind }) {
+        // Bouncing, crumbling, ... platforms are boxes with edges in their kind's colour
+        const model = kind ? null : (isGoal ? this.goalModel : this.platformModel);
 
         if (model) {
             // Clone the loaded model
@@ -375,11 +1742,11 @@ export class Game {
             const baseScale = 0.1;
 
             // Scale to match desired size
-            clone.scale.set(width * baseScale, baseScale, depth * baseScale);
+            clone.scale.set(width * baseScale, baseScale * height / 0.5, depth * baseScale);
             return clone;
         } else {
             // Fallback to box geometry
-            const geo = new THREE.BoxGeometry(width, 0.5, depth);
+            const geo = new THREE.BoxGeometry(width, height, depth);
             const mat = isGoal
                 ? new THREE.MeshStandardMaterial({
                     color: 0x00ff88,
@@ -396,7 +1763,7 @@ export class Game {
             const mesh = new THREE.Mesh(geo, mat);
 
             // Add edges
-            const edgeColor = isGoal ? 0x00ff88 : 0x00ffff;
+            const edgeColor = kind ? PLATFORM_KINDS[kind].color : (isGoal ? 0x00ff88 : 0x00ffff);
             const edges = new THREE.LineSegments(
                 new THREE.EdgesGeometry(geo),
                 new THREE.MeshBasicMaterial({ color: edgeColor })
@@ -407,65 +1774,43 @@ export class Game {
         }
     }
 
-    createParkourLevel() {
-        const platformCount = 20;
-        const maxHeight = 25; // Reduced from 50 - more horizontal
-        const heightStep = maxHeight / platformCount; // ~1.25 units per platform
-
-        // Start platform (larger)
-        const startPlatform = this.createPlatformMesh(6, 6, false);
-        startPlatform.position.set(0, this.startPlatformY, 0);
-        startPlatform.userData.isPlatform = true;
-        startPlatform.userData.platformBounds = { width: 6, depth: 6 };
-        this.scene.add(startPlatform);
-        this.parkourPlatforms.push(startPlatform);
-
-        // Generate ascending platforms in spiral pattern
-        let angle = 0;
-        for (let i = 1; i <= platformCount; i++) {
-            // Larger platforms - minimum size 2.5
-            const sizeFactor = Math.max(0.6, 1 - (i / platformCount) * 0.4);
-            const width = 3 * sizeFactor + 1.5;
-            const depth = 3 * sizeFactor + 1.5;
-
-            const platform = this.createPlatformMesh(width, depth, false);
-
-            // More spread out horizontally
-            const radius = 5 + Math.random() * 4;
-            angle += (Math.PI / 5) + (Math.random() * Math.PI / 6); // Smaller angle increments
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-            const y = this.startPlatformY + (i * heightStep);
+    // (Re)builds platform meshes from the core's level data
+    buildParkourLevel() {
+        this.clearParkourLevel();
 
-            platform.position.set(x, y, z);
-            platform.userData.isPlatform = true;
-            platform.userData.platformBounds = { width, depth };
+        this.core.platforms.forEach(({ position, width, depth, height, isGoal, checkpoint, kind }) => {
+            const platform = this.createPlatformMesh({ width, depth, height, isGoal, kind });
+            platform.position.copy(position);
+
+            // Add pulsing glow effect marker (only if using box geometry fallback)
+            if (isGoal && !this.goalModel) {
+                const glowGeo = new THREE.RingGeometry(2, 2.5, 32);
+                const glowMat = new THREE.MeshBasicMaterial({ color: 0x00ff88, side: THREE.DoubleSide });
+                const glowRing = new THREE.Mesh(glowGeo, glowMat);
+                glowRing.rotation.x = -Math.PI / 2;
+                glowRing.position.y = height / 2 + 0.05;
+                platform.add(glowRing);
+            }
 
             this.scene.add(platform);
             this.parkourPlatforms.push(platform);
-        }
-
-        // Goal platform at the top
-        this.goalPlatform = this.createPlatformMesh(5, 5, true);
-
-        // Position goal above the last platform
-        const lastPlatform = this.parkourPlatforms[this.parkourPlatforms.length - 1];
-        const goalY = lastPlatform.position.y + heightStep;
-        this.goalPlatform.position.set(0, goalY, 0);
-        this.goalPlatform.userData.isGoal = true;
-        this.goalPlatform.userData.platformBounds = { width: 5, depth: 5 };
-
-        // Add pulsing glow effect marker (only if using box geometry fallback)
-        if (!this.goalModel) {
-            const glowGeo = new THREE.RingGeometry(2, 2.5, 32);
-            const glowMat = new THREE.MeshBasicMaterial({ color: 0x00ff88, side: THREE.DoubleSide });
-            const glowRing = new THREE.Mesh(glowGeo, glowMat);
-            glowRing.rotation.x = -Math.PI / 2;
-            glowRing.position.y = 0.3;
-            this.goalPlatform.add(glowRing);
-        }
-
-        this.scene.add(this.goalPlatform);
+            this.platformMeshes.push(platform);
+
+            // Checkpoint ring, kept out of the platform so model scaling doesn't apply to it
+            if (checkpoint !== null) {
+                const size = Math.min(width, depth) / 2;
+                const ring = new THREE.Mesh(
+                    new THREE.RingGeometry(size * 0.7, size * 0.85, 32),
+                    new THREE.MeshBasicMaterial({ color: 0xffaa00, side: THREE.DoubleSide })
+                );
+                ring.rotation.x = -Math.PI / 2;
+                ring.position.copy(position);
+                ring.position.y += height / 2 + 0.05;
+                this.scene.add(ring);
+                this.parkourPlatforms.push(ring);
+                this.checkpointRings[checkpoint] = ring;
+            }
+        });
     }
 
     clearParkourLevel() {
@@ -478,38 +1823,55 @@ export class Game {
             }
         });
         this.parkourPlatforms = [];
+        this.platformMeshes = [];
+        this.checkpointRings = [];
+    }
 
-        // Remove goal platform
-        if (this.goalPlatform) {
-            this.scene.remove(this.goalPlatform);
-            if (this.goalPlatform.geometry) {
-                this.goalPlatform.geometry.dispose();
+    // Moves the platform meshes to the core's (interpolated) platform poses; crumbling ones
+    // shake, fallen ones are hidden until they're back
+    syncParkourPlatforms() {
+        this.core.platforms.forEach((platform, i) => {
+            const mesh = this.platformMeshes[i];
+            mesh.position.copy(platform.renderPosition);
+            mesh.rotation.y = platform.renderAngle;
+            mesh.visible = platform.isSolid;
+            if (platform.isCrumbling) {
+                mesh.position.x += (Math.random() - 0.5) * CRUMBLE_SHAKE;
+                mesh.position.z += (Math.random() - 0.5) * CRUMBLE_SHAKE;
             }
-            this.goalPlatform = null;
-        }
+        });
     }
 
     winParkour() {
         this.isPlaying = false;
         this.isGameOver = true;
         this.controls.unlock();
+        this.setZoom(false);
         this.clock.stop();
 
-        const completionTime = Math.floor((Date.now() - this.parkourStartTime) / 1000);
+        const run = this.createRunRecord();
 
         this.hudEl.style.display = 'none';
         this.crosshairEl.style.display = 'none';
+        this.splitsEl.style.display = 'none';
+        this.abilitiesEl.style.display = 'none';
         this.endScreenEl.style.display = 'flex';
         this.endScreenEl.classList.add('parkour-win');
 
         // Update stats for parkour win
-        this.finalScoreEl.textContent = `${completionTime}s`;
+        this.finalScoreLabelEl.textContent = 'TIME';
+        this.finalScoreEl.textContent = this.formatRunResult(run);
         this.finalAccuracyEl.textContent = 'COMPLETE';
         this.finalHitsEl.textContent = '-';
         this.finalMissesEl.textContent = '-';
+        this.finalSeedEl.textContent = this.seed;
+        this.showShotAnalytics(null);
+        this.showSpatialAnalysis(null);
+        this.showZoneBreakdown(null);
+        this.showLeadError(null);
 
-        // Update labels temporarily
-        document.querySelector('.stat-item:first-child').innerHTML = `TIME <span id="final-score">${completionTime}s</span>`;
+        this.showPersonalBest(run, this.recordRun(run));
+        this.lastReplay = this.core.replay;
 
         this.soundManager.playGameOver(); // Could add a win sound instead
     }
@@ -574,6 +1936,7 @@ export class Game {
         const pillarMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.1 });
         const pillarEdgeMat = new THREE.MeshBasicMaterial({ color: 0xff00ff });
 
+        this.pillars = [];
         for (let i = 0; i < 20; i++) {
             const pillar = new THREE.Group();
             const body = new THREE.Mesh(pillarGeo, pillarMat);
@@ -585,11 +1948,8 @@ export class Game {
             pillar.add(body);
             pillar.add(line);
 
-            // Random position outside arena
-            const angle = Math.random() * Math.PI * 2;
-            const radius = 25 + Math.random() * 20;
-            pillar.position.set(Math.cos(angle) * radius, 7.5, Math.sin(angle) * radius);
             this.scene.add(pillar);
+            this.pillars.push(pillar);
         }
 
         // Procedural Decoration: Floating Shapes
@@ -607,19 +1967,13 @@ export class Game {
         });
 
         for (let i = 0; i < 15; i++) {
-            const geo = shapeGeos[Math.floor(Math.random() * shapeGeos.length)];
-            const mesh = new THREE.Mesh(geo, shapeMat);
-
-            mesh.position.set(
-                (Math.random() - 0.5) * 80,
-                10 + Math.random() * 10,
-                (Math.random() - 0.5) * 80
-            );
-
+            const mesh = new THREE.Mesh(shapeGeos[0], shapeMat);
             this.scene.add(mesh);
-            this.floatingShapes.push({ mesh, speed: (Math.random() * 0.5) + 0.1 });
+            this.floatingShapes.push({ mesh, shapeGeos, speed: 0 });
         }
 
+        this.layoutDecorations(this.seed);
+
 
         // Lights
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
@@ -634,27 +1988,38 @@ export class Game {
         this.scene.add(light2);
     }
 
-    spawnTarget() {
-        let target = this.targets.find(t => !t.isActive);
-        if (!target) {
-            target = new Target(this.scene);
-            this.targets.push(target);
-        }
+    // Place pillars and floating shapes from the seed's decor stream (cosmetic, not simulated)
+    layoutDecorations(seed) {
+        const random = new Random(seed).derive('decor');
 
-        const x = (Math.random() - 0.5) * 15;
-        const y = 1 + Math.random() * 4;
-        const z = -5 - Math.random() * 15;
+        this.pillars.forEach(pillar => {
+            // Random position outside arena
+            const angle = random.next() * Math.PI * 2;
+            const radius = 25 + random.next() * 20;
+            pillar.position.set(Math.cos(angle) * radius, 7.5, Math.sin(angle) * radius);
+        });
 
-        target.spawn(new THREE.Vector3(x, y, z));
+        this.floatingShapes.forEach(item => {
+            item.mesh.geometry = random.pick(item.shapeGeos);
+            item.mesh.position.set(
+                random.range(-40, 40),
+                10 + random.next() * 10,
+                random.range(-40, 40)
+            );
+            item.mesh.rotation.set(0, 0, 0);
+            item.speed = (random.next() * 0.5) + 0.1;
+        });
     }
 
-    createBulletTracer() {
+    // Defaults to the camera's eye and aim; replays pass the recorded ones
+    createBulletTracer(origin = this.camera.position, aim = null) {
         // Get camera direction
         const direction = new THREE.Vector3();
-        this.camera.getWorldDirection(direction);
+        if (aim) direction.copy(aim);
+        else this.camera.getWorldDirection(direction);
 
         // Start position (slightly in front of camera to simulate muzzle)
-        const start = this.camera.position.clone();
+        const start = origin.clone();
         start.add(direction.clone().multiplyScalar(0.5));
 
         // End position (50 units in front)
@@ -685,73 +2050,163 @@ export class Game {
     }
 
 
-    updateScoreUI() {
-        this.scoreEl.textContent = `Score: ${Math.floor(this.score)}`;
+    // Menus stop their own mousedowns, so this only sees clicks on the game itself
+    onMouseDown(event) {
+        if (this.editor.isActive) return; // The editor handles its own input
+        this.onInput(`Mouse${event.button}`, true);
     }
 
-    setMode(mode) {
-        this.gameMode = mode;
-        this.modeEl.textContent = `Mode: ${mode === 'static' ? 'Static (Reflex)' : 'Tracking'}`;
-        this.resetGame();
+    onKeyDown(event) {
+        if (this.bindingCapture) {
+            event.preventDefault();
+            if (event.code === 'Escape') this.cancelBindingCapture();
+            else this.finishBindingCapture(event.code === 'Backspace' || event.code === 'Delete' ? null : event.code);
+            return;
+        }
+        if (event.target.matches && event.target.matches('input, select, textarea')) return; // Typing in a form field
+        if (this.editor.isActive) return; // The editor handles its own input
+
+        // ESC always releases the pointer lock (browser rule), which pauses via the unlock handler
+        this.onInput(event.code, true, event.repeat);
+    }
+
+    onKeyUp(event) {
+        this.onInput(event.code, false);
+    }
+
+    // Applies a key or mouse button press/release to every action bound to it. Held actions
+    // follow the input; auto-repeated presses only repeat jumps and dashes.
+    onInput(code, pressed, repeat = false) {
+        this.bindings.getActions(code).forEach(action => {
+            switch (action) {
+                case 'forward': case 'backward': case 'left': case 'right': case 'sprint': case 'slide':
+                    this.input[action] = pressed;
+                    break;
+                case 'jump': case 'dash':
+                    if (pressed) this.input[action] = true;
+                    break;
+                case 'fire':
+                    // The core decides on its next tick whether this fires (rate, ammo, reload);
+                    // recoil, tracer and sound follow from its 'shot' event
+                    if (!pressed) this.input.trigger = false;
+                    else if (this.controls.isLocked && !this.isPaused && !this.isGameOver) {
+                        this.input.fire = true;
+                        this.input.trigger = true;
+                    }
+                    break;
+                case 'reload':
+                    if (pressed) this.input.reload = true;
+                    break;
+                case 'zoom':
+                    this.setZoom(pressed && this.controls.isLocked);
+                    break;
+                case 'pause':
+                    if (pressed && !repeat) this.togglePause();
+                    break;
+                case 'restart':
+                    if (pressed && !repeat) this.quickRestart();
+                    break;
+            }
+        });
     }
 
-    onMouseDown() {
-        if (!this.controls.isLocked) return;
-        if (this.isPaused || this.isGameOver) return;
+    // Halves the FOV (and the sensitivity with it) while the zoom input is held
+    setZoom(zoomed) {
+        if (zoomed === this.isZoomed) return;
+        this.isZoomed = zoomed;
+        this.input.zoom = zoomed;
+        this.camera.fov = zoomed ? FOV * ZOOM_FACTOR : FOV;
+        this.camera.updateProjectionMatrix();
+        this.controls.pointerSpeed = this.sensitivity * (zoomed ? ZOOM_FACTOR : 1);
+    }
 
-        // Weapon Recoil
-        this.weapon.shoot();
-        this.shotsFired++;
+    togglePause() {
+        if (!this.isPlaying || this.isGameOver) return;
+        if (this.isPaused) {
+            if (this.settingsEl.style.display !== 'flex') this.resumeGame();
+        } else if (this.controls.isLocked) {
+            this.controls.unlock(); // The unlock handler pauses
+        }
+    }
+
+    // Restart key: straight into a new attempt from the game, pause menu or end screen
+    quickRestart() {
+        if (this.replayPlayer.isActive || this.settingsEl.style.display === 'flex') return;
+        if (this.isPlaying || this.isGameOver) this.retryGame();
+    }
+
+    // One row per action with a button per binding slot
+    buildBindingsMenu() {
+        this.bindingButtons = {};
+        Object.entries(ACTIONS).forEach(([action, { name }]) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const label = document.createElement('span');
+            label.textContent = name;
+            row.appendChild(label);
+
+            this.bindingButtons[action] = Array.from({ length: BINDING_SLOTS }, (_, slot) => {
+                const btn = document.createElement('button');
+                btn.className = 'bind-btn';
+                // On mousedown so the press that picks a slot can't also be captured as its binding;
+                // while capturing, presses fall through to the settings menu's capture listener
+                btn.addEventListener('mousedown', (e) => {
+                    if (this.bindingCapture || e.button !== 0) return;
+                    e.stopPropagation();
+                    this.startBindingCapture(action, slot);
+                });
+                row.appendChild(btn);
+                return btn;
+            });
+            this.bindingsListEl.appendChild(row);
+        });
+        this.renderBindings();
+    }
 
-        // Create bullet tracer effect
-        this.createBulletTracer();
+    // Button labels, conflict highlights and the warning, plus the main menu's key hints
+    renderBindings() {
+        const conflicts = this.bindings.getConflicts();
+        const conflicting = new Set(conflicts.map(conflict => conflict.code));
+
+        Object.entries(this.bindingButtons).forEach(([action, buttons]) => {
+            buttons.forEach((btn, slot) => {
+                const code = this.bindings.get(action)[slot];
+                const capturing = this.bindingCapture &&
+                    this.bindingCapture.action === action && this.bindingCapture.slot === slot;
+                btn.textContent = capturing ? 'PRESS A KEY…' : InputBindings.describe(code);
+                btn.classList.toggle('capturing', Boolean(capturing));
+                btn.classList.toggle('conflict', conflicting.has(code));
+            });
+        });
 
-        // Play shoot sound
-        this.soundManager.playShoot();
+        this.bindingsWarningEl.textContent = conflicts.map(({ code, actions }) => {
+            const names = actions.map(action => ACTIONS[action].name).join(', ');
+            return `${InputBindings.describe(code)} is bound to ${names}`;
+        }).join('\n');
 
-        if (this.gameMode === 'static') {
-            this.raycaster.setFromCamera(this.center, this.camera);
-            const intersects = this.raycaster.intersectObjects(this.scene.children);
+        const first = (action) => InputBindings.describe(this.bindings.get(action)[0]);
+        const moveKeys = ['forward', 'left', 'backward', 'right'].map(first);
+        const move = moveKeys.join(moveKeys.every(key => key.length === 1) ? '' : '/');
+        this.instructionsEl.textContent = `${move} Move • ${first('sprint')} Sprint • ${first('jump')} Jump • ` +
+            `${first('dash')} Dash • ${first('slide')} Slide • ${first('reload')} Reload • ${first('restart')} Restart`;
+    }
 
-            for (let i = 0; i < intersects.length; i++) {
-                if (intersects[i].object.userData.target && intersects[i].object.userData.target.isActive) {
-                    intersects[i].object.userData.target.hit();
-                    this.score += 100;
-                    this.shotsHit++;
-                    this.updateHUD();
-                    this.spawnTarget();
-                    this.soundManager.playHit(); // Play hit sound
-                    break;
-                }
-            }
-        }
+    startBindingCapture(action, slot) {
+        this.bindingCapture = { action, slot };
+        this.renderBindings();
     }
 
-    onKeyDown(event) {
-        // Allow ESC to trigger default unlock which we handle
-        switch (event.code) {
-            case 'ArrowUp': case 'KeyW': this.moveForward = true; break;
-            case 'ArrowLeft': case 'KeyA': this.moveLeft = true; break;
-            case 'ArrowDown': case 'KeyS': this.moveBackward = true; break;
-            case 'ArrowRight': case 'KeyD': this.moveRight = true; break;
-            case 'ShiftLeft': this.isSprinting = true; break;
-            case 'Space':
-                if (this.canJump === true) {
-                    this.velocity.y += 10; // Jump force
-                    this.canJump = false;
-                }
-                break;
-        }
+    // code null clears the slot
+    finishBindingCapture(code) {
+        const { action, slot } = this.bindingCapture;
+        this.bindingCapture = null;
+        this.bindings.set(action, slot, code);
+        this.renderBindings();
     }
 
-    onKeyUp(event) {
-        switch (event.code) {
-            case 'ArrowUp': case 'KeyW': this.moveForward = false; break;
-            case 'ArrowLeft': case 'KeyA': this.moveLeft = false; break;
-            case 'ArrowDown': case 'KeyS': this.moveBackward = false; break;
-            case 'ArrowRight': case 'KeyD': this.moveRight = false; break;
-            case 'ShiftLeft': this.isSprinting = false; break;
-        }
+    cancelBindingCapture() {
+        this.bindingCapture = null;
+        this.renderBindings();
     }
 
     onWindowResize() {
@@ -760,6 +2215,7 @@ export class Game {
 
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
+        this.updateSensitivityReadout(); // FOV matching depends on the aspect ratio
 
         this.renderer.setSize(this.width, this.height);
         this.composer.setSize(this.width, this.height);
@@ -770,14 +2226,29 @@ export class Game {
 
         const delta = this.clock.getDelta();
 
+        if (this.editor.isActive) {
+            this.editor.update(delta);
+            this.render();
+            return;
+        }
+
+        if (this.replayPlayer.isActive) {
+            this.replayPlayer.update(delta);
+            this.core.posePlatforms(this.replayPlayer.time);
+            this.syncParkourPlatforms();
+            this.updateReplayUI();
+            this.render();
+            return;
+        }
+
         // While paused, we might still want to render (frozen) or continue menu background
         if (this.isPaused) {
-            this.composer.render();
+            this.render();
             return;
         }
 
         if (this.isGameOver) {
-            this.composer.render();
+            this.render();
             return;
         }
 
@@ -787,22 +2258,44 @@ export class Game {
             this.camera.position.z = Math.sin(time) * 10;
             this.camera.lookAt(0, 0, 0);
 
-            this.composer.render();
+            this.render();
             return;
         }
 
-        // Timer Logic
-        this.timeLeft -= delta;
-        if (this.timeLeft <= 0) {
-            this.timeLeft = 0;
-            this.updateHUD();
-            this.endGame();
-            return;
+        // Fixed-timestep simulation: advance in FIXED_STEP ticks regardless of frame rate,
+        // starting from the simulated (not interpolated) state of the previous frame
+        this.accumulator += Math.min(delta, MAX_FRAME_TIME);
+        this.core.restoreSimulation();
+
+        while (this.accumulator >= FIXED_STEP && this.isPlaying) {
+            this.accumulator -= FIXED_STEP;
+            if (!this.controls.isLocked) continue;
+
+            this.core.step(this.input);
+            this.input.jump = false;
+            this.input.dash = false;
+            this.input.fire = false;
+            this.input.reload = false;
         }
 
+        // Render between the last two ticks so motion stays smooth at any refresh rate
+        this.core.interpolate(this.accumulator / FIXED_STEP);
+        this.syncParkourPlatforms();
+        this.ghost.update(this.core.elapsedTime);
+        this.updateSpatialAudio(delta);
+
         // Update HUD periodically (every frame is fine for now)
         this.updateHUD();
 
+        // Parkour mode: elapsed time and height
+        if (this.scenario.type === 'parkour') {
+            if (this.timeEl) this.timeEl.textContent = `Time: ${Math.floor(this.core.elapsedTime)}s`;
+            if (this.heightEl) {
+                const height = Math.max(0, Math.floor(this.core.position.y - EYE_HEIGHT - this.core.startPoint.y));
+                this.heightEl.textContent = `Height: ${height}m`;
+            }
+        }
+
         // Decoration Animation
         if (this.floatingShapes) {
             const time = Date.now() * 0.001;
@@ -816,133 +2309,13 @@ export class Game {
         // Weapon Animation
         this.weapon.update(delta);
 
-        // Movement Logic
-        if (this.controls.isLocked) {
-            // Deceleration (Friction)
-            this.velocity.x -= this.velocity.x * 25.0 * delta;
-            this.velocity.z -= this.velocity.z * 25.0 * delta;
-
-            // Gravity
-            this.velocity.y -= 9.8 * 3.0 * delta; // 3.0 multiplier for snappier fall
-
-            this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
-            this.direction.x = Number(this.moveRight) - Number(this.moveLeft);
-            this.direction.normalize();
-
-            const baseAcceleration = 320.0;
-            const acceleration = this.isSprinting ? baseAcceleration * 1.6 : baseAcceleration;
-            if (this.moveForward || this.moveBackward) this.velocity.z -= this.direction.z * acceleration * delta;
-            if (this.moveLeft || this.moveRight) this.velocity.x -= this.direction.x * acceleration * delta;
-
-            this.controls.moveRight(-this.velocity.x * delta);
-            this.controls.moveForward(-this.velocity.z * delta);
-
-            // Y Movement (Jump/Gravity)
-            this.camera.position.y += this.velocity.y * delta;
-
-            // Ground Check / Platform Collision
-            if (this.gameMode === 'parkour') {
-                // Check platform collisions for parkour mode
-                const playerX = this.camera.position.x;
-                const playerY = this.camera.position.y - 1.6; // Feet position
-                const playerZ = this.camera.position.z;
-                let onPlatform = false;
-
-                // Check all platforms
-                const allPlatforms = [...this.parkourPlatforms];
-                if (this.goalPlatform) allPlatforms.push(this.goalPlatform);
-
-                for (const platform of allPlatforms) {
-                    const px = platform.position.x;
-                    const py = platform.position.y;
-                    const pz = platform.position.z;
-                    const bounds = platform.userData.platformBounds;
-                    const halfW = bounds.width / 2;
-                    const halfD = bounds.depth / 2;
-                    const platformTop = py + 0.25; // Platform center + half height (0.5/2)
-
-                    // Check if player is within platform XZ bounds
-                    const withinX = playerX >= px - halfW && playerX <= px + halfW;
-                    const withinZ = playerZ >= pz - halfD && playerZ <= pz + halfD;
-
-                    // Only snap when player feet are AT or BELOW platform top (landing on it)
-                    // This prevents the "teleport" effect when approaching from above
-                    const landedOnPlatform = playerY <= platformTop && playerY >= platformTop - 1.0;
-                    const fallingOnto = this.velocity.y <= 0;
-
-                    if (withinX && withinZ && landedOnPlatform && fallingOnto) {
-                        this.velocity.y = 0;
-                        this.camera.position.y = platformTop + 1.6; // Platform top + player height
-                        this.canJump = true;
-                        onPlatform = true;
-
-                        // Check if landed on goal
-                        if (platform.userData.isGoal) {
-                            this.winParkour();
-                            return;
-                        }
-                        break;
-                    }
-                }
-
-                // Fell too far - respawn
-                if (this.camera.position.y < -10) {
-                    this.camera.position.set(0, this.startPlatformY + 0.25 + 1.6, 0);
-                    this.velocity.set(0, 0, 0);
-                }
-
-                // Update height display
-                if (this.heightEl) {
-                    const height = Math.max(0, Math.floor(this.camera.position.y - this.startPlatformY));
-                    this.heightEl.textContent = `Height: ${height}m`;
-                }
-            } else {
-                // Normal ground check for other modes
-                if (this.camera.position.y < 1.6) {
-                    this.velocity.y = 0;
-                    this.camera.position.y = 1.6;
-                    this.canJump = true;
-                }
-            }
-
-            // Arena Boundaries Check (skip for parkour - no boundaries)
-            if (this.gameMode !== 'parkour') {
-                const limit = 19;
-                if (this.camera.position.x > limit) this.camera.position.x = limit;
-                if (this.camera.position.x < -limit) this.camera.position.x = -limit;
-                if (this.camera.position.z > limit) this.camera.position.z = limit;
-                if (this.camera.position.z < -limit) this.camera.position.z = -limit;
-            }
+        // Dynamic crosshair
+        if (this.crosshair.dynamic) {
+            this.dynamicGap.update(delta, this.core.speedFraction, this.input.sprint);
+            this.updateCrosshairGap();
         }
 
-        // Parkour mode: update elapsed time
-        if (this.gameMode === 'parkour') {
-            const elapsed = Math.floor((Date.now() - this.parkourStartTime) / 1000);
-            if (this.timeEl) this.timeEl.textContent = `Time: ${elapsed}s`;
-        }
-
-        // Game Mode Logic
-        if (this.controls.isLocked) {
-            this.targets.forEach(t => t.update(delta, this.gameMode));
-
-            if (this.gameMode === 'tracking') {
-                this.raycaster.setFromCamera(this.center, this.camera);
-                const intersects = this.raycaster.intersectObjects(this.scene.children);
-                let hittingTarget = false;
-                for (let i = 0; i < intersects.length; i++) {
-                    if (intersects[i].object.userData.target && intersects[i].object.userData.target.isActive) {
-                        hittingTarget = true;
-                        break;
-                    }
-                }
-
-                if (hittingTarget) {
-                    this.score += 100 * delta;
-                }
-            }
-        }
-
-        this.composer.render();
+        this.render();
     }
 
     async start() {
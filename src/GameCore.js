@@ -0,0 +1,1219 @@
+import * as THREE from 'three';
+import { Target } from './Target.js';
+import { Random } from './Random.js';
+import { ShotStats } from './ShotStats.js';
+import { ShotAnalysis } from './ShotAnalysis.js';
+import { ReplayRecorder, INPUT } from './Replay.js';
+import { WEAPONS } from './Weapons.js';
+import { SprayRecorder } from './SprayRecorder.js';
+import { Projectile } from './Projectile.js';
+import { resolveAbilities } from './Abilities.js';
+import { Platform, PLATFORM_HEIGHT } from './Platform.js';
+
+// GameCore.js - Headless game simulation: timer, player movement, parkour collision,
+// targets, shots and scoring.
+//
+// It only touches three.js math and scene objects (no DOM, no WebGL), so a run can be
+// driven from Node as well as from the browser. Game.js is the adapter that feeds it
+// keyboard/mouse input once per tick and turns its events into sounds and screens.
+//
+//   const core = new GameCore();
+//   core.start(scenario, { seed: 'abc', duration: 30 });
+//   while (core.isRunning) core.step({ forward: true, fire: true, yaw: 0.1 });
+//   console.log(core.score, core.result);
+//
+// Events (THREE.EventDispatcher): 'levelchange', 'spawn' { spawned }, 'shot' { hit, hitTarget, zone, killed, origin, direction,
+// projectile }, 'launch' { projectile }, 'dryfire', 'reload' { done }, 'spray' { spray } (see
+// SprayRecorder.js), 'checkpoint' { index, time }, 'ability' { ability } (a parkour ability
+// was used, see Abilities.js), 'end' { completed }. Projectile weapons dispatch 'launch' when fired and
+// 'shot' once the projectile hits or expires.
+// Payloads never use `target`: EventDispatcher sets it to the core while dispatching.
+
+export const FIXED_STEP = 1 / 120; // Simulation tick length in seconds
+export const EYE_HEIGHT = 1.6;
+export const START_PLATFORM_Y = 2;
+
+const ARENA_LIMIT = 19;
+const FRICTION = 25.0;
+const GRAVITY = 9.8 * 3.0; // 3x for a snappier fall
+const ACCELERATION = 320.0;
+const SPRINT_MULTIPLIER = 1.6;
+const JUMP_VELOCITY = 10;
+const PLAYER_RADIUS = 0.35; // Collision capsule, from the feet up
+const PLAYER_HEIGHT = 1.8;
+const STEP_HEIGHT = 0.35; // Ledges up to this high are walked onto instead of blocking
+const STEP_MIN = 0.02; // Lower than this is the ground sinking under gravity for a tick, not a ledge
+const GROUND_NORMAL = 0.7; // Contacts facing up at least this much (cosine) are ground
+const MAX_SUBSTEP = 0.2; // Longest move between collision checks, so fast falls can't tunnel
+// Parkour abilities
+const DOUBLE_JUMP_VELOCITY = 9;
+const DASH_SPEED = 28;
+const DASH_TIME = 0.15; // Seconds without gravity or friction
+const DASH_COOLDOWN = 1.5;
+const WALL_RUN_TIME = 1.2; // Seconds of wall-running per time in the air
+const WALL_RUN_MIN_SPEED = 6; // Horizontal speed needed to start and keep running
+const WALL_RUN_GRAVITY = 0.15; // Share of gravity while running
+const WALL_RUN_RISE = 2; // Most upward speed kept when starting to run, so it's no wall-climb
+const WALL_RUN_STICK = 2; // Speed towards the wall that keeps the player on it
+const WALL_JUMP_PUSH = 9; // Speed away from the wall when jumping off
+const WALL_JUMP_LOCK = 0.3; // Seconds after a wall jump before running on a wall again
+const SLIDE_MIN_SPEED = 14; // Horizontal speed needed to start a slide (walking tops out below)
+const SLIDE_BOOST = 1.25;
+const SLIDE_TIME = 0.8;
+const SLIDE_FRICTION = 0.01; // Share of ground friction while sliding
+const SLIDE_COOLDOWN = 1;
+const WALK_SPEED = ACCELERATION / FRICTION; // Top horizontal speed without sprinting
+// Behaviours the spiral generator mixes in, each from a level difficulty on (see Platform.js)
+const GENERATED_BEHAVIOURS = [
+    { kind: 'boost', from: 0 },
+    { kind: 'conveyor', from: 0.1 },
+    { kind: 'bounce', from: 0.2 },
+    { kind: 'move', from: 0.3 },
+    { kind: 'rotate', from: 0.5 },
+    { kind: 'crumble', from: 0.6 }
+];
+const BEHAVIOUR_CHANCE = 0.6; // Share of the platforms with a behaviour at difficulty 1
+const PROJECTILE_LIFETIME = 5; // Seconds before a projectile that hit nothing is dropped
+const SURROUND_ATTEMPTS = 32; // Tries at finding a surround spawn outside the view
+const SURROUND_VIEW_MARGIN = THREE.MathUtils.degToRad(10); // Extra angle past the screen corners
+
+const _center = new THREE.Vector2(0, 0);
+const _right = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _aimDirection = new THREE.Vector3();
+const _shotDirection = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _normal = new THREE.Vector3();
+const _wish = new THREE.Vector3();
+const _dash = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+export class GameCore extends THREE.EventDispatcher {
+    // Pass the renderer's scene and camera to share them; both default to fresh objects when headless
+    constructor({ scene = new THREE.Scene(), camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000) } = {}) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+        this.raycaster = new THREE.Raycaster();
+
+        this.scenario = null;
+        this.seed = null;
+        this.duration = null;
+        this.isRunning = false;
+        this.result = null; // Set when the run ends (see finish())
+        this.replay = null; // Recording of the last finished run
+
+        this.score = 0;
+        this.kills = 0;
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.elapsedTime = 0;
+        this.timeLeft = null;
+
+        this.targets = []; // Target pool, indices are stable for replays
+        this.targetCells = new Map(); // Target -> grid cell index, for grid layouts
+        this.zoneStats = {}; // Hits (hit scoring) or seconds on target (track scoring) per hit zone
+        this.platforms = []; // Platform instances (Platform.js) — meshes are built by the renderer
+        this.groundPlatform = null; // Platform stood on last tick, which carries the player
+        this.splits = []; // Parkour: time each checkpoint was first reached (null until then), by checkpoint index
+        this.startPoint = new THREE.Vector3(); // Parkour: feet position the player starts at
+        this.spawnPoint = new THREE.Vector3(); // Parkour: feet position the player respawns at (moves to checkpoints)
+
+        // Player (eye position; previousPosition is the tick before, for interpolation)
+        this.position = new THREE.Vector3(0, EYE_HEIGHT, 0);
+        this.previousPosition = this.position.clone();
+        this.velocity = new THREE.Vector3(); // World space
+        this.direction = new THREE.Vector3();
+        this.airTime = Infinity; // Seconds since last standing on something; Infinity after a jump
+        this.jumpQueued = 0; // Seconds a jump press is still remembered (jump buffering)
+
+        // Parkour abilities (see Abilities.js): which ones this run has, and their state
+        this.abilities = resolveAbilities(null);
+        this.airJumps = 0; // Double jumps left before landing
+        this.dashTime = 0; // Seconds left of the current dash
+        this.dashCooldown = 0;
+        this.wallRunTime = 0; // Seconds of wall-running left before landing again
+        this.isWallRunning = false;
+        this.wallRunLock = 0; // Seconds until wall-running is possible again after a wall jump
+        this.wallNormal = new THREE.Vector3(); // Of the wall touched last tick, when wallContact
+        this.wallContact = false;
+        this.slideTime = 0; // Seconds left of the current slide
+        this.slideCooldown = 0;
+
+        // Weapon (definition from Weapons.js) and its live state
+        this.weapon = WEAPONS.classic;
+        this.ammo = null; // null = unlimited
+        this.reloadTimer = 0; // Seconds left of the current reload, 0 when not reloading
+        this.fireCooldown = 0; // Seconds until the next shot may fire
+        this.burstRemaining = 0;
+        this.bloom = 0; // Accumulated spread in degrees, recovers over time
+        this.firedThisTick = false;
+        // Camera offset (radians) the recoil pattern has kicked the aim by, and the spray position
+        // in the pattern; `recoilRecovery` holds their per-second recovery rates
+        this.recoil = { yaw: 0, pitch: 0, shots: 0 };
+        this.recoilRecovery = { yaw: 0, pitch: 0, shots: 0 };
+        this.sprayRecorder = new SprayRecorder();
+        this.projectiles = []; // Projectile instances in flight
+        this.leadErrors = []; // Signed lead error per projectile fired at a moving target
+
+        this.shotStats = new ShotStats(); // Reaction time / TTK analytics
+        this.shotAnalysis = new ShotAnalysis(); // Shot offsets and aim paths
+        this.replayRecorder = new ReplayRecorder();
+    }
+
+    // Seeded randomness, one stream per subsystem so they can't shift each other
+    seedRandoms(seed) {
+        const root = new Random(seed);
+        this.spawnRandom = root.derive('spawn');
+        this.motionRandom = root.derive('motion');
+        this.levelRandom = root.derive('level');
+        this.platformRandom = root.derive('platforms');
+        this.weaponRandom = root.derive('weapon');
+    }
+
+    // Prepares the deterministic world for a scenario + seed without starting a run (replays use this)
+    load(scenario, seed) {
+        this.scenario = scenario;
+        this.seed = seed;
+        this.isRunning = false;
+        this.seedRandoms(seed);
+
+        this.targets.forEach(t => t.despawn());
+        this.targetCells.clear();
+        this.projectiles.forEach(p => p.dispose());
+        this.projectiles = [];
+        this.platforms = scenario.type === 'parkour' ? this.buildLevel(scenario.level) : [];
+        this.dispatchEvent({ type: 'levelchange' });
+    }
+
+    // options: { seed, duration (null = untimed, defaults to the scenario's), weapon (definition,
+    // defaults to the scenario's), sensitivity (recorded only) }
+    start(scenario, {
+        seed = Random.randomSeed(),
+        duration = scenario.duration,
+        weapon = WEAPONS[scenario.weapon],
+        sensitivity = 1,
+        abilities = {} // The player's ability switches; the scenario's rules apply on top
+    } = {}) {
+        this.load(scenario, seed);
+        this.abilities = resolveAbilities(scenario.type === 'parkour' ? scenario.abilities : null, abilities);
+
+        this.weapon = weapon;
+        this.ammo = weapon.magazine;
+        this.reloadTimer = 0;
+        this.fireCooldown = 0;
+        this.burstRemaining = 0;
+        this.bloom = 0;
+        this.recoil = { yaw: 0, pitch: 0, shots: 0 };
+        this.sprayRecorder.reset();
+
+        this.duration = duration;
+        this.score = 0;
+        this.kills = 0;
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.elapsedTime = 0;
+        this.timeLeft = duration;
+        this.result = null;
+        this.replay = null;
+        this.shotStats.reset();
+        this.shotAnalysis.reset();
+        this.leadErrors = [];
+        this.zoneStats = {};
+        this.splits = this.platforms.filter(platform => platform.checkpoint !== null).map(() => null);
+        if (scenario.targets) {
+            Object.keys(scenario.targets.damage).forEach(zone => { this.zoneStats[zone] = 0; });
+        }
+
+        if (scenario.type === 'parkour') {
+            this.respawn();
+        } else {
+            // Player first: surround layouts spawn around them
+            this.teleport(0, EYE_HEIGHT, 0);
+            for (let i = 0; i < scenario.targets.count; i++) {
+                this.spawnTarget();
+            }
+        }
+        this.velocity.set(0, 0, 0);
+        this.airTime = Infinity;
+        this.jumpQueued = 0;
+        this.refreshAirAbilities();
+        this.dashTime = 0;
+        this.dashCooldown = 0;
+        this.isWallRunning = false;
+        this.wallRunLock = 0;
+        this.wallContact = false;
+        this.slideTime = 0;
+        this.slideCooldown = 0;
+        this.isRunning = true;
+
+        this.replayRecorder.start({ scenario, seed, sensitivity, duration, weapon: weapon.id });
+    }
+
+    // Ends the run: `completed` is true when a parkour goal was reached
+    finish(completed) {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+
+        const isParkour = this.scenario.type === 'parkour';
+        this.result = {
+            completed,
+            score: Math.floor(this.score),
+            accuracy: this.shotsFired > 0 ? this.shotsHit / this.shotsFired * 100 : 0,
+            hits: this.shotsHit,
+            misses: this.shotsFired - this.shotsHit,
+            time: completed ? Math.round(this.elapsedTime * 100) / 100 : null,
+            analytics: isParkour ? null : this.shotStats.summarize(this.elapsedTime),
+            spatial: isParkour ? null : this.shotAnalysis.summarize(),
+            zones: this.summarizeZones(),
+            lead: this.summarizeLead(),
+            splits: isParkour ? [...this.splits] : null
+        };
+        this.replay = this.replayRecorder.finish(this.result);
+        this.dispatchEvent({ type: 'end', completed });
+    }
+
+    // Lead error of projectile shots at moving targets, in world units; null when there were none
+    summarizeLead() {
+        const errors = this.leadErrors;
+        if (errors.length === 0) return null;
+
+        return {
+            shots: errors.length,
+            meanError: errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length,
+            ahead: errors.filter(error => error > 0).length,
+            behind: errors.filter(error => error < 0).length
+        };
+    }
+
+    // Per-zone breakdown for the end screen; null when targets have a single zone
+    summarizeZones() {
+        const targets = this.scenario.targets;
+        if (!targets || targets.shape === 'sphere') return null;
+
+        const values = {};
+        Object.entries(this.zoneStats).forEach(([zone, value]) => {
+            values[zone] = Math.round(value * 100) / 100;
+        });
+        return { unit: this.scenario.scoring.type === 'track' ? 'seconds' : 'hits', values };
+    }
+
+    // Platforms of a parkour level, hand-made (see Level.js) or generated, and sets the start
+    // and spawn points
+    buildLevel(level) {
+        if (level.platforms) {
+            this.startPoint.fromArray(level.start);
+            this.spawnPoint.copy(this.startPoint);
+            let checkpoints = 0;
+            return level.platforms.map(({ position, goal, checkpoint, ...platform }) => new Platform({
+                ...platform,
+                position: new THREE.Vector3().fromArray(position),
+                isGoal: goal,
+                checkpoint: checkpoint ? checkpoints++ : null
+            }));
+        }
+        // On top of the start platform
+        this.startPoint.set(0, START_PLATFORM_Y + PLATFORM_HEIGHT / 2, 0);
+        this.spawnPoint.copy(this.startPoint);
+        return this.generateLevel(level);
+    }
+
+    // Spiral of ascending platforms from the start platform up to the goal, with `checkpoints`
+    // of them spread evenly along the way and more moving, crumbling, ... ones the higher
+    // the `difficulty`
+    generateLevel({ platformCount, maxHeight, checkpoints, difficulty }) {
+        const random = this.levelRandom;
+        const heightStep = maxHeight / platformCount; // ~1.25 units per platform
+        const platforms = [];
+
+        // Start platform (larger)
+        platforms.push(new Platform({ position: new THREE.Vector3(0, START_PLATFORM_Y, 0), width: 6, depth: 6 }));
+        const checkpointAt = new Map();
+        for (let i = 1; i <= checkpoints; i++) {
+            checkpointAt.set(Math.round(i * (platformCount + 1) / (checkpoints + 1)), i - 1);
+        }
+
+        let angle = 0;
+        for (let i = 1; i <= platformCount; i++) {
+            // Larger platforms - minimum size 2.5
+            const sizeFactor = Math.max(0.6, 1 - (i / platformCount) * 0.4);
+            const size = 3 * sizeFactor + 1.5;
+
+            // More spread out horizontally
+            const radius = 5 + random.next() * 4;
+            angle += (Math.PI / 5) + (random.next() * Math.PI / 6); // Smaller angle increments
+            const position = new THREE.Vector3(
+                Math.cos(angle) * radius,
+                START_PLATFORM_Y + (i * heightStep),
+                Math.sin(angle) * radius
+            );
+            const checkpoint = checkpointAt.get(i) ?? null;
+            // Checkpoints stay plain so respawning on them is safe
+            const behaviour = checkpoint === null ? this.generateBehaviour(difficulty, position, angle) : {};
+            platforms.push(new Platform({ position, width: size, depth: size, checkpoint, ...behaviour }));
+        }
+
+        // Goal platform above the last one
+        const goalY = platforms[platforms.length - 1].position.y + heightStep;
+        platforms.push(new Platform({ position: new THREE.Vector3(0, goalY, 0), width: 5, depth: 5, isGoal: true }));
+        return platforms;
+    }
+
+    // Platform options (see Platform.js) for a spiral platform at `position`, `angle` radians
+    // around the spiral: usually none at low difficulty, faster and nastier ones higher up.
+    // Uses its own random stream, so the spiral's layout is the same at every difficulty.
+    generateBehaviour(difficulty, position, angle) {
+        const random = this.platformRandom;
+        if (random.next() >= difficulty * BEHAVIOUR_CHANCE) return {};
+
+        const available = GENERATED_BEHAVIOURS.filter(({ from }) => from <= difficulty);
+        const { kind } = available[Math.floor(random.next() * available.length)];
+        switch (kind) {
+            case 'boost':
+                return { boost: 1.5 };
+            case 'conveyor': {
+                const direction = random.next() * Math.PI * 2;
+                const speed = 2 + difficulty * 3;
+                return { conveyor: [Math.cos(direction) * speed, Math.sin(direction) * speed] };
+            }
+            case 'bounce':
+                return { bounce: JUMP_VELOCITY * 1.3 };
+            case 'move': {
+                // Back and forth along the spiral
+                const distance = 2 + difficulty * 3;
+                const end = [
+                    position.x - Math.sin(angle) * distance,
+                    position.y,
+                    position.z + Math.cos(angle) * distance
+                ];
+                return { move: { path: [end], speed: 1 + difficulty * 2 } };
+            }
+            case 'rotate':
+                return { rotate: (random.next() < 0.5 ? -1 : 1) * (20 + difficulty * 40) };
+            case 'crumble':
+                return { crumble: { delay: 1 - difficulty * 0.6, respawn: 3 } };
+        }
+        return {};
+    }
+
+    // `clearedCell` is the grid cell of the target just killed, which the new one must avoid
+    spawnTarget(clearedCell = null) {
+        let target = this.targets.find(t => !t.isActive);
+        if (!target) {
+            target = new Target(this.scene);
+            this.targets.push(target);
+        }
+
+        const config = this.scenario.targets;
+        const position = new THREE.Vector3();
+        if (config.layout.type === 'grid') {
+            const cell = this.pickFreeCell(clearedCell);
+            this.targetCells.set(target, cell);
+            position.copy(this.getCellPosition(cell));
+        } else if (config.layout.type === 'surround') {
+            this.pickSurroundPosition(position);
+        } else {
+            const { min, max } = config.spawn;
+            position.set(
+                this.spawnRandom.range(min[0], max[0]),
+                this.spawnRandom.range(min[1], max[1]),
+                this.spawnRandom.range(min[2], max[2])
+            );
+        }
+
+        target.spawn(position, this.motionRandom, config);
+        this.shotStats.recordSpawn(target, this.elapsedTime);
+        this.dispatchEvent({ type: 'spawn', spawned: target });
+    }
+
+    // Random spot on a ring around the player, kept inside the arena. With `outsideView`
+    // it has to lie outside the cone through the screen corners, so it can't be seen
+    // without turning (the last try is used if none is).
+    pickSurroundPosition(position) {
+        const { minDistance, maxDistance, minHeight, maxHeight, outsideView } = this.scenario.targets.layout;
+        const camera = this.camera;
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+        const minAngle = Math.atan(Math.hypot(halfHeight, halfHeight * camera.aspect)) + SURROUND_VIEW_MARGIN;
+        _aimDirection.set(0, 0, -1).applyQuaternion(camera.quaternion);
+
+        for (let attempt = 0; attempt < SURROUND_ATTEMPTS; attempt++) {
+            const angle = this.spawnRandom.range(0, Math.PI * 2);
+            const distance = this.spawnRandom.range(minDistance, maxDistance);
+            position.set(
+                THREE.MathUtils.clamp(this.position.x + Math.sin(angle) * distance, -ARENA_LIMIT, ARENA_LIMIT),
+                this.spawnRandom.range(minHeight, maxHeight),
+                THREE.MathUtils.clamp(this.position.z + Math.cos(angle) * distance, -ARENA_LIMIT, ARENA_LIMIT)
+            );
+            if (!outsideView) return;
+            _forward.subVectors(position, this.position);
+            if (_forward.angleTo(_aimDirection) > minAngle) return;
+        }
+    }
+
+    // Random cell that's neither occupied nor the one just cleared (validation keeps one free)
+    pickFreeCell(clearedCell) {
+        const { columns, rows } = this.scenario.targets.layout;
+        const occupied = new Set(this.targetCells.values());
+        const free = [];
+        for (let cell = 0; cell < columns * rows; cell++) {
+            if (!occupied.has(cell) && cell !== clearedCell) free.push(cell);
+        }
+        return this.spawnRandom.pick(free);
+    }
+
+    // Cells are numbered row by row from the bottom left; the wall is centred in front of the player
+    getCellPosition(cell) {
+        const { columns, rows, spacing, distance, height } = this.scenario.targets.layout;
+        const column = cell % columns;
+        const row = Math.floor(cell / columns);
+        return new THREE.Vector3(
+            (column - (columns - 1) / 2) * spacing,
+            height + (row - (rows - 1) / 2) * spacing,
+            -distance
+        );
+    }
+
+    // First landing on a checkpoint records its split and respawns the player there from now on
+    reachCheckpoint({ position, height, checkpoint }) {
+        if (this.splits[checkpoint] !== null) return;
+        const time = Math.round(this.elapsedTime * 100) / 100;
+        this.splits[checkpoint] = time;
+        this.spawnPoint.set(position.x, position.y + height / 2, position.z);
+        this.dispatchEvent({ type: 'checkpoint', index: checkpoint, time });
+    }
+
+    // Parkour: back to the spawn point, standing still
+    respawn() {
+        this.teleport(this.spawnPoint.x, this.spawnPoint.y + EYE_HEIGHT, this.spawnPoint.z);
+        this.velocity.set(0, 0, 0);
+        this.groundPlatform = null;
+    }
+
+    // Moves the player without interpolating from the old spot (spawns, respawns)
+    teleport(x, y, z) {
+        this.position.set(x, y, z);
+        this.previousPosition.set(x, y, z);
+        this.camera.position.set(x, y, z);
+    }
+
+    // Camera and target meshes hold the simulated state during ticks and an interpolated
+    // one while rendering; the renderer swaps between the two around its tick loop
+    restoreSimulation() {
+        this.camera.position.copy(this.position);
+        this.platforms.forEach(p => p.restoreSimulation());
+        this.targets.forEach(t => t.restoreSimulation());
+        this.projectiles.forEach(p => p.restoreSimulation());
+    }
+
+    // Replays: platforms where they were `time` seconds into the run
+    posePlatforms(time) {
+        this.platforms.forEach(platform => {
+            platform.pose(time);
+            platform.restoreSimulation();
+        });
+    }
+
+    interpolate(alpha) {
+        this.camera.position.lerpVectors(this.previousPosition, this.position, alpha);
+        this.platforms.forEach(p => p.interpolate(alpha));
+        this.targets.forEach(t => t.interpolate(alpha));
+        this.projectiles.forEach(p => p.interpolate(alpha));
+    }
+
+    // The active target and hit zone under the crosshair (or along `direction` from the eye,
+    // for shots with spread): { target, zone } or null
+    findTargetAtCrosshair(direction = null) {
+        this.camera.updateMatrixWorld(); // Position moved this tick, matrices are only refreshed on render
+        if (direction) this.raycaster.set(this.position, direction);
+        else this.raycaster.setFromCamera(_center, this.camera);
+        const meshes = this.targets.filter(t => t.isActive).map(t => t.mesh);
+        meshes.forEach(mesh => mesh.updateMatrixWorld()); // Moved since the last render (or never rendered headless)
+        const intersects = this.raycaster.intersectObjects(meshes, true);
+        if (intersects.length === 0) return null;
+
+        const { target, zone } = intersects[0].object.userData;
+        return { target, zone };
+    }
+
+    // Sweeps a projectile's last tick against every target's own motion over that tick, so
+    // fast shots can't tunnel through moving targets: { target, zone } of the earliest hit or null
+    findProjectileHit(projectile) {
+        let nearest = null;
+        this.targets.forEach(target => {
+            if (!target.isActive) return;
+
+            const { start, end } = projectile.relativeSegment(target.previousPosition, target.mesh.position);
+            const length = start.distanceTo(end);
+            if (length === 0) return;
+
+            this.raycaster.set(start, end.sub(start).divideScalar(length));
+            this.raycaster.far = length;
+            target.mesh.updateMatrixWorld();
+            const [intersect] = this.raycaster.intersectObject(target.mesh, true);
+            if (intersect && (!nearest || intersect.distance < nearest.distance)) {
+                nearest = { distance: intersect.distance, ...intersect.object.userData };
+            }
+        });
+        this.raycaster.far = Infinity;
+        return nearest && { target: nearest.target, zone: nearest.zone };
+    }
+
+    // Headshots score extra, other zones score the base amount
+    getZoneMultiplier(zone) {
+        return zone === 'head' ? this.scenario.scoring.headshotMultiplier : 1;
+    }
+
+    // One fixed simulation tick. input: { forward, backward, left, right, sprint, trigger, slide,
+    // zoom, jump, dash, fire, reload, yaw?, pitch? } — jump, dash, fire and reload are presses to
+    // apply this tick, the rest are held states (trigger = fire button held, for automatic
+    // weapons; zoom only goes into the replay).
+    // Aim is taken from the camera unless yaw/pitch (radians, YXZ order) are given; recoil is
+    // added on top of a given aim, as it is on top of the mouse in the browser.
+    step(input = {}) {
+        if (!this.isRunning) return;
+        const delta = FIXED_STEP;
+
+        if (input.yaw !== undefined || input.pitch !== undefined) {
+            const [yaw, pitch] = ShotAnalysis.getAim(this.camera);
+            _euler.set(
+                input.pitch !== undefined ? input.pitch + this.recoil.pitch : pitch,
+                input.yaw !== undefined ? input.yaw + this.recoil.yaw : yaw,
+                0
+            );
+            this.camera.quaternion.setFromEuler(_euler);
+        }
+
+        // Timer (untimed scenarios count up instead)
+        this.elapsedTime += delta;
+        if (this.timeLeft !== null) {
+            this.timeLeft -= delta;
+            if (this.timeLeft <= 0) {
+                this.timeLeft = 0;
+                this.finish(false);
+                return;
+            }
+        }
+
+        this.previousPosition.copy(this.position);
+        this.targets.forEach(t => t.savePrevious());
+
+        // Platforms move first and carry whoever stood on them, turning the view with rotating ones
+        this.platforms.forEach(platform => platform.update(this.elapsedTime, delta));
+        if (this.groundPlatform) {
+            const turn = this.groundPlatform.carry(this.position, delta);
+            if (turn !== 0) this.rotateAim(turn, 0);
+        }
+
+        this.jump(input, delta);
+        this.dash(input, delta);
+        this.slide(input, delta);
+        this.wallRun(input, delta);
+        this.move(input, delta);
+        if (this.scenario.type === 'parkour') {
+            this.collidePlatforms(delta);
+            if (!this.isRunning) return;
+        } else {
+            this.position.addScaledVector(this.velocity, delta);
+            this.collideArena();
+        }
+        this.camera.position.copy(this.position);
+
+        // Reactive motion patterns watch the crosshair ray
+        _aimDirection.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const aim = { origin: this.position, direction: _aimDirection };
+        this.targets.forEach(t => t.update(delta, aim));
+        this.shotAnalysis.sampleAim(this.camera);
+        this.updateProjectiles(delta);
+        if (!this.isRunning) return;
+
+        this.updateWeapon(input, delta);
+        if (!this.isRunning) return;
+
+        this.replayRecorder.recordFrame(
+            this.elapsedTime,
+            this.position,
+            ShotAnalysis.getAim(this.camera),
+            GameCore.getInputBits({ ...input, fired: this.firedThisTick }),
+            this.score,
+            this.targets
+        );
+
+        const scoring = this.scenario.scoring;
+        if (scoring && scoring.type === 'track') {
+            const aimed = this.findTargetAtCrosshair();
+            if (aimed) {
+                this.score += scoring.pointsPerSecond * this.getZoneMultiplier(aimed.zone) * delta;
+                this.zoneStats[aimed.zone] += delta;
+                this.checkWinCondition();
+            }
+        }
+    }
+
+    // Held inputs packed into the replay's per-frame bit field
+    static getInputBits(input) {
+        let bits = 0;
+        if (input.forward) bits |= INPUT.FORWARD;
+        if (input.backward) bits |= INPUT.BACKWARD;
+        if (input.left) bits |= INPUT.LEFT;
+        if (input.right) bits |= INPUT.RIGHT;
+        if (input.sprint) bits |= INPUT.SPRINT;
+        if (input.fired) bits |= INPUT.FIRE;
+        if (input.reload) bits |= INPUT.RELOAD;
+        if (input.jump) bits |= INPUT.JUMP;
+        if (input.dash) bits |= INPUT.DASH;
+        if (input.slide) bits |= INPUT.SLIDE;
+        if (input.zoom) bits |= INPUT.ZOOM;
+        return bits;
+    }
+
+    get isGrounded() {
+        return this.airTime === 0;
+    }
+
+    // Readiness of every ability for the HUD: `ready` from 0 (just used) to 1, `active` while in use
+    get abilityStatus() {
+        return {
+            doubleJump: { ready: this.airJumps > 0 ? 1 : 0, active: false },
+            dash: { ready: 1 - this.dashCooldown / DASH_COOLDOWN, active: this.dashTime > 0 },
+            wallRun: { ready: this.wallRunTime / WALL_RUN_TIME, active: this.isWallRunning },
+            slide: { ready: this.slideTime > 0 ? 0 : 1 - this.slideCooldown / SLIDE_COOLDOWN, active: this.slideTime > 0 }
+        };
+    }
+
+    // Landing (or jumping off a wall, for the double jump) gives these back
+    refreshAirAbilities() {
+        this.airJumps = this.abilities.doubleJump ? 1 : 0;
+        this.wallRunTime = this.abilities.wallRun ? WALL_RUN_TIME : 0;
+    }
+
+    // World-space direction of the held movement keys along the ground (zero when none are held).
+    // Same axes as PointerLockControls.moveRight/moveForward, ignoring pitch.
+    getWishDirection(input, target) {
+        this.direction.z = Number(!!input.forward) - Number(!!input.backward);
+        this.direction.x = Number(!!input.right) - Number(!!input.left);
+        this.direction.normalize();
+
+        _right.set(1, 0, 0).applyQuaternion(this.camera.quaternion);
+        _forward.crossVectors(this.camera.up, _right);
+        return target.copy(_right).multiplyScalar(this.direction.x).addScaledVector(_forward, this.direction.z);
+    }
+
+    // From the ground (or up to coyoteTime seconds after leaving it), off a wall while
+    // wall-running, or once more in the air with double jump. A press is kept for jumpBuffer
+    // seconds, so one made just before landing still jumps.
+    jump(input, delta) {
+        const { coyoteTime, jumpBuffer } = this.scenario.movement;
+        if (input.jump) this.jumpQueued = jumpBuffer + delta;
+
+        if (this.jumpQueued > 0) {
+            if (this.airTime <= coyoteTime) {
+                this.velocity.y = JUMP_VELOCITY;
+            } else if (this.isWallRunning) {
+                this.velocity.y = JUMP_VELOCITY;
+                this.velocity.addScaledVector(this.wallNormal, WALL_JUMP_PUSH);
+                this.isWallRunning = false;
+                this.wallRunLock = WALL_JUMP_LOCK; // Holding towards the wall shouldn't catch it again
+                this.airJumps = this.abilities.doubleJump ? 1 : 0;
+            } else if (input.jump && this.airJumps > 0) {
+                // Only a fresh press: a buffered one is waiting for the ground
+                this.velocity.y = DOUBLE_JUMP_VELOCITY;
+                this.airJumps--;
+                this.dispatchEvent({ type: 'ability', ability: 'doubleJump' });
+            } else {
+                this.jumpQueued = Math.max(0, this.jumpQueued - delta);
+                return;
+            }
+            this.airTime = Infinity;
+            this.jumpQueued = 0;
+            this.slideTime = 0;
+        }
+    }
+
+    // A burst along the movement keys (or the view) that ignores gravity and friction for DASH_TIME
+    dash(input, delta) {
+        this.dashTime = Math.max(0, this.dashTime - delta);
+        this.dashCooldown = Math.max(0, this.dashCooldown - delta);
+        if (!input.dash || !this.abilities.dash || this.dashCooldown > 0) return;
+
+        const direction = this.getWishDirection(input, _dash);
+        if (direction.lengthSq() === 0) direction.copy(_forward);
+        this.velocity.copy(direction).multiplyScalar(DASH_SPEED);
+        this.dashTime = DASH_TIME;
+        this.dashCooldown = DASH_COOLDOWN;
+        this.slideTime = 0;
+        this.dispatchEvent({ type: 'ability', ability: 'dash' });
+    }
+
+    // Holding slide while sprinting fast on the ground keeps (and boosts) momentum for SLIDE_TIME;
+    // releasing it, jumping or leaving the ground ends the slide
+    slide(input, delta) {
+        this.slideCooldown = Math.max(0, this.slideCooldown - delta);
+        if (this.slideTime > 0) {
+            this.slideTime = input.slide && this.isGrounded ? Math.max(0, this.slideTime - delta) : 0;
+            if (this.slideTime === 0) this.slideCooldown = SLIDE_COOLDOWN;
+            return;
+        }
+
+        const speed = Math.hypot(this.velocity.x, this.velocity.z);
+        if (!input.slide || !input.sprint || !this.abilities.slide || this.slideCooldown > 0 ||
+            !this.isGrounded || speed < SLIDE_MIN_SPEED) {
+            return;
+        }
+        this.velocity.x *= SLIDE_BOOST;
+        this.velocity.z *= SLIDE_BOOST;
+        this.slideTime = SLIDE_TIME;
+        this.dispatchEvent({ type: 'ability', ability: 'slide' });
+    }
+
+    // Airborne against a wall, holding forward and moving fast enough along it: runs on the wall
+    // with little gravity while wallRunTime lasts
+    wallRun(input, delta) {
+        this.wallRunLock = Math.max(0, this.wallRunLock - delta);
+        const running = this.abilities.wallRun && this.wallContact && !this.isGrounded && input.forward &&
+            this.wallRunTime > 0 && this.wallRunLock === 0 && Math.hypot(this.velocity.x, this.velocity.z) >= WALL_RUN_MIN_SPEED;
+        if (running && !this.isWallRunning) {
+            this.velocity.y = THREE.MathUtils.clamp(this.velocity.y, 0, WALL_RUN_RISE);
+            this.dispatchEvent({ type: 'ability', ability: 'wallRun' });
+        }
+        this.isWallRunning = running;
+        if (running) this.wallRunTime = Math.max(0, this.wallRunTime - delta);
+    }
+
+    // Updates the velocity for one tick; the collision step moves the player. In the air, both
+    // acceleration and friction are scaled by movement.airControl, so momentum carries.
+    move(input, delta) {
+        const control = this.isGrounded ? 1 : this.scenario.movement.airControl;
+        this.airTime += delta; // Back to 0 if the collision step finds ground
+        if (this.dashTime > 0) return; // Dashes fly straight
+
+        // Deceleration (Friction); slides barely slow down
+        const friction = FRICTION * control * (this.slideTime > 0 ? SLIDE_FRICTION : 1);
+        this.velocity.x -= this.velocity.x * friction * delta;
+        this.velocity.z -= this.velocity.z * friction * delta;
+
+        if (this.isWallRunning) {
+            this.velocity.y -= GRAVITY * WALL_RUN_GRAVITY * delta;
+            this.velocity.addScaledVector(this.wallNormal, -WALL_RUN_STICK * delta);
+        } else {
+            this.velocity.y -= GRAVITY * delta;
+        }
+
+        if (this.slideTime > 0) return; // No steering mid-slide
+        const boost = this.groundPlatform ? this.groundPlatform.boost : 1; // Speed zones
+        const acceleration = (input.sprint ? ACCELERATION * SPRINT_MULTIPLIER : ACCELERATION) * control * boost;
+        this.velocity.addScaledVector(this.getWishDirection(input, _wish), acceleration * delta);
+    }
+
+    collideArena() {
+        if (this.position.y < EYE_HEIGHT) {
+            this.velocity.y = 0;
+            this.position.y = EYE_HEIGHT;
+            this.airTime = 0;
+        }
+
+        this.position.x = THREE.MathUtils.clamp(this.position.x, -ARENA_LIMIT, ARENA_LIMIT);
+        this.position.z = THREE.MathUtils.clamp(this.position.z, -ARENA_LIMIT, ARENA_LIMIT);
+    }
+
+    // Parkour: moves the player's capsule through the level in substeps, resolving contacts
+    // with every platform: standing on tops, sliding along sides, bumping heads on undersides
+    // and stepping up low ledges
+    collidePlatforms(delta) {
+        const distance = this.velocity.length() * delta;
+        const substeps = Math.max(1, Math.ceil(distance / MAX_SUBSTEP));
+        const wasGrounded = this.airTime <= delta; // Standing last tick (move() already counted this one)
+        let ground = null;
+        this.wallContact = false;
+
+        for (let i = 0; i < substeps; i++) {
+            this.position.addScaledVector(this.velocity, delta / substeps);
+            for (const platform of this.platforms) {
+                if (platform.isSolid && this.resolvePlatform(platform, wasGrounded)) ground = platform;
+            }
+        }
+
+        this.groundPlatform = ground;
+        if (ground) {
+            this.airTime = 0;
+            this.isWallRunning = false;
+            this.refreshAirAbilities();
+            ground.land();
+            if (ground.isGoal) {
+                this.finish(true);
+                return;
+            }
+            if (ground.checkpoint !== null) this.reachCheckpoint(ground);
+            if (ground.bounce > 0) {
+                this.velocity.y = ground.bounce;
+                this.airTime = Infinity;
+                this.groundPlatform = null;
+            }
+        }
+
+        // Fell too far - respawn
+        if (this.position.y < this.scenario.level.respawnHeight) {
+            this.respawn();
+        }
+    }
+
+    // Pushes the capsule out of one platform's box and removes the velocity going into it.
+    // Returns true when the player ends up standing on it.
+    resolvePlatform({ position, angle, width, depth, height }, wasGrounded) {
+        // Work in the platform's frame, where it's an axis-aligned box centred on x/z = 0
+        _local.subVectors(this.position, position);
+        if (angle !== 0) _local.applyAxisAngle(_up, -angle);
+        const feet = this.position.y - EYE_HEIGHT;
+        const maxX = width / 2;
+        const minX = -maxX;
+        const minY = position.y - height / 2;
+        const maxY = position.y + height / 2;
+        const maxZ = depth / 2;
+        const minZ = -maxZ;
+
+        // Cheap rejection: capsule bounds vs box
+        if (_local.x + PLAYER_RADIUS < minX || _local.x - PLAYER_RADIUS > maxX ||
+            _local.z + PLAYER_RADIUS < minZ || _local.z - PLAYER_RADIUS > maxZ ||
+            feet > maxY || feet + PLAYER_HEIGHT < minY) {
+            return false;
+        }
+
+        // Point of the capsule's axis nearest the box, and the box point nearest that
+        const bottom = feet + PLAYER_RADIUS;
+        const top = feet + PLAYER_HEIGHT - PLAYER_RADIUS;
+        const axisY = THREE.MathUtils.clamp((minY + maxY) / 2, bottom, top);
+        _closest.set(
+            THREE.MathUtils.clamp(_local.x, minX, maxX),
+            THREE.MathUtils.clamp(axisY, minY, maxY),
+            THREE.MathUtils.clamp(_local.z, minZ, maxZ)
+        );
+        _normal.set(_local.x, axisY, _local.z).sub(_closest);
+        const separation = _normal.length();
+
+        let depthIn;
+        if (separation > 0) {
+            if (separation >= PLAYER_RADIUS) return false;
+            _normal.divideScalar(separation);
+            depthIn = PLAYER_RADIUS - separation;
+        } else {
+            // Axis inside the box (a deep landing or a fast hit): leave by the shallowest side
+            const exits = [
+                [maxY - feet, 0, 1, 0],
+                [feet + PLAYER_HEIGHT - minY, 0, -1, 0],
+                [maxX - _local.x + PLAYER_RADIUS, 1, 0, 0],
+                [_local.x + PLAYER_RADIUS - minX, -1, 0, 0],
+                [maxZ - _local.z + PLAYER_RADIUS, 0, 0, 1],
+                [_local.z + PLAYER_RADIUS - minZ, 0, 0, -1]
+            ];
+            const [shallowest, x, y, z] = exits.reduce((a, b) => (b[0] < a[0] ? b : a));
+            depthIn = shallowest;
+            _normal.set(x, y, z);
+        }
+        if (angle !== 0) _normal.applyAxisAngle(_up, angle);
+
+        // Walking into a low ledge climbs it (not the edge being stood on, which sits at the feet)
+        const ledge = maxY - feet;
+        if (wasGrounded && Math.abs(_normal.y) < GROUND_NORMAL && ledge > STEP_MIN && ledge <= STEP_HEIGHT) {
+            this.position.y = maxY + EYE_HEIGHT;
+            this.velocity.y = Math.max(0, this.velocity.y);
+            return true;
+        }
+
+        this.position.addScaledVector(_normal, depthIn);
+        const into = this.velocity.dot(_normal);
+        if (into < 0) this.velocity.addScaledVector(_normal, -into);
+        if (Math.abs(_normal.y) < GROUND_NORMAL) {
+            this.wallContact = true;
+            this.wallNormal.set(_normal.x, 0, _normal.z).normalize();
+        }
+        return _normal.y >= GROUND_NORMAL;
+    }
+
+    // Fire mode, fire rate, bursts, reloads and spread recovery for one tick
+    updateWeapon(input, delta) {
+        const weapon = this.weapon;
+        this.firedThisTick = false;
+        this.fireCooldown = Math.max(0, this.fireCooldown - delta);
+        this.bloom = Math.max(0, this.bloom - weapon.spreadRecovery * delta);
+
+        if (this.reloadTimer > 0) {
+            this.reloadTimer -= delta;
+            if (this.reloadTimer <= 0) {
+                this.reloadTimer = 0;
+                this.ammo = weapon.magazine;
+                this.dispatchEvent({ type: 'reload', done: true });
+            }
+        }
+        if (input.reload) this.startReload();
+
+        if (weapon.fireMode === 'burst') {
+            if (input.fire && this.fireCooldown === 0 && this.burstRemaining === 0) {
+                this.burstRemaining = weapon.burstCount;
+            }
+            if (this.burstRemaining > 0 && this.fireCooldown === 0) {
+                this.burstRemaining = this.tryShoot(input) ? this.burstRemaining - 1 : 0;
+                this.fireCooldown = this.burstRemaining > 0 ? 60 / weapon.fireRate : weapon.burstDelay;
+            }
+            return;
+        }
+
+        const wantsShot = weapon.fireMode === 'auto' ? input.fire || input.trigger : input.fire;
+        // Holding the trigger on an empty gun clicks once, not every tick
+        if (wantsShot && this.fireCooldown === 0 && (this.ammo !== 0 || input.fire)) {
+            if (this.tryShoot(input)) this.fireCooldown = 60 / weapon.fireRate;
+        }
+        if (!this.firedThisTick && this.fireCooldown === 0) this.recoverRecoil(delta);
+    }
+
+    // Turns the camera by yaw/pitch radians, keeping the pitch within straight up/down
+    rotateAim(yaw, pitch) {
+        _euler.setFromQuaternion(this.camera.quaternion, 'YXZ');
+        _euler.y += yaw;
+        _euler.x = THREE.MathUtils.clamp(_euler.x + pitch, -Math.PI / 2, Math.PI / 2);
+        this.camera.quaternion.setFromEuler(_euler);
+    }
+
+    // Kicks the camera by the next step of the weapon's recoil pattern
+    applyRecoil() {
+        const recoil = this.weapon.recoil;
+        if (!recoil) return;
+
+        const pattern = recoil.pattern;
+        const [right, up] = pattern[Math.min(Math.floor(this.recoil.shots), pattern.length - 1)];
+        const yaw = -THREE.MathUtils.degToRad(right);
+        const pitch = THREE.MathUtils.degToRad(up);
+        this.rotateAim(yaw, pitch);
+
+        const state = this.recoil;
+        state.yaw += yaw;
+        state.pitch += pitch;
+        state.shots = Math.floor(state.shots) + 1;
+
+        // Settle back linearly from wherever the spray ends within recovery seconds
+        this.recoilRecovery = {
+            yaw: state.yaw / recoil.recovery,
+            pitch: state.pitch / recoil.recovery,
+            shots: state.shots / recoil.recovery
+        };
+    }
+
+    // Moves the aim back towards where the spray started, ending the spray once it is there
+    recoverRecoil(delta) {
+        const state = this.recoil;
+        if (state.shots > 0) {
+            const toward = (value, rate) => value - Math.sign(value) * Math.min(Math.abs(value), Math.abs(rate) * delta);
+            const yaw = toward(state.yaw, this.recoilRecovery.yaw);
+            const pitch = toward(state.pitch, this.recoilRecovery.pitch);
+            this.rotateAim(yaw - state.yaw, pitch - state.pitch);
+            state.yaw = yaw;
+            state.pitch = pitch;
+            state.shots = Math.max(0, state.shots - this.recoilRecovery.shots * delta);
+        }
+
+        if (state.shots === 0 && this.sprayRecorder.isSpraying) {
+            const spray = this.sprayRecorder.finish();
+            if (spray) this.dispatchEvent({ type: 'spray', spray });
+        }
+    }
+
+    // Reloads unless the magazine is full, unlimited or already reloading
+    startReload() {
+        const magazine = this.weapon.magazine;
+        if (magazine === null || this.reloadTimer > 0 || this.ammo === magazine) return;
+
+        this.reloadTimer = this.weapon.reloadTime;
+        this.burstRemaining = 0;
+        this.dispatchEvent({ type: 'reload', done: false });
+    }
+
+    get isReloading() {
+        return this.reloadTimer > 0;
+    }
+
+    // Fires one round if possible; an empty magazine clicks and starts a reload
+    tryShoot(input) {
+        if (this.reloadTimer > 0) return false;
+        if (this.ammo === 0) {
+            this.dispatchEvent({ type: 'dryfire' });
+            this.startReload();
+            return false;
+        }
+
+        if (this.ammo !== null) this.ammo--;
+        const direction = this.getShotDirection(this.getSpread(input));
+        const patternOffset = [-THREE.MathUtils.radToDeg(this.recoil.yaw), THREE.MathUtils.radToDeg(this.recoil.pitch)];
+        const sprayShot = this.sprayRecorder.recordShot(this.position, direction, this.targets, patternOffset);
+        if (this.weapon.projectile) {
+            this.launchProjectile(direction, sprayShot);
+        } else {
+            const hit = this.fire(direction);
+            if (sprayShot) sprayShot.hit = hit;
+        }
+        this.applyRecoil();
+        this.bloom = Math.min(this.weapon.maxSpread, this.bloom + this.weapon.spreadPerShot);
+        this.firedThisTick = true;
+        return true;
+    }
+
+    // Horizontal speed as a fraction of walking speed, capped at 1
+    get speedFraction() {
+        return Math.min(1, Math.hypot(this.velocity.x, this.velocity.z) / WALK_SPEED);
+    }
+
+    // Current spread cone in degrees: first-shot accuracy or bloom, plus movement
+    getSpread(input) {
+        const weapon = this.weapon;
+        const movement = this.speedFraction * (input.sprint ? weapon.sprintSpread : weapon.moveSpread);
+        return (this.bloom > 0 ? this.bloom : weapon.firstShotSpread) + movement;
+    }
+
+    // Aim direction deflected by a random point in the spread cone (uniform over its disc)
+    getShotDirection(spread) {
+        const random = this.weaponRandom;
+        const radius = Math.tan(THREE.MathUtils.degToRad(spread)) * Math.sqrt(random.next());
+        const angle = random.next() * Math.PI * 2;
+        return _shotDirection
+            .set(Math.cos(angle) * radius, Math.sin(angle) * radius, -1)
+            .normalize()
+            .applyQuaternion(this.camera.quaternion);
+    }
+
+    // Fires a projectile along `direction`; it is scored in updateProjectiles() once it lands.
+    // Aim analysis and the replay record the shot now and learn whether it hit later.
+    launchProjectile(direction, sprayShot) {
+        this.shotsFired++;
+        // The active target closest to the line of fire is the one being led
+        let aimedAt = null;
+        let smallestAngle = Infinity;
+        this.targets.forEach(target => {
+            if (!target.isActive) return;
+            const angle = direction.angleTo(_aimDirection.subVectors(target.mesh.position, this.position));
+            if (angle < smallestAngle) {
+                smallestAngle = angle;
+                aimedAt = target;
+            }
+        });
+
+        const projectile = new Projectile(this.scene);
+        projectile.launch(this.position, direction, this.weapon.projectile, aimedAt);
+
+        const scoring = this.scenario.scoring;
+        projectile.records = {
+            analysis: scoring && scoring.type === 'hit' ? this.shotAnalysis.recordShot(this.camera, this.targets, false) : null,
+            replay: this.replayRecorder.recordShot(this.elapsedTime, false),
+            launch: this.replayRecorder.recordLaunch(this.elapsedTime, this.position, projectile.velocity, projectile.gravity),
+            spray: sprayShot
+        };
+        this.projectiles.push(projectile);
+        this.dispatchEvent({ type: 'launch', projectile });
+    }
+
+    // Moves projectiles and resolves the ones that hit a target or the floor, or ran out of time
+    updateProjectiles(delta) {
+        const scoring = this.scenario.scoring;
+        const canHit = scoring && scoring.type === 'hit';
+
+        for (const projectile of [...this.projectiles]) {
+            projectile.savePrevious();
+            projectile.update(delta);
+            projectile.trackApproach(delta);
+
+            const hit = canHit ? this.findProjectileHit(projectile) : null;
+            const landed = projectile.position.y < 0 || projectile.age >= PROJECTILE_LIFETIME;
+            if (!hit && !landed) continue;
+
+            this.projectiles.splice(this.projectiles.indexOf(projectile), 1);
+            projectile.dispose();
+            if (projectile.records.launch) this.replayRecorder.recordLanding(projectile.records.launch, projectile.age);
+            const leadError = projectile.getLeadError();
+            if (leadError !== null) this.leadErrors.push(leadError);
+
+            if (canHit) {
+                const { analysis, replay, spray } = projectile.records;
+                const isHit = this.resolveShot(hit, {
+                    origin: projectile.position,
+                    direction: projectile.velocity.clone().normalize(),
+                    projectile
+                });
+                if (analysis) analysis.hit = isHit;
+                if (replay) replay[1] = isHit ? 1 : 0;
+                if (spray) spray.hit = isHit;
+                if (!this.isRunning) return;
+            }
+        }
+    }
+
+    // Resolves a hitscan shot along `direction` (defaults to the crosshair); returns whether it hit
+    fire(direction = null) {
+        this.shotsFired++;
+        const scoring = this.scenario.scoring;
+        if (!direction) direction = _shotDirection.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
+
+        let hit = null;
+        if (scoring && scoring.type === 'hit') {
+            hit = this.findTargetAtCrosshair(direction);
+            // Record before respawning so the analysis sees the target that was shot at
+            this.shotAnalysis.recordShot(this.camera, this.targets, hit !== null);
+        }
+        // Record before checking the win condition, which may finish the replay
+        this.replayRecorder.recordShot(this.elapsedTime, hit !== null);
+        return this.resolveShot(hit, { origin: this.position, direction, projectile: null });
+    }
+
+    // Scores a landed shot (hit = { target, zone } or null) and dispatches the 'shot' event;
+    // returns whether it hit
+    resolveShot(hit, { origin, direction, projectile }) {
+        const hitTarget = hit ? hit.target : null;
+        let killed = false;
+
+        const scoring = this.scenario.scoring;
+        if (scoring && scoring.type === 'hit') {
+            const damage = hit ? this.scenario.targets.damage[hit.zone] : 0;
+            killed = hitTarget !== null && hitTarget.health <= damage;
+
+            // Record before respawning so the new target's first shot is the next click
+            this.shotStats.recordShot(this.elapsedTime, hitTarget, killed);
+
+            if (hit) {
+                this.score += scoring.pointsPerHit * this.getZoneMultiplier(hit.zone);
+                this.shotsHit++;
+                this.zoneStats[hit.zone]++;
+            }
+            if (killed) {
+                const clearedCell = this.targetCells.get(hitTarget) ?? null;
+                this.targetCells.delete(hitTarget);
+                hitTarget.hit();
+                this.kills++;
+                if (this.scenario.targets.respawnOnKill) this.spawnTarget(clearedCell);
+            } else if (hit) {
+                hitTarget.damage(damage);
+            } else {
+                this.score = Math.max(0, this.score - scoring.missPenalty);
+            }
+        }
+
+        this.dispatchEvent({
+            type: 'shot',
+            hit: hitTarget !== null,
+            hitTarget,
+            zone: hit ? hit.zone : null,
+            killed,
+            origin,
+            direction,
+            projectile
+        });
+        if (scoring && scoring.type === 'hit') this.checkWinCondition();
+        return hitTarget !== null;
+    }
+
+    // Ends the run early once a score/kill based win condition is met
+    checkWinCondition() {
+        const condition = this.scenario.winCondition;
+        if (condition.type === 'score' && this.score >= condition.target) {
+            this.finish(false);
+        } else if (condition.type === 'kills' && this.kills >= condition.target) {
+            this.finish(false);
+        }
+    }
+}
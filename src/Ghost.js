@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import { EYE_HEIGHT } from './GameCore.js';
+
+// Ghost.js - Translucent runner replaying the best parkour run's path (see ParkourRecords.js)
+// alongside the player, in step with the run's clock
+
+export class Ghost {
+    constructor(game) {
+        this.path = null;
+
+        this.mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(0.6, 1.8, 0.6).translate(0, 0.9 - EYE_HEIGHT, 0),
+            new THREE.MeshBasicMaterial({ color: 0xff00ff, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        this.mesh.visible = false;
+        game.scene.add(this.mesh);
+    }
+
+    // path: [[time, x, y, z], ...] or null for no ghost
+    load(path) {
+        this.path = path && path.length > 0 ? path : null;
+        this.mesh.visible = this.path !== null;
+        if (this.path) this.update(0);
+    }
+
+    hide() {
+        this.load(null);
+    }
+
+    // Moves to where the best run was `time` seconds in; it waits at the goal once done
+    update(time) {
+        if (!this.path) return;
+        const path = this.path;
+
+        // Last sample at or before `time`
+        let low = 0;
+        let high = path.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (path[mid][0] <= time) low = mid;
+            else high = mid - 1;
+        }
+
+        const [t0, x0, y0, z0] = path[low];
+        const [t1, x1, y1, z1] = path[Math.min(low + 1, path.length - 1)];
+        const alpha = t1 > t0 ? THREE.MathUtils.clamp((time - t0) / (t1 - t0), 0, 1) : 0;
+        this.mesh.position.set(
+            x0 + (x1 - x0) * alpha,
+            y0 + (y1 - y0) * alpha,
+            z0 + (z1 - z0) * alpha
+        );
+    }
+}
@@ -0,0 +1,171 @@
+// InputBindings.js - Action based input map: which keys and mouse buttons trigger what
+//
+// A binding is a KeyboardEvent.code ("KeyW", "Space", "ShiftLeft") or "Mouse0".."Mouse4"
+// for mouse buttons (MouseEvent.button). Every action has BINDING_SLOTS bindings (null =
+// unbound). Bindings are stored in localStorage per settings profile; binding the same
+// input to two actions is allowed but reported by getConflicts().
+
+const STORAGE_KEY = 'aimthree.bindings';
+export const BINDING_SLOTS = 2;
+
+export const ACTIONS = {
+    forward: { name: 'MOVE FORWARD' },
+    backward: { name: 'MOVE BACK' },
+    left: { name: 'MOVE LEFT' },
+    right: { name: 'MOVE RIGHT' },
+    sprint: { name: 'SPRINT' },
+    jump: { name: 'JUMP' },
+    dash: { name: 'DASH' },
+    slide: { name: 'SLIDE (HOLD)' },
+    fire: { name: 'FIRE' },
+    reload: { name: 'RELOAD' },
+    zoom: { name: 'ZOOM (HOLD)' },
+    pause: { name: 'PAUSE' },
+    restart: { name: 'RESTART SCENARIO' }
+};
+
+export const DEFAULT_BINDINGS = {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    sprint: ['ShiftLeft', null],
+    jump: ['Space', null],
+    dash: ['KeyE', null],
+    slide: ['KeyC', null],
+    fire: ['Mouse0', null],
+    reload: ['KeyR', null],
+    zoom: ['Mouse2', null],
+    pause: ['KeyP', null],
+    restart: ['KeyT', null]
+};
+
+const MOUSE_NAMES = ['LEFT MOUSE', 'MIDDLE MOUSE', 'RIGHT MOUSE', 'MOUSE 4', 'MOUSE 5'];
+const KEY_NAMES = {
+    Space: 'SPACE',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'LEFT SHIFT',
+    ShiftRight: 'RIGHT SHIFT',
+    ControlLeft: 'LEFT CTRL',
+    ControlRight: 'RIGHT CTRL',
+    AltLeft: 'LEFT ALT',
+    AltRight: 'RIGHT ALT'
+};
+
+export class InputBindings {
+    constructor(storage = window.localStorage, profile = 'default') {
+        this.storage = storage;
+        this.profile = profile;
+        this.bindings = this.load();
+    }
+
+    // All profiles' bindings as stored: { [profile]: { [action]: [code, ...] } }
+    readAll() {
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (e) {
+            console.warn('Key bindings are corrupted, using defaults:', e);
+            return {};
+        }
+    }
+
+    // This profile's bindings; actions missing or malformed in storage get their defaults
+    load() {
+        const stored = this.readAll()[this.profile] || {};
+        return InputBindings.normalize(stored);
+    }
+
+    save() {
+        try {
+            const all = this.readAll();
+            all[this.profile] = this.bindings;
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    }
+
+    // Complete bindings from a possibly partial or hand-edited object
+    static normalize(data) {
+        const bindings = {};
+        Object.keys(ACTIONS).forEach(action => {
+            const codes = Array.isArray(data[action]) ? data[action] : DEFAULT_BINDINGS[action];
+            bindings[action] = Array.from({ length: BINDING_SLOTS }, (_, slot) => {
+                const code = codes[slot];
+                return typeof code === 'string' && code !== '' ? code : null;
+            });
+        });
+        return bindings;
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+        this.bindings = this.load();
+    }
+
+    get(action) {
+        return this.bindings[action];
+    }
+
+    // code null clears the slot
+    set(action, slot, code) {
+        this.bindings[action][slot] = code;
+        this.save();
+    }
+
+    reset() {
+        this.replace(DEFAULT_BINDINGS);
+    }
+
+    // Replaces every binding, e.g. with an imported profile's
+    replace(bindings) {
+        this.bindings = InputBindings.normalize(bindings);
+        this.save();
+    }
+
+    // Forgets another profile's bindings when that profile is deleted
+    deleteProfile(profile) {
+        try {
+            const all = this.readAll();
+            delete all[profile];
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    }
+
+    // Actions triggered by a key/button code
+    getActions(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+    }
+
+    // Inputs bound to more than one action: [{ code, actions }]
+    getConflicts() {
+        const byCode = new Map();
+        Object.entries(this.bindings).forEach(([action, codes]) => {
+            new Set(codes).forEach(code => {
+                if (code === null) return;
+                if (!byCode.has(code)) byCode.set(code, []);
+                byCode.get(code).push(action);
+            });
+        });
+        return [...byCode.entries()]
+            .filter(([, actions]) => actions.length > 1)
+            .map(([code, actions]) => ({ code, actions }));
+    }
+
+    // Short readable label for a binding ("W", "LEFT SHIFT", "RIGHT MOUSE")
+    static describe(code) {
+        if (code === null) return '—';
+        if (code.startsWith('Mouse')) {
+            const button = parseInt(code.slice(5), 10);
+            return MOUSE_NAMES[button] || `MOUSE ${button + 1}`;
+        }
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        return code.replace(/^(Key|Digit)/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase();
+    }
+}
@@ -0,0 +1,117 @@
+// Level.js - Hand-made parkour levels: file format, local library and playable scenarios
+//
+// A level file is
+//   { "format": "aimthree-level", "version": 1, "name": "...",
+//     "start": [x, y, z], "platforms": [{ "position": [x, y, z], "width", "depth", "height", "goal", "checkpoint" }],
+//     "abilities": { "dash": "forbidden", ... } }
+// with `start` the player's feet position and `position` the centre of a platform, which may
+// also carry behaviours ("move", "rotate", "crumble", ... see Platform.js). Levels
+// are played as the `level` of a parkour scenario, and validated the same way; their
+// ability rules (see Abilities.js) replace the scenario's.
+
+import { validateScenario, ScenarioError } from './Scenario.js';
+
+const STORAGE_KEY = 'aimthree.levels';
+const FORMAT = 'aimthree-level';
+export const MAX_LEVEL_NAME = 32;
+
+export class LevelError extends Error {
+    constructor(source, errors) {
+        super(`Invalid level "${source}":\n - ${errors.join('\n - ')}`);
+        this.name = 'LevelError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+// Parkour scenario that plays `level`. `base` (a parkour scenario) supplies everything but
+// the level, e.g. the duration; without one the run is untimed.
+export function levelScenario(level, base = null, source = 'level') {
+    const scenario = base
+        ? JSON.parse(JSON.stringify(base))
+        : { type: 'parkour', duration: null, winCondition: { type: 'goal' } };
+    scenario.id = `${base ? base.id : 'level'}:${level.name}`;
+    scenario.name = base ? `${base.name}: ${level.name}` : level.name;
+    scenario.level = { start: level.start, platforms: level.platforms };
+    if (level.abilities) scenario.abilities = level.abilities;
+    return validateScenario(scenario, source);
+}
+
+// Checks a level's own fields and everything the parkour mode needs; returns a clean copy
+export function validateLevel(data, source = 'level') {
+    if (!data || typeof data !== 'object' || data.format !== FORMAT) {
+        throw new LevelError(source, ['is not an AimThree level file']);
+    }
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (name === '' || name.length > MAX_LEVEL_NAME) {
+        throw new LevelError(source, [`name must be 1 to ${MAX_LEVEL_NAME} characters`]);
+    }
+
+    try {
+        const { level, abilities } = levelScenario(
+            { name, start: data.start, platforms: data.platforms, abilities: data.abilities }, null, source);
+        return { name, start: level.start, platforms: level.platforms, abilities };
+    } catch (e) {
+        if (!(e instanceof ScenarioError)) throw e;
+        throw new LevelError(source, e.errors);
+    }
+}
+
+export function parseLevel(text, source = 'level') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new LevelError(source, [`is not valid JSON: ${e.message}`]);
+    }
+    return validateLevel(data, source);
+}
+
+export function serializeLevel(level) {
+    return JSON.stringify({ format: FORMAT, version: 1, ...level }, null, 2);
+}
+
+// Levels saved from the editor, by name
+export class LevelLibrary {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.levels = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (e) {
+            console.warn('Saved levels are corrupted, starting fresh:', e);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.levels));
+        } catch (e) {
+            console.warn('Could not save levels:', e);
+        }
+    }
+
+    get names() {
+        return Object.keys(this.levels).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.levels[name] ?? null;
+    }
+
+    // Replaces any level with the same name
+    put(level) {
+        this.levels[level.name] = level;
+        this.save();
+    }
+
+    delete(name) {
+        delete this.levels[name];
+        this.save();
+    }
+}
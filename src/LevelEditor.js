@@ -0,0 +1,401 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { PLATFORM_KINDS, PLATFORM_HEIGHT } from './Platform.js';
+
+// LevelEditor.js - Builds hand-made parkour levels (see Level.js) right in the arena
+//
+// Fly around holding the right mouse button (look) with the movement keys, jump/E to rise and
+// Q to sink. Click a platform or the start marker to select it; the gizmo moves it, or resizes
+// platforms in 'scale' mode. Platforms are unit boxes scaled to their width, height and depth,
+// so a mesh's scale is the platform's size. Behaviours (see Platform.js) start from a preset;
+// a moving platform's path is kept relative to the platform, so it follows when moved.
+
+const FLY_SPEED = 12;
+const SPRINT_MULTIPLIER = 3;
+const LOOK_SPEED = 0.003; // Radians per pixel
+const SNAP = 0.5;
+const MIN_SIZE = 0.5;
+const MAX_SIZE = 100;
+const NEW_PLATFORM_SIZE = 4;
+const PLACE_DISTANCE = 10;
+const CLICK_TOLERANCE = 4; // Pixels the mouse may move between press and release of a click
+
+const PLATFORM_GEOMETRY = new THREE.BoxGeometry(1, 1, 1);
+const EDGES_GEOMETRY = new THREE.EdgesGeometry(PLATFORM_GEOMETRY);
+const MATERIALS = {
+    platform: new THREE.MeshStandardMaterial({ color: 0x111122, roughness: 0.3, metalness: 0.7 }),
+    goal: new THREE.MeshStandardMaterial({ color: 0x00ff88, emissive: 0x00ff88, emissiveIntensity: 0.5 }),
+    edges: new THREE.LineBasicMaterial({ color: 0x00ffff }),
+    goalEdges: new THREE.LineBasicMaterial({ color: 0x00ff88 }),
+    checkpointEdges: new THREE.LineBasicMaterial({ color: 0xffaa00 }),
+    selected: new THREE.LineBasicMaterial({ color: 0xff00ff })
+};
+const KIND_EDGES = Object.fromEntries(Object.entries(PLATFORM_KINDS).map(([kind, { color }]) => {
+    return [kind, new THREE.LineBasicMaterial({ color })];
+}));
+
+const BEHAVIOUR_FIELDS = ['move', 'rotate', 'crumble', 'bounce', 'conveyor', 'boost'];
+export const BEHAVIOUR_PRESETS = {
+    move: { name: 'MOVING', behaviour: { move: { offsets: [[6, 0, 0]], speed: 2 } } },
+    rotate: { name: 'ROTATING', behaviour: { rotate: 30 } },
+    crumble: { name: PLATFORM_KINDS.crumble.name, behaviour: { crumble: { delay: 0.5, respawn: 3 } } },
+    bounce: { name: PLATFORM_KINDS.bounce.name, behaviour: { bounce: 13 } },
+    conveyor: { name: PLATFORM_KINDS.conveyor.name, behaviour: { conveyor: [3, 0] } },
+    boost: { name: PLATFORM_KINDS.boost.name, behaviour: { boost: 1.5 } }
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Behaviour fields of a level file platform at `position`, with its path made relative
+function readBehaviour(platform, position) {
+    const behaviour = {};
+    BEHAVIOUR_FIELDS.forEach(field => {
+        if (platform[field] !== undefined) behaviour[field] = JSON.parse(JSON.stringify(platform[field]));
+    });
+    if (behaviour.move) {
+        const { path, speed } = behaviour.move;
+        behaviour.move = { offsets: path.map(point => point.map((v, i) => v - position[i])), speed };
+    }
+    return behaviour;
+}
+
+// Start platform and a goal one jump away
+export function blankLevel() {
+    return {
+        name: 'NEW LEVEL',
+        start: [0, 2.25, 0],
+        platforms: [
+            { position: [0, 2, 0], width: 6, depth: 6, goal: false },
+            { position: [0, 3, -8], width: 5, depth: 5, goal: true }
+        ]
+    };
+}
+
+export class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.camera = game.camera;
+        this.isActive = false;
+        this.name = '';
+        this.abilities = {}; // Rule per ability (see Abilities.js); missing ones are optional
+        this.platforms = []; // Meshes, with userData.goal, userData.checkpoint and userData.behaviour
+        this.selected = null; // A platform mesh or the start marker
+        this.onSelect = () => {};
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        game.scene.add(this.group);
+
+        // Start marker: the player's body standing on the start position
+        this.startMarker = new THREE.Mesh(
+            new THREE.BoxGeometry(0.6, 1.8, 0.6).translate(0, 0.9, 0),
+            new THREE.MeshBasicMaterial({ color: 0xffff00, wireframe: true })
+        );
+        this.group.add(this.startMarker);
+
+        this.transform = new TransformControls(this.camera, game.renderer.domElement);
+        this.transform.setTranslationSnap(SNAP);
+        this.transform.setScaleSnap(SNAP);
+        this.transform.addEventListener('objectChange', () => this.clampSize());
+        this.transform.visible = false;
+        game.scene.add(this.transform);
+
+        // Fly camera
+        this.look = new THREE.Euler(0, 0, 0, 'YXZ');
+        this.viewPosition = new THREE.Vector3(); // Camera position to come back to after a test run
+        this.isLooking = false;
+        this.keys = new Set();
+        this.press = null; // Where the left button went down, to tell clicks from gizmo drags
+        this.raycaster = new THREE.Raycaster();
+
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => this.keys.delete(e.code));
+        document.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        document.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('contextmenu', (e) => {
+            if (this.isActive) e.preventDefault(); // Right mouse looks around
+        });
+    }
+
+    // Shows the editor, on `level` or on whatever was being edited (from where it was left)
+    open(level = null) {
+        if (level) {
+            this.load(level);
+        } else {
+            this.camera.position.copy(this.viewPosition);
+            this.camera.quaternion.setFromEuler(this.look);
+        }
+        this.isActive = true;
+        this.group.visible = true;
+        this.transform.enabled = true;
+        this.transform.visible = this.selected !== null;
+    }
+
+    close() {
+        this.viewPosition.copy(this.camera.position);
+        this.isActive = false;
+        this.isLooking = false;
+        this.keys.clear();
+        this.group.visible = false;
+        this.transform.enabled = false;
+        this.transform.visible = false;
+    }
+
+    load(level) {
+        this.select(null);
+        this.platforms.forEach(mesh => this.group.remove(mesh));
+        this.platforms = [];
+
+        this.name = level.name;
+        this.abilities = { ...level.abilities };
+        level.platforms.forEach(platform => this.addPlatform(platform));
+        this.startMarker.position.fromArray(level.start);
+
+        // Look at the start from behind and above
+        this.camera.position.set(level.start[0], level.start[1] + 8, level.start[2] + 14);
+        this.camera.lookAt(level.start[0], level.start[1], level.start[2]);
+        this.look.setFromQuaternion(this.camera.quaternion);
+    }
+
+    // The level as edited, in the file format minus the format fields
+    toLevel() {
+        return {
+            name: this.name,
+            start: this.startMarker.position.toArray().map(round),
+            platforms: this.platforms.map(mesh => ({
+                position: mesh.position.toArray().map(round),
+                width: round(mesh.scale.x),
+                depth: round(mesh.scale.z),
+                height: round(mesh.scale.y),
+                goal: mesh.userData.goal,
+                checkpoint: mesh.userData.checkpoint,
+                ...this.writeBehaviour(mesh)
+            })),
+            abilities: { ...this.abilities }
+        };
+    }
+
+    addPlatform({ position, width, depth, height = PLATFORM_HEIGHT, goal, checkpoint = false, ...platform }) {
+        const mesh = new THREE.Mesh(PLATFORM_GEOMETRY, MATERIALS.platform);
+        mesh.add(new THREE.LineSegments(EDGES_GEOMETRY, MATERIALS.edges));
+        mesh.position.fromArray(position);
+        mesh.scale.set(width, height, depth);
+        mesh.userData = { goal, checkpoint, behaviour: readBehaviour(platform, position) };
+        this.platforms.push(mesh);
+        this.group.add(mesh);
+        this.paint(mesh);
+        return mesh;
+    }
+
+    // --- Panel actions ---
+
+    // New platform where the camera is looking, on the snapping grid
+    add() {
+        const position = new THREE.Vector3();
+        this.camera.getWorldDirection(position);
+        position.multiplyScalar(PLACE_DISTANCE).add(this.camera.position);
+        position.set(...position.toArray().map(v => Math.round(v / SNAP) * SNAP));
+        this.select(this.addPlatform({
+            position: position.toArray(),
+            width: NEW_PLATFORM_SIZE,
+            depth: NEW_PLATFORM_SIZE,
+            goal: false
+        }));
+    }
+
+    // Copy of the selected platform, right next to it
+    duplicate() {
+        if (!this.isPlatformSelected()) return;
+        const source = this.selected;
+        const copy = this.addPlatform({
+            position: source.position.toArray(),
+            width: source.scale.x,
+            depth: source.scale.z,
+            height: source.scale.y,
+            goal: source.userData.goal,
+            checkpoint: source.userData.checkpoint,
+            ...this.writeBehaviour(source)
+        });
+        copy.position.x += source.scale.x + SNAP * 2;
+        this.select(copy);
+    }
+
+    delete() {
+        if (!this.isPlatformSelected()) return;
+        const mesh = this.selected;
+        this.select(null);
+        this.platforms = this.platforms.filter(platform => platform !== mesh);
+        this.group.remove(mesh);
+    }
+
+    // A platform is a goal, a checkpoint or neither
+    toggleGoal() {
+        if (!this.isPlatformSelected()) return;
+        this.setKind(!this.selected.userData.goal, false);
+    }
+
+    toggleCheckpoint() {
+        if (!this.isPlatformSelected()) return;
+        this.setKind(false, !this.selected.userData.checkpoint);
+    }
+
+    setKind(goal, checkpoint) {
+        this.selected.userData = { ...this.selected.userData, goal, checkpoint };
+        this.paint(this.selected);
+        this.onSelect(this.selected);
+    }
+
+    // A key of BEHAVIOUR_PRESETS, or null for a plain platform
+    setBehaviour(name) {
+        if (!this.isPlatformSelected()) return;
+        const behaviour = name ? JSON.parse(JSON.stringify(BEHAVIOUR_PRESETS[name].behaviour)) : {};
+        this.selected.userData = { ...this.selected.userData, behaviour };
+        this.paint(this.selected);
+        this.onSelect(this.selected);
+    }
+
+    // The selected platform's behaviour (the first one, if a level file gave it several)
+    getBehaviour() {
+        if (!this.isPlatformSelected()) return null;
+        return BEHAVIOUR_FIELDS.find(field => field in this.selected.userData.behaviour) ?? null;
+    }
+
+    // A platform's behaviour fields for the level file, with the path back in world positions
+    writeBehaviour(mesh) {
+        const { move, ...behaviour } = mesh.userData.behaviour;
+        if (!move) return behaviour;
+        const path = move.offsets.map(offset => offset.map((v, i) => round(v + mesh.position.getComponent(i))));
+        return { ...behaviour, move: { path, speed: move.speed } };
+    }
+
+    // Moves the start marker onto the middle of the selected platform
+    startOnSelected() {
+        if (!this.isPlatformSelected()) return;
+        const { position } = this.selected;
+        this.startMarker.position.set(position.x, round(position.y + this.selected.scale.y / 2), position.z);
+    }
+
+    // 'translate' or 'scale'; the start marker can only be moved
+    setMode(mode) {
+        if (this.selected === this.startMarker && mode !== 'translate') return;
+        this.transform.setMode(mode);
+    }
+
+    // --- Selection ---
+
+    isPlatformSelected() {
+        return this.selected !== null && this.selected !== this.startMarker;
+    }
+
+    select(object) {
+        const previous = this.isPlatformSelected() ? this.selected : null;
+        this.selected = object;
+        if (previous) this.paint(previous);
+
+        if (object) {
+            if (object === this.startMarker) this.setMode('translate');
+            else this.paint(object);
+            this.transform.attach(object);
+        } else {
+            this.transform.detach();
+        }
+        this.transform.visible = object !== null;
+        this.onSelect(object);
+    }
+
+    // Materials for the platform's kind; the selected one gets highlighted edges
+    paint(mesh) {
+        const { goal, checkpoint } = mesh.userData;
+        const kind = Object.keys(PLATFORM_KINDS).find(field => field in mesh.userData.behaviour);
+        mesh.material = goal ? MATERIALS.goal : MATERIALS.platform;
+        if (mesh === this.selected) mesh.children[0].material = MATERIALS.selected;
+        else if (goal) mesh.children[0].material = MATERIALS.goalEdges;
+        else if (checkpoint) mesh.children[0].material = MATERIALS.checkpointEdges;
+        else if (kind) mesh.children[0].material = KIND_EDGES[kind];
+        else mesh.children[0].material = MATERIALS.edges;
+    }
+
+    // Keeps resized platforms flat and within the sizes levels allow
+    clampSize() {
+        if (!this.isPlatformSelected()) return;
+        const { scale } = this.selected;
+        scale.set(
+            THREE.MathUtils.clamp(scale.x, MIN_SIZE, MAX_SIZE),
+            THREE.MathUtils.clamp(scale.y, MIN_SIZE, MAX_SIZE),
+            THREE.MathUtils.clamp(scale.z, MIN_SIZE, MAX_SIZE)
+        );
+    }
+
+    // Platform or start marker under the mouse, if any
+    pick(event) {
+        const pointer = new THREE.Vector2(
+            event.clientX / window.innerWidth * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const [hit] = this.raycaster.intersectObjects([this.startMarker, ...this.platforms], false);
+        return hit ? hit.object : null;
+    }
+
+    // --- Input ---
+
+    onKeyDown(event) {
+        if (!this.isActive || (event.target.matches && event.target.matches('input, select, textarea'))) return;
+        this.keys.add(event.code);
+        if (event.repeat) return;
+
+        if (event.code === 'Delete' || event.code === 'Backspace') this.delete();
+        else if (event.code === 'KeyG') this.setMode('translate');
+        else if (event.code === 'KeyR') this.setMode('scale');
+    }
+
+    onMouseDown(event) {
+        if (!this.isActive || event.target !== this.game.renderer.domElement) return;
+        if (event.button === 2) {
+            this.isLooking = true;
+        } else if (event.button === 0 && !this.transform.dragging && this.transform.axis === null) {
+            this.press = { x: event.clientX, y: event.clientY };
+        }
+    }
+
+    onMouseUp(event) {
+        if (event.button === 2) this.isLooking = false;
+        if (event.button !== 0 || !this.press) return;
+
+        const moved = Math.hypot(event.clientX - this.press.x, event.clientY - this.press.y);
+        this.press = null;
+        if (this.isActive && moved <= CLICK_TOLERANCE) this.select(this.pick(event));
+    }
+
+    onMouseMove(event) {
+        if (!this.isActive || !this.isLooking) return;
+        this.look.y -= event.movementX * LOOK_SPEED;
+        this.look.x = THREE.MathUtils.clamp(this.look.x - event.movementY * LOOK_SPEED, -Math.PI / 2, Math.PI / 2);
+        this.camera.quaternion.setFromEuler(this.look);
+    }
+
+    // Whether any key bound to `action` is held
+    isHeld(action) {
+        return this.game.bindings.get(action).some(code => code !== null && this.keys.has(code));
+    }
+
+    // Flies the camera with the player's movement bindings
+    update(delta) {
+        const move = new THREE.Vector3(
+            Number(this.isHeld('right')) - Number(this.isHeld('left')),
+            Number(this.isHeld('jump') || this.keys.has('KeyE')) - Number(this.keys.has('KeyQ')),
+            Number(this.isHeld('backward')) - Number(this.isHeld('forward'))
+        );
+        if (move.lengthSq() === 0) return;
+
+        const speed = FLY_SPEED * (this.isHeld('sprint') ? SPRINT_MULTIPLIER : 1) * delta;
+        const vertical = move.y;
+        move.y = 0;
+        move.applyQuaternion(this.camera.quaternion).normalize().multiplyScalar(speed);
+        move.y += vertical * speed;
+        this.camera.position.add(move);
+    }
+}
@@ -0,0 +1,399 @@
+import * as THREE from 'three';
+
+// Motion.js - Target motion patterns (the scenario's targets.motion)
+//
+// A motion is either a single pattern or a 'mix' whose layers all run at once, e.g.
+// strafe + jump + crouch. Two kinds of layer:
+//   - travel layers (wander, strafe, surge, bezier, dodge) move the target's base
+//     position, which is kept inside motion.bounds; they're told when they hit an edge
+//   - offset layers (weave, jump, crouch) add a temporary offset on top of the base
+// Every pattern draws from the target's seeded motion stream, so runs stay reproducible.
+
+const _displacement = new THREE.Vector3();
+const _toTarget = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+
+// Scales a value by up to ±jitter (0.2 = 20% either way)
+function jittered(random, value, jitter) {
+    return value * (1 + random.range(-jitter, jitter));
+}
+
+// Random 3D direction in every axis (original tracking behaviour)
+class Wander {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.direction = new THREE.Vector3();
+        this.timer = 0;
+        this.direction.copy(this.randomDirection());
+    }
+
+    randomDirection() {
+        return new THREE.Vector3(
+            this.random.range(-1, 1),
+            this.random.range(-1, 1),
+            this.random.range(-1, 1)
+        ).normalize();
+    }
+
+    move(delta, displacement) {
+        const { speed, changeInterval, blend } = this.params;
+        displacement.addScaledVector(this.direction, speed * delta);
+
+        // Frequently change direction for erratic movement
+        this.timer += delta;
+        if (this.timer > changeInterval) {
+            this.timer = 0;
+            this.direction.lerp(this.randomDirection(), blend).normalize();
+        }
+    }
+
+    bounce(axis, side) {
+        this.direction.setComponent(axis, -side * Math.abs(this.direction.getComponent(axis)));
+    }
+}
+
+// ADAD: left/right along x with randomised timing, accelerating into each direction change
+class Strafe {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.velocity = 0;
+        this.side = random.next() < 0.5 ? -1 : 1;
+        this.timer = this.nextInterval();
+    }
+
+    nextInterval() {
+        const { minInterval, maxInterval, jitter } = this.params;
+        return jittered(this.random, this.random.range(minInterval, maxInterval), jitter);
+    }
+
+    move(delta, displacement) {
+        const { speed, acceleration } = this.params;
+
+        this.timer -= delta;
+        if (this.timer <= 0) {
+            this.side = -this.side;
+            this.timer = this.nextInterval();
+        }
+
+        // Counter-strafing has to bleed off the old velocity first
+        const change = this.side * speed - this.velocity;
+        this.velocity += THREE.MathUtils.clamp(change, -acceleration * delta, acceleration * delta);
+        displacement.x += this.velocity * delta;
+    }
+
+    bounce(axis, side) {
+        if (axis !== 0) return;
+        this.side = -side;
+        this.velocity = 0;
+        this.timer = this.nextInterval();
+    }
+}
+
+// Accelerate/decelerate: eased legs across the floor plane with pauses in between
+class Surge {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.direction = new THREE.Vector3();
+        this.travelled = 0;
+        this.length = 0;
+        this.duration = 0;
+        this.time = 0;
+        this.waiting = 0;
+        this.startLeg();
+    }
+
+    startLeg(inward = null) {
+        const { speed, distance, jitter } = this.params;
+        const angle = this.random.next() * Math.PI * 2;
+        this.direction.set(Math.cos(angle), 0, Math.sin(angle));
+        if (inward) {
+            this.direction.setComponent(inward.axis, -inward.side * Math.abs(this.direction.getComponent(inward.axis)));
+        }
+
+        this.length = jittered(this.random, distance, jitter);
+        // Smoothstep peaks at 1.5x its average speed, so peak speed = params.speed
+        this.duration = speed > 0 ? this.length * 1.5 / speed : Infinity;
+        this.time = 0;
+        this.travelled = 0;
+    }
+
+    move(delta, displacement) {
+        if (this.waiting > 0) {
+            this.waiting -= delta;
+            if (this.waiting <= 0) this.startLeg();
+            return;
+        }
+
+        this.time = Math.min(this.duration, this.time + delta);
+        const t = this.time / this.duration;
+        const eased = t * t * (3 - 2 * t);
+        const position = eased * this.length;
+        displacement.addScaledVector(this.direction, position - this.travelled);
+        this.travelled = position;
+
+        if (t >= 1) this.waiting = jittered(this.random, this.params.pause, this.params.jitter);
+    }
+
+    bounce(axis, side) {
+        if (axis === 1) return;
+        this.waiting = 0;
+        this.startLeg({ axis, side });
+    }
+}
+
+// Smooth curves: a chain of cubic Bézier segments between random points in the bounds,
+// each continuing the previous one's tangent
+class BezierPath {
+    constructor(params, random, bounds) {
+        this.params = params;
+        this.random = random;
+        this.bounds = bounds;
+        this.points = null; // [p0, p1, p2, p3] once started from the current base position
+        this.t = 0;
+        this.segmentSpeed = 0;
+        this.segmentLength = 1;
+        this.current = new THREE.Vector3();
+    }
+
+    randomPoint() {
+        const { min, max } = this.bounds;
+        return new THREE.Vector3(
+            this.random.range(min.x, max.x),
+            this.random.range(min.y, max.y),
+            this.random.range(min.z, max.z)
+        );
+    }
+
+    startSegment(from) {
+        const { speed, jitter } = this.params;
+        const p0 = from.clone();
+        const p3 = this.randomPoint();
+
+        // Mirror the previous handle for a smooth join; jitter pulls the handles around
+        const p1 = this.points
+            ? p0.clone().multiplyScalar(2).sub(this.points[2])
+            : p0.clone().lerp(this.randomPoint(), 0.3);
+        const p2 = p3.clone().lerp(this.randomPoint(), 0.3 + this.random.next() * jitter);
+        this.bounds.clampPoint(p1, p1);
+
+        this.points = [p0, p1, p2, p3];
+        this.segmentLength = Math.max(0.01, p0.distanceTo(p1) + p1.distanceTo(p2) + p2.distanceTo(p3)) * 0.8;
+        this.segmentSpeed = jittered(this.random, speed, jitter);
+        this.t = 0;
+        this.current.copy(p0);
+    }
+
+    move(delta, displacement, base) {
+        if (!this.points) this.startSegment(base);
+
+        this.t += this.segmentSpeed * delta / this.segmentLength;
+        if (this.t >= 1) {
+            const end = this.points[3].clone();
+            this.startSegment(end);
+        }
+
+        const [p0, p1, p2, p3] = this.points;
+        const t = this.t;
+        const u = 1 - t;
+        const next = new THREE.Vector3()
+            .addScaledVector(p0, u * u * u)
+            .addScaledVector(p1, 3 * u * u * t)
+            .addScaledVector(p2, 3 * u * t * t)
+            .addScaledVector(p3, t * t * t);
+        displacement.add(next.clone().sub(this.current));
+        this.current.copy(next);
+    }
+
+    bounce() {
+        // Control points sit inside the bounds, so only start/respawn edge cases land here
+        this.points = null;
+    }
+}
+
+// Reactive dodge: sidesteps away from the crosshair when it gets close
+class Dodge {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.direction = new THREE.Vector3();
+        this.remaining = 0; // Distance left in the current dodge
+        this.speed = 0;
+        this.cooldown = 0;
+    }
+
+    move(delta, displacement, base, aim) {
+        if (this.remaining > 0) {
+            const step = Math.min(this.remaining, this.speed * delta);
+            displacement.addScaledVector(this.direction, step);
+            this.remaining -= step;
+            return;
+        }
+
+        this.cooldown -= delta;
+        if (this.cooldown > 0 || !aim) return;
+
+        _toTarget.subVectors(base, aim.origin);
+        const angle = THREE.MathUtils.radToDeg(_toTarget.angleTo(aim.direction));
+        if (angle > this.params.triggerAngle) return;
+
+        // Away from where the crosshair ray passes, sideways on the floor plane
+        _closest.copy(aim.origin).addScaledVector(aim.direction, _toTarget.dot(aim.direction));
+        this.direction.subVectors(base, _closest).setY(0);
+        if (this.direction.lengthSq() < 1e-6) {
+            this.direction.set(-aim.direction.z, 0, aim.direction.x).multiplyScalar(this.random.next() < 0.5 ? -1 : 1);
+        }
+        this.direction.normalize();
+
+        const { speed, distance, cooldown, jitter } = this.params;
+        this.speed = jittered(this.random, speed, jitter);
+        this.remaining = jittered(this.random, distance, jitter);
+        this.cooldown = jittered(this.random, cooldown, jitter);
+    }
+
+    bounce(axis, side) {
+        if (this.direction.getComponent(axis) * side > 0) this.remaining = 0;
+    }
+}
+
+// Sine weave on x, with the frequency re-rolled every half cycle
+class Weave {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.offset = new THREE.Vector3();
+        this.phase = random.next() * Math.PI * 2;
+        this.rate = jittered(random, 1, params.jitter);
+    }
+
+    apply(delta) {
+        const { speed, amplitude, jitter } = this.params;
+        const halfCycle = Math.floor(this.phase / Math.PI);
+        this.phase += Math.PI * 2 * speed * this.rate * delta;
+        if (Math.floor(this.phase / Math.PI) !== halfCycle) this.rate = jittered(this.random, 1, jitter);
+        this.offset.x = Math.sin(this.phase) * amplitude;
+    }
+}
+
+// Jump arcs under gravity at (jittered) intervals
+class Jump {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.offset = new THREE.Vector3();
+        this.velocity = 0;
+        this.airborne = false;
+        this.timer = jittered(random, params.interval, params.jitter);
+    }
+
+    apply(delta) {
+        const { speed, height, gravity, interval, jitter } = this.params;
+        const dt = delta * speed;
+
+        if (this.airborne) {
+            this.velocity -= gravity * dt;
+            this.offset.y += this.velocity * dt;
+            if (this.offset.y <= 0) {
+                this.offset.y = 0;
+                this.airborne = false;
+                this.timer = jittered(this.random, interval, jitter);
+            }
+            return;
+        }
+
+        this.timer -= dt;
+        if (this.timer <= 0) {
+            this.airborne = true;
+            this.velocity = Math.sqrt(2 * gravity * jittered(this.random, height, jitter));
+        }
+    }
+}
+
+// Crouch spam: quick dips, `hold` seconds down and `interval` seconds up
+class Crouch {
+    constructor(params, random) {
+        this.params = params;
+        this.random = random;
+        this.offset = new THREE.Vector3();
+        this.crouched = false;
+        this.timer = jittered(random, params.interval, params.jitter);
+    }
+
+    apply(delta) {
+        const { speed, depth, interval, hold, jitter } = this.params;
+        const dt = delta * speed;
+
+        this.timer -= dt;
+        if (this.timer <= 0) {
+            this.crouched = !this.crouched;
+            this.timer = jittered(this.random, this.crouched ? hold : interval, jitter);
+        }
+
+        // Crouching takes ~0.1s either way
+        const goal = this.crouched ? -depth : 0;
+        const rate = depth * 10 * dt;
+        this.offset.y += THREE.MathUtils.clamp(goal - this.offset.y, -rate, rate);
+    }
+}
+
+const PATTERNS = {
+    wander: Wander,
+    strafe: Strafe,
+    surge: Surge,
+    bezier: BezierPath,
+    dodge: Dodge,
+    weave: Weave,
+    jump: Jump,
+    crouch: Crouch
+};
+
+export class Motion {
+    constructor(config, random) {
+        const layers = config.type === 'mix' ? config.layers : [config];
+        this.bounds = config.bounds
+            ? new THREE.Box3(new THREE.Vector3().fromArray(config.bounds.min), new THREE.Vector3().fromArray(config.bounds.max))
+            : null;
+        this.layers = layers
+            .filter(layer => layer.type !== 'static')
+            .map(layer => new PATTERNS[layer.type](layer, random, this.bounds));
+        this.base = new THREE.Vector3();
+    }
+
+    // Spawn position, before any offsets
+    reset(position) {
+        this.base.copy(position);
+    }
+
+    // Advances all layers and writes the new position. `aim` is { origin, direction }
+    // of the player's crosshair ray, for reactive patterns.
+    update(delta, position, aim) {
+        if (this.layers.length === 0) return;
+
+        _displacement.set(0, 0, 0);
+        this.layers.forEach(layer => {
+            if (layer.move) layer.move(delta, _displacement, this.base, aim);
+        });
+        this.base.add(_displacement);
+
+        // Keep the base inside the bounds and turn travelling layers around at the edges
+        for (let axis = 0; axis < 3; axis++) {
+            const value = this.base.getComponent(axis);
+            const side = value > this.bounds.max.getComponent(axis) ? 1 : value < this.bounds.min.getComponent(axis) ? -1 : 0;
+            if (side === 0) continue;
+            this.base.setComponent(axis, side > 0 ? this.bounds.max.getComponent(axis) : this.bounds.min.getComponent(axis));
+            this.layers.forEach(layer => {
+                if (layer.bounce) layer.bounce(axis, side);
+            });
+        }
+
+        position.copy(this.base);
+        this.layers.forEach(layer => {
+            if (!layer.apply) return;
+            layer.apply(delta);
+            position.add(layer.offset);
+        });
+        this.bounds.clampPoint(position, position);
+    }
+}
@@ -0,0 +1,93 @@
+// ParkourRecords.js - Best checkpoint splits and the ghost of the fastest run, per parkour level
+//
+// Stored in localStorage as { [levelKey]: { bestSplits, best, updatedAt } }, where
+// bestSplits holds the fastest time ever reached for each checkpoint (null if never reached)
+// and best is the fastest finished run: { time, splits, ghost }. The ghost is that run's path
+// as [time, x, y, z] eye positions, sampled from its replay.
+
+import { Random } from './Random.js';
+import { ABILITIES } from './Abilities.js';
+
+const STORAGE_KEY = 'aimthree.parkour';
+const MAX_LEVELS = 50; // Least recently played levels are dropped past this
+const GHOST_INTERVAL = 0.05; // Seconds between ghost samples
+
+// Keyed by a hash of the whole level, so changing any of it starts its records over.
+// Generated levels also differ per seed; hand-made ones are the same whatever the seed.
+// `abilities` are the run's enabled abilities (see Abilities.js): runs with other ones are
+// kept apart, while runs with none keep the plain key.
+export function levelKey(scenario, seed, abilities = {}) {
+    const enabled = Object.keys(ABILITIES).filter(ability => abilities[ability]);
+    const suffix = enabled.length > 0 ? `+${enabled.join('+')}` : '';
+    const hash = Random.normalizeSeed(JSON.stringify(scenario.level)).toString(16); // FNV-1a of the level
+    if (!scenario.level.platforms) return `${scenario.id}:${seed}#${hash}${suffix}`;
+    return `${scenario.id}#${hash}${suffix}`;
+}
+
+// Path of a replay's player, thinned out to GHOST_INTERVAL
+export function ghostPath(replay) {
+    const path = [];
+    let next = 0;
+    replay.frames.forEach(([time, x, y, z], i) => {
+        if (time < next && i !== replay.frames.length - 1) return;
+        path.push([time, x, y, z]);
+        next = time + GHOST_INTERVAL;
+    });
+    return path;
+}
+
+export class ParkourRecords {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.records = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (e) {
+            console.warn('Parkour records are corrupted, starting fresh:', e);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.records));
+        } catch (e) {
+            console.warn('Could not save parkour records:', e);
+        }
+    }
+
+    // { bestSplits, best } or null for a level never played
+    get(key) {
+        return this.records[key] ?? null;
+    }
+
+    // Merges a run ({ completed, time, splits }) into the level's record; its ghost is kept
+    // when it's the fastest finish so far
+    add(key, run, ghost) {
+        // A level whose checkpoints changed (an edited scenario file) starts over
+        let record = this.records[key];
+        if (!record || record.bestSplits.length !== run.splits.length) record = { bestSplits: [], best: null };
+        record.bestSplits = run.splits.map((time, i) => {
+            const best = record.bestSplits[i] ?? null;
+            if (time === null) return best;
+            return best === null ? time : Math.min(best, time);
+        });
+        if (run.completed && (!record.best || run.time < record.best.time)) {
+            record.best = { time: run.time, splits: run.splits, ghost };
+        }
+        record.updatedAt = Date.now();
+        this.records[key] = record;
+
+        const keys = Object.keys(this.records);
+        if (keys.length > MAX_LEVELS) {
+            keys.sort((a, b) => this.records[a].updatedAt - this.records[b].updatedAt)
+                .slice(0, keys.length - MAX_LEVELS)
+                .forEach(oldest => delete this.records[oldest]);
+        }
+        this.save();
+    }
+}
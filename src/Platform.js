@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+// Platform.js - A parkour platform and its behaviour
+//
+// Besides standing still, a platform can
+//   move      travel a closed loop from its position through `path` at `speed` units/s
+//             (one point: back and forth), carrying whoever stands on it
+//   rotate    spin around its vertical axis at this many degrees/s, turning riders with it
+//   crumble   fall `delay` seconds after someone lands on it, and come back `respawn` s later
+//   bounce    launch whoever lands on it upwards at this speed
+//   conveyor  carry riders along [x, z] units/s (turning with the platform)
+//   boost     multiply the acceleration of riders (below 1 slows them down)
+// Poses only depend on the run's clock, so runs and replays see the same motion.
+
+export const PLATFORM_HEIGHT = 0.5; // Default thickness; taller ones make walls
+
+// Behaviours that change how a platform looks (moving and rotating ones show by moving)
+export const PLATFORM_KINDS = {
+    crumble: { name: 'CRUMBLING', color: 0xaa6633 },
+    bounce: { name: 'BOUNCE PAD', color: 0xffff00 },
+    conveyor: { name: 'CONVEYOR', color: 0x4488ff },
+    boost: { name: 'SPEED ZONE', color: 0xff4466 }
+};
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _offset = new THREE.Vector3();
+
+export class Platform {
+    constructor({
+        position, width, depth, height = PLATFORM_HEIGHT, isGoal = false, checkpoint = null,
+        move = null, rotate = 0, crumble = null, bounce = 0, conveyor = null, boost = 1
+    }) {
+        this.width = width;
+        this.depth = depth;
+        this.height = height;
+        this.isGoal = isGoal;
+        this.checkpoint = checkpoint; // Index among the level's checkpoints, or null
+
+        this.origin = position.clone();
+        this.path = null;
+        if (move) {
+            // Closed loop back to the origin, with each leg's length
+            const points = [this.origin, ...move.path.map(point => new THREE.Vector3().fromArray(point))];
+            const legs = points.map((point, i) => point.distanceTo(points[(i + 1) % points.length]));
+            const length = legs.reduce((sum, leg) => sum + leg, 0);
+            if (length > 0) this.path = { points, legs, length, speed: move.speed };
+        }
+        this.spin = THREE.MathUtils.degToRad(rotate); // Radians per second
+        this.crumble = crumble; // { delay, respawn } or null
+        this.bounce = bounce;
+        this.conveyor = conveyor ? new THREE.Vector3(conveyor[0], 0, conveyor[1]) : null;
+        this.boost = boost;
+
+        this.position = new THREE.Vector3();
+        this.angle = 0; // Around the vertical axis
+        this.previousPosition = new THREE.Vector3();
+        this.previousAngle = 0;
+        this.renderPosition = new THREE.Vector3(); // Interpolated pose for rendering
+        this.renderAngle = 0;
+        this.reset();
+    }
+
+    // The one behaviour that changes the platform's look, if any (see PLATFORM_KINDS)
+    get kind() {
+        if (this.crumble) return 'crumble';
+        if (this.bounce > 0) return 'bounce';
+        if (this.conveyor) return 'conveyor';
+        if (this.boost !== 1) return 'boost';
+        return null;
+    }
+
+    get isSolid() {
+        return this.respawnTime === null;
+    }
+
+    // Landed on, about to fall
+    get isCrumbling() {
+        return this.crumbleTime !== null;
+    }
+
+    reset() {
+        this.crumbleTime = null; // Seconds until it falls, once landed on
+        this.respawnTime = null; // Seconds until it's back, once fallen
+        this.pose(0);
+        this.previousPosition.copy(this.position);
+        this.previousAngle = this.angle;
+        this.restoreSimulation();
+    }
+
+    // Where the platform is `time` seconds into the run
+    pose(time) {
+        this.angle = this.spin * time;
+        if (!this.path) {
+            this.position.copy(this.origin);
+            return;
+        }
+
+        const { points, legs, length, speed } = this.path;
+        let distance = (speed * time) % length;
+        let leg = 0;
+        while (distance > legs[leg] && leg < legs.length - 1) distance -= legs[leg++];
+        const next = points[(leg + 1) % points.length];
+        this.position.lerpVectors(points[leg], next, legs[leg] > 0 ? distance / legs[leg] : 0);
+    }
+
+    // One simulation tick ending at `time`
+    update(time, delta) {
+        this.previousPosition.copy(this.position);
+        this.previousAngle = this.angle;
+        this.pose(time);
+
+        if (this.crumbleTime !== null) {
+            this.crumbleTime -= delta;
+            if (this.crumbleTime <= 0) {
+                this.crumbleTime = null;
+                this.respawnTime = this.crumble.respawn;
+            }
+        } else if (this.respawnTime !== null) {
+            this.respawnTime -= delta;
+            if (this.respawnTime <= 0) this.respawnTime = null;
+        }
+    }
+
+    // Someone landed on it
+    land() {
+        if (this.crumble && this.isSolid && !this.isCrumbling) this.crumbleTime = this.crumble.delay;
+    }
+
+    // Moves `point` (standing on the platform) along with the platform's last tick. Returns
+    // the platform's turn in radians, for turning the rider's view with it.
+    carry(point, delta) {
+        const turn = this.angle - this.previousAngle;
+        if (turn !== 0) {
+            _offset.subVectors(point, this.previousPosition).applyAxisAngle(_up, turn);
+            point.copy(this.previousPosition).add(_offset);
+        }
+        point.add(this.position).sub(this.previousPosition);
+        if (this.conveyor) point.addScaledVector(_offset.copy(this.conveyor).applyAxisAngle(_up, this.angle), delta);
+        return turn;
+    }
+
+    restoreSimulation() {
+        this.renderPosition.copy(this.position);
+        this.renderAngle = this.angle;
+    }
+
+    interpolate(alpha) {
+        this.renderPosition.lerpVectors(this.previousPosition, this.position, alpha);
+        this.renderAngle = THREE.MathUtils.lerp(this.previousAngle, this.angle, alpha);
+    }
+}
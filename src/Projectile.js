@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+
+// Projectile.js - A simulated shot from a projectile weapon (see Weapons.js `projectile`).
+//
+// The projectile is a point flying under gravity; GameCore sweeps it against the targets
+// every tick. While it flies it also tracks its closest approach to the target it was
+// aimed at, relative to that target's own motion, which is what the lead error on the end
+// screen is made of.
+
+const GEOMETRY = new THREE.SphereGeometry(0.08, 8, 8);
+const MATERIAL = new THREE.MeshBasicMaterial({ color: 0x00ffff });
+const MIN_TARGET_SPEED = 0.5; // Units/s; slower targets don't need leading and aren't scored
+
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+
+export class Projectile {
+    constructor(scene) {
+        this.scene = scene;
+        this.mesh = new THREE.Mesh(GEOMETRY, MATERIAL);
+        this.scene.add(this.mesh);
+
+        this.velocity = new THREE.Vector3();
+        this.gravity = 0;
+        this.age = 0;
+
+        // Target nearest the line of fire at launch, and the closest approach to it so far:
+        // { distance, offset (projectile - target), targetVelocity }
+        this.target = null;
+        this.closest = null;
+
+        // Records made at launch that are filled in once the shot resolves
+        this.records = {};
+
+        // Fixed timestep: last two simulated positions, the mesh renders between them
+        this.previousPosition = new THREE.Vector3();
+        this.simPosition = new THREE.Vector3();
+    }
+
+    get position() {
+        return this.mesh.position;
+    }
+
+    // config: { speed, gravity } from the weapon; target: what it was aimed at, if anything
+    launch(origin, direction, config, target = null) {
+        this.mesh.position.copy(origin);
+        this.previousPosition.copy(origin);
+        this.simPosition.copy(origin);
+        this.velocity.copy(direction).multiplyScalar(config.speed);
+        this.gravity = config.gravity;
+        this.age = 0;
+        this.target = target;
+        this.closest = null;
+    }
+
+    update(delta) {
+        this.age += delta;
+        this.velocity.y -= this.gravity * delta;
+        this.mesh.position.addScaledVector(this.velocity, delta);
+    }
+
+    // This tick's path in the frame of a target that moved from `targetPrevious` to
+    // `targetCurrent`, expressed at the target's current position: { start, end }
+    relativeSegment(targetPrevious, targetCurrent) {
+        _start.copy(this.previousPosition).sub(targetPrevious).add(targetCurrent);
+        _end.copy(this.mesh.position);
+        return { start: _start, end: _end };
+    }
+
+    // Updates the closest approach with this tick's path relative to the aimed-at target,
+    // until that target is killed
+    trackApproach(delta) {
+        const target = this.target;
+        if (!target || !target.isActive) {
+            this.target = null;
+            return;
+        }
+
+        const targetPosition = target.mesh.position;
+        const { start, end } = this.relativeSegment(target.previousPosition, targetPosition);
+
+        // Closest point of the segment to the target centre
+        _segment.subVectors(end, start);
+        const lengthSq = _segment.lengthSq();
+        const t = lengthSq > 0 ? THREE.MathUtils.clamp(_closest.subVectors(targetPosition, start).dot(_segment) / lengthSq, 0, 1) : 0;
+        _closest.copy(start).addScaledVector(_segment, t).sub(targetPosition);
+
+        const distance = _closest.length();
+        if (this.closest && distance >= this.closest.distance) return;
+
+        this.closest = {
+            distance,
+            offset: _closest.clone(),
+            targetVelocity: new THREE.Vector3().subVectors(targetPosition, target.previousPosition).divideScalar(delta)
+        };
+    }
+
+    // Signed miss along the target's direction of travel at the closest approach:
+    // positive = passed ahead of it (over-led), negative = behind it. null when not measurable.
+    getLeadError() {
+        if (!this.closest) return null;
+
+        const speed = this.closest.targetVelocity.length();
+        if (speed < MIN_TARGET_SPEED) return null;
+        return this.closest.offset.dot(this.closest.targetVelocity) / speed;
+    }
+
+    savePrevious() {
+        this.previousPosition.copy(this.mesh.position);
+    }
+
+    restoreSimulation() {
+        this.mesh.position.copy(this.simPosition);
+    }
+
+    interpolate(alpha) {
+        this.simPosition.copy(this.mesh.position);
+        this.mesh.position.lerpVectors(this.previousPosition, this.simPosition, alpha);
+    }
+
+    // Replays: places the mesh where a projectile launched from `origin` at `velocity` is `age`
+    // seconds later
+    place(origin, velocity, gravity, age) {
+        this.mesh.position.copy(origin).addScaledVector(velocity, age);
+        this.mesh.position.y -= gravity * age * age / 2;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+    }
+}
@@ -0,0 +1,65 @@
+// Random.js - Seedable PRNG so runs can be replayed exactly
+//
+// Uses mulberry32, which only relies on 32-bit integer math (Math.imul, shifts),
+// so the same seed produces the same sequence in every browser.
+
+export class Random {
+    constructor(seed) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Accepts numbers or arbitrary strings ("1234", "scrim-night") and returns an unsigned 32-bit seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Fresh seed for when the player didn't enter one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Independent stream for one subsystem (e.g. 'spawn', 'level'), so consuming
+    // numbers in one place never shifts the sequence seen by another
+    derive(label) {
+        return new Random(Random.normalizeSeed(`${this.seed}:${label}`));
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
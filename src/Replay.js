@@ -0,0 +1,188 @@
+import { validateScenario } from './Scenario.js';
+
+// Replay.js - Compact recording of a run, plus save/load of replay files
+//
+// A replay stores the scenario and seed (so parkour levels and decorations can be
+// regenerated exactly) and the run's state every FRAME_INTERVAL seconds of simulation
+// (every 4th 1/120 s tick), plus its last tick:
+//
+//   [time, x, y, z, yaw, pitch, inputBits, score, targets]
+//
+// where `targets` is a flat list of [targetIndex, x, y, z] for every active target and
+// `inputBits` holds every input used since the previous frame. Playback interpolates
+// between frames. Shots are stored separately as [time, hit], at their exact tick, and
+// projectile weapons' launches as
+//
+//   [time, x, y, z, vx, vy, vz, gravity, flight]
+//
+// with `flight` the seconds until the projectile landed (null if the run ended first).
+// REPLAY_VERSION goes up with every change to what a replay holds, and other versions
+// are rejected.
+
+export const REPLAY_VERSION = 3;
+const FRAME_INTERVAL = 1 / 30; // Seconds of simulation between stored frames
+
+// Bits of the per-frame input state
+export const INPUT = {
+    FORWARD: 1,
+    BACKWARD: 2,
+    LEFT: 4,
+    RIGHT: 8,
+    SPRINT: 16,
+    FIRE: 32,
+    RELOAD: 64,
+    JUMP: 128,
+    DASH: 256,
+    SLIDE: 512,
+    ZOOM: 1024
+};
+
+// Keep files small: millimetre positions, ~0.006 degree angles
+const round = (value, digits) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+export class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+        this.pending = null; // Latest tick's frame while it isn't due to be stored yet
+        this.pendingBits = 0; // Inputs of the ticks since the last stored frame
+        this.nextFrameTime = 0;
+    }
+
+    get isRecording() {
+        return this.replay !== null;
+    }
+
+    // meta: { scenario, seed, sensitivity, duration, weapon }
+    start(meta) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            ...meta,
+            frames: [],
+            shots: [],
+            projectiles: [],
+            result: null
+        };
+        this.pending = null;
+        this.pendingBits = 0;
+        this.nextFrameTime = 0;
+    }
+
+    // Called every tick; stores a frame once FRAME_INTERVAL has passed since the last one.
+    // position: camera position, aim: [yaw, pitch], targets: Target pool (index is stable)
+    recordFrame(time, position, aim, inputBits, score, targets) {
+        if (!this.replay) return;
+        this.pendingBits |= inputBits;
+
+        const targetData = [];
+        targets.forEach((target, index) => {
+            if (!target.isActive) return;
+            const p = target.mesh.position;
+            targetData.push(index, round(p.x, 3), round(p.y, 3), round(p.z, 3));
+        });
+
+        this.pending = [
+            round(time, 4),
+            round(position.x, 3), round(position.y, 3), round(position.z, 3),
+            round(aim[0], 4), round(aim[1], 4),
+            this.pendingBits,
+            Math.floor(score),
+            targetData
+        ];
+        // Small tolerance so float drift in the tick clock doesn't delay a frame by a tick
+        if (time >= this.nextFrameTime - 1e-9) {
+            this.storePending();
+            this.nextFrameTime += FRAME_INTERVAL;
+        }
+    }
+
+    storePending() {
+        this.replay.frames.push(this.pending);
+        this.pending = null;
+        this.pendingBits = 0;
+    }
+
+    // Returns the stored [time, hit] entry (null when not recording) so shots that land
+    // later, like projectiles, can fill in the hit
+    recordShot(time, hit) {
+        if (!this.replay) return null;
+        const shot = [round(time, 4), hit ? 1 : 0];
+        this.replay.shots.push(shot);
+        return shot;
+    }
+
+    // Returns the stored launch entry (null when not recording) for recordLanding()
+    recordLaunch(time, origin, velocity, gravity) {
+        if (!this.replay) return null;
+        const launch = [
+            round(time, 4),
+            round(origin.x, 3), round(origin.y, 3), round(origin.z, 3),
+            round(velocity.x, 3), round(velocity.y, 3), round(velocity.z, 3),
+            gravity,
+            null
+        ];
+        this.replay.projectiles.push(launch);
+        return launch;
+    }
+
+    recordLanding(launch, flight) {
+        launch[8] = round(flight, 4);
+    }
+
+    // Stops recording and returns the finished replay
+    finish(result) {
+        if (this.pending) this.storePending(); // The run's last tick
+        const replay = this.replay;
+        this.replay = null;
+        if (replay) replay.result = result;
+        return replay;
+    }
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parses and sanity-checks a replay file, throwing a ReplayError with the reason
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ReplayError(`Replay is not valid JSON: ${e.message}`);
+    }
+
+    if (!data || typeof data !== 'object') {
+        throw new ReplayError('Replay must be a JSON object');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new ReplayError(`Unsupported replay version ${JSON.stringify(data.version)} (expected ${REPLAY_VERSION})`);
+    }
+    if (!Array.isArray(data.frames) || data.frames.length < 2) {
+        throw new ReplayError('Replay has no frames');
+    }
+    const badFrame = data.frames.findIndex(frame => !Array.isArray(frame) || frame.length !== 9 || !Array.isArray(frame[8]));
+    if (badFrame !== -1) {
+        throw new ReplayError(`Replay frame ${badFrame} is malformed`);
+    }
+    if (!Array.isArray(data.shots)) {
+        throw new ReplayError('Replay is missing its shot list');
+    }
+    if (!Array.isArray(data.projectiles)) {
+        throw new ReplayError('Replay is missing its projectile list');
+    }
+
+    // The embedded scenario goes through the same validation as scenario files
+    data.scenario = validateScenario(data.scenario, 'replay scenario');
+    return data;
+}
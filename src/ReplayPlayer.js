@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Target } from './Target.js';
+import { Projectile } from './Projectile.js';
+import { WEAPONS } from './Weapons.js';
+import { EYE_HEIGHT } from './GameCore.js';
+
+// ReplayPlayer.js - Re-drives the game's scene, targets and weapon from a recorded replay
+//
+// Playback interpolates between recorded frames, so it stays smooth at any speed, and
+// projectiles are drawn along their flight from their recorded launches. Two views: 'first' (the player's own camera) and 'free' (orbit around the player).
+
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+        this.replay = null;
+        this.time = 0;
+        this.duration = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.view = 'first';
+        this.nextShot = 0; // Index of the next shot to trigger during playback
+        this.projectiles = new Map(); // Launch index -> { projectile, origin, velocity } while in flight
+        this.inputBits = 0;
+        this.score = 0;
+
+        this.playerPosition = new THREE.Vector3();
+        this.playerAim = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        // Free camera
+        this.orbit = new OrbitControls(game.camera, game.renderer.domElement);
+        this.orbit.enabled = false;
+        this.orbit.enableDamping = true;
+
+        // Player marker for the free camera (body + aim line)
+        this.marker = new THREE.Group();
+        const body = new THREE.Mesh(
+            new THREE.BoxGeometry(0.6, 1.8, 0.6),
+            new THREE.MeshBasicMaterial({ color: 0x00ffff, wireframe: true })
+        );
+        body.position.y = 0.9 - EYE_HEIGHT;
+        this.marker.add(body);
+        const aimLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, 0, -4)]),
+            new THREE.LineBasicMaterial({ color: 0xff00ff })
+        );
+        this.marker.add(aimLine);
+        this.marker.visible = false;
+        game.scene.add(this.marker);
+    }
+
+    get isActive() {
+        return this.replay !== null;
+    }
+
+    load(replay) {
+        this.clearProjectiles();
+        this.replay = replay;
+        this.duration = replay.frames[replay.frames.length - 1][0];
+        this.speed = 1;
+        this.isPlaying = true;
+        this.seek(0);
+        this.setView('first');
+    }
+
+    stop() {
+        this.replay = null;
+        this.isPlaying = false;
+        this.orbit.enabled = false;
+        this.marker.visible = false;
+        this.game.weapon.visible = true;
+        this.game.core.targets.forEach(t => t.despawn());
+        this.clearProjectiles();
+    }
+
+    clearProjectiles() {
+        this.projectiles.forEach(({ projectile }) => projectile.dispose());
+        this.projectiles.clear();
+    }
+
+    togglePlay() {
+        // Restart from the beginning when pressing play at the end
+        if (!this.isPlaying && this.time >= this.duration) this.seek(0);
+        this.isPlaying = !this.isPlaying;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    setView(view) {
+        this.view = view;
+        const free = view === 'free';
+        this.orbit.enabled = free;
+        this.marker.visible = free;
+        this.game.weapon.visible = !free;
+
+        if (free) {
+            // Start behind and above the player, looking at them
+            const back = new THREE.Vector3(0, 0, 1).applyEuler(new THREE.Euler(0, this.playerAim.y, 0));
+            this.game.camera.position.copy(this.playerPosition).addScaledVector(back, 6).add(new THREE.Vector3(0, 3, 0));
+            this.orbit.target.copy(this.playerPosition);
+            this.orbit.update();
+        }
+        this.apply();
+    }
+
+    // Jump to a time without triggering the shots in between
+    seek(time) {
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        const shots = this.replay.shots;
+        this.nextShot = 0;
+        while (this.nextShot < shots.length && shots[this.nextShot][0] <= this.time) this.nextShot++;
+        this.apply();
+    }
+
+    update(delta) {
+        if (!this.replay) return;
+
+        if (this.isPlaying) {
+            this.time = Math.min(this.duration, this.time + delta * this.speed);
+            if (this.time >= this.duration) this.isPlaying = false;
+        }
+
+        this.apply();
+
+        // Shots are triggered after the camera is in place so tracers line up
+        const shots = this.replay.shots;
+        while (this.nextShot < shots.length && shots[this.nextShot][0] <= this.time) {
+            this.playShot(shots[this.nextShot][1] === 1);
+            this.nextShot++;
+        }
+
+        this.game.weapon.update(delta * this.speed);
+        if (this.orbit.enabled) this.orbit.update();
+    }
+
+    // Index of the last frame at or before `time`
+    findFrame(time) {
+        const frames = this.replay.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (frames[mid][0] <= time) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    apply() {
+        const frames = this.replay.frames;
+        const index = this.findFrame(this.time);
+        const a = frames[index];
+        const b = frames[Math.min(index + 1, frames.length - 1)];
+        const span = b[0] - a[0];
+        const alpha = span > 0 ? THREE.MathUtils.clamp((this.time - a[0]) / span, 0, 1) : 0;
+
+        // Player
+        const previousPosition = this.playerPosition.clone();
+        this.playerPosition.set(
+            THREE.MathUtils.lerp(a[1], b[1], alpha),
+            THREE.MathUtils.lerp(a[2], b[2], alpha),
+            THREE.MathUtils.lerp(a[3], b[3], alpha)
+        );
+        const yawDelta = Math.atan2(Math.sin(b[4] - a[4]), Math.cos(b[4] - a[4]));
+        this.playerAim.set(THREE.MathUtils.lerp(a[5], b[5], alpha), a[4] + yawDelta * alpha, 0);
+        this.inputBits = a[6];
+        this.score = a[7];
+
+        const camera = this.game.camera;
+        if (this.view === 'first') {
+            camera.position.copy(this.playerPosition);
+            camera.quaternion.setFromEuler(this.playerAim);
+        } else {
+            // Follow the player while keeping the user's orbit offset
+            const moved = this.playerPosition.clone().sub(previousPosition);
+            camera.position.add(moved);
+            this.orbit.target.copy(this.playerPosition);
+        }
+        this.marker.position.copy(this.playerPosition);
+        this.marker.quaternion.setFromEuler(this.playerAim);
+
+        this.applyTargets(a[8], b[8], alpha);
+        this.applyProjectiles();
+    }
+
+    applyTargets(fromData, toData, alpha) {
+        const core = this.game.core;
+        const config = this.replay.scenario.targets;
+        const positions = new Map();
+
+        for (let i = 0; i < fromData.length; i += 4) {
+            positions.set(fromData[i], new THREE.Vector3(fromData[i + 1], fromData[i + 2], fromData[i + 3]));
+        }
+        for (let i = 0; i < toData.length; i += 4) {
+            const from = positions.get(toData[i]);
+            if (from) from.lerp(new THREE.Vector3(toData[i + 1], toData[i + 2], toData[i + 3]), alpha);
+        }
+
+        // Grow the pool to match the recording
+        positions.forEach((_, index) => {
+            while (core.targets.length <= index) core.targets.push(new Target(core.scene));
+        });
+
+        core.targets.forEach((target, index) => {
+            const position = positions.get(index);
+            if (!position) {
+                if (target.isActive) target.despawn();
+            } else if (!target.isActive) {
+                target.spawn(position, core.motionRandom, config);
+            } else {
+                target.mesh.position.copy(position);
+            }
+        });
+    }
+
+    // Shows the projectiles in flight at the current time
+    applyProjectiles() {
+        const scene = this.game.core.scene;
+        this.replay.projectiles.forEach(([time, x, y, z, vx, vy, vz, gravity, flight], index) => {
+            const age = this.time - time;
+            let shown = this.projectiles.get(index);
+            if (age < 0 || (flight !== null && age > flight)) {
+                if (shown) {
+                    shown.projectile.dispose();
+                    this.projectiles.delete(index);
+                }
+                return;
+            }
+            if (!shown) {
+                shown = { projectile: new Projectile(scene), origin: new THREE.Vector3(x, y, z), velocity: new THREE.Vector3(vx, vy, vz) };
+                this.projectiles.set(index, shown);
+            }
+            shown.projectile.place(shown.origin, shown.velocity, gravity, age);
+        });
+    }
+
+    playShot(hit) {
+        const game = this.game;
+        const direction = new THREE.Vector3(0, 0, -1).applyEuler(this.playerAim);
+
+        if (this.view === 'first') game.weapon.shoot();
+        // Projectiles show in flight instead (see applyProjectiles)
+        const weapon = WEAPONS[this.replay.weapon];
+        if (!weapon || !weapon.projectile) game.createBulletTracer(this.playerPosition, direction);
+
+        // Only play audio at normal-ish speeds, fast-forward would be a wall of noise
+        if (this.speed <= 2) {
+            game.soundManager.playShoot();
+            if (hit) game.soundManager.playHit();
+        }
+    }
+}
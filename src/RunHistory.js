@@ -0,0 +1,89 @@
+// RunHistory.js - Persists finished runs locally and tracks personal bests
+//
+// Runs are stored as a JSON array in localStorage. Personal bests are kept per
+// scenario + duration + weapon: highest score for target scenarios, fastest
+// completion time for parkour.
+
+const STORAGE_KEY = 'aimthree.runs';
+const MAX_RUNS = 1000; // Oldest runs are dropped past this
+const LEGACY_WEAPON = 'classic'; // Runs stored before weapons were all fired with it
+
+export class RunHistory {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.runs = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            console.warn('Run history is corrupted, starting fresh:', e);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.runs));
+        } catch (e) {
+            console.warn('Could not save run history:', e);
+        }
+    }
+
+    // Parkour runs only count towards a PB when the goal was reached
+    static isRanked(run) {
+        return run.metric === 'score' || run.completed;
+    }
+
+    static weaponOf(run) {
+        return run.weapon ?? LEGACY_WEAPON;
+    }
+
+    static compare(a, b) {
+        return a.metric === 'time' ? a.time - b.time : b.score - a.score;
+    }
+
+    // Stores a run and returns the previous best so the caller can show the delta
+    add(run) {
+        const previousBest = this.getBest(run.scenarioId, run.duration, RunHistory.weaponOf(run));
+        const isNewBest = RunHistory.isRanked(run) &&
+            (!previousBest || RunHistory.compare(run, previousBest) < 0);
+
+        this.runs.push(run);
+        if (this.runs.length > MAX_RUNS) {
+            this.runs.splice(0, this.runs.length - MAX_RUNS);
+        }
+        this.save();
+
+        return { previousBest, isNewBest };
+    }
+
+    getBest(scenarioId, duration, weapon) {
+        const ranked = this.filter({ scenarioId, duration, weapon }).filter(RunHistory.isRanked);
+        if (ranked.length === 0) return null;
+        return ranked.sort(RunHistory.compare)[0];
+    }
+
+    // Newest first. Omitted filter fields match everything.
+    filter({ scenarioId, duration, weapon } = {}) {
+        return this.runs
+            .filter(run => scenarioId === undefined || run.scenarioId === scenarioId)
+            .filter(run => duration === undefined || run.duration === duration)
+            .filter(run => weapon === undefined || RunHistory.weaponOf(run) === weapon)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    remove(id) {
+        this.runs = this.runs.filter(run => run.id !== id);
+        this.save();
+    }
+
+    // Deletes every run matching the filter
+    clear(filter = {}) {
+        const doomed = new Set(this.filter(filter).map(run => run.id));
+        this.runs = this.runs.filter(run => !doomed.has(run.id));
+        this.save();
+    }
+}
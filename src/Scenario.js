@@ -0,0 +1,460 @@
+// Scenario.js - Declarative game mode definitions (JSON) with schema validation
+//
+// A scenario describes everything a mode needs: target spawn volume, count, size,
+// motion, weapon, scoring rules, duration and win condition. Built-in scenarios live in
+// src/scenarios/*.json and are collected by src/scenarios/index.js.
+
+import { WEAPONS } from './Weapons.js';
+import { ABILITIES, ABILITY_RULES } from './Abilities.js';
+import { PLATFORM_HEIGHT } from './Platform.js';
+
+const SCENARIO_TYPES = ['targets', 'parkour'];
+// Tunable parameters per motion pattern (see Motion.js) as [default, min, max]
+const MOTION_PATTERNS = {
+    static: {},
+    wander: { speed: [2, 0], changeInterval: [1, 0.05], blend: [0.5, 0, 1] },
+    strafe: { speed: [4, 0], acceleration: [40, 0.1], minInterval: [0.2, 0.05], maxInterval: [0.8, 0.05], jitter: [0.2, 0, 1] },
+    surge: { speed: [5, 0], distance: [5, 0.1], pause: [0.3, 0], jitter: [0.2, 0, 1] },
+    bezier: { speed: [3, 0], jitter: [0.3, 0, 1] },
+    dodge: { speed: [8, 0], distance: [2, 0], triggerAngle: [5, 0.1, 90], cooldown: [0.8, 0], jitter: [0.2, 0, 1] },
+    weave: { speed: [0.8, 0], amplitude: [1.5, 0], jitter: [0.2, 0, 1] },
+    jump: { speed: [1, 0.1], height: [1.2, 0], gravity: [25, 0.1], interval: [1.5, 0.1], jitter: [0.3, 0, 1] },
+    crouch: { speed: [1, 0.1], depth: [0.5, 0], interval: [0.4, 0.05], hold: [0.25, 0.05], jitter: [0.3, 0, 1] }
+};
+const LAYOUT_TYPES = ['random', 'grid', 'surround'];
+// Hit zones per target shape, with the default damage a hit in each zone deals
+const TARGET_SHAPES = {
+    sphere: { body: 100 },
+    humanoid: { head: 100, torso: 35, limbs: 25 }
+};
+const SCORING_TYPES = ['hit', 'track'];
+const WIN_CONDITIONS = {
+    targets: ['time', 'score', 'kills'],
+    parkour: ['goal']
+};
+const LEVEL_GENERATORS = ['spiral'];
+const MAX_PLATFORMS = 500;
+const DEFAULT_MOVEMENT = { airControl: 1, coyoteTime: 0.1, jumpBuffer: 0.1 };
+const PLATFORM_SIZE = [0.5, 100]; // Width/depth/height range of hand-made platforms
+const MAX_PATH_POINTS = 16;
+const DEFAULT_CRUMBLE = { delay: 0.5, respawn: 3 };
+
+export class ScenarioError extends Error {
+    constructor(source, errors) {
+        super(`Invalid scenario "${source}":\n - ${errors.join('\n - ')}`);
+        this.name = 'ScenarioError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+// Collects every problem with a path ("targets.spawn.min") instead of stopping at the first one
+class Checker {
+    constructor() {
+        this.errors = [];
+    }
+
+    fail(path, message) {
+        this.errors.push(`${path} ${message}`);
+    }
+
+    object(value, path) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            this.fail(path, 'must be an object');
+            return false;
+        }
+        return true;
+    }
+
+    string(value, path, { optional = false } = {}) {
+        if (value === undefined && optional) return true;
+        if (typeof value !== 'string' || value.trim() === '') {
+            this.fail(path, 'must be a non-empty string');
+            return false;
+        }
+        return true;
+    }
+
+    number(value, path, { min = -Infinity, max = Infinity, integer = false, optional = false } = {}) {
+        if (value === undefined && optional) return true;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.fail(path, `must be a number (got ${JSON.stringify(value)})`);
+            return false;
+        }
+        if (integer && !Number.isInteger(value)) {
+            this.fail(path, `must be a whole number (got ${value})`);
+            return false;
+        }
+        if (value < min || value > max) {
+            const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+            this.fail(path, `must be ${range} (got ${value})`);
+            return false;
+        }
+        return true;
+    }
+
+    boolean(value, path, { optional = false } = {}) {
+        if (value === undefined && optional) return true;
+        if (typeof value !== 'boolean') {
+            this.fail(path, 'must be true or false');
+            return false;
+        }
+        return true;
+    }
+
+    oneOf(value, path, options) {
+        if (!options.includes(value)) {
+            this.fail(path, `must be one of ${options.map(o => `"${o}"`).join(', ')} (got ${JSON.stringify(value)})`);
+            return false;
+        }
+        return true;
+    }
+
+    vector3(value, path) {
+        if (!Array.isArray(value) || value.length !== 3 || !value.every(v => typeof v === 'number' && Number.isFinite(v))) {
+            this.fail(path, 'must be an array of 3 numbers [x, y, z]');
+            return false;
+        }
+        return true;
+    }
+
+    box(value, path) {
+        if (!this.object(value, path)) return false;
+        const okMin = this.vector3(value.min, `${path}.min`);
+        const okMax = this.vector3(value.max, `${path}.max`);
+        if (okMin && okMax && value.min.some((v, i) => v > value.max[i])) {
+            this.fail(path, 'min must not be greater than max on any axis');
+            return false;
+        }
+        return okMin && okMax;
+    }
+}
+
+function checkTargets(check, targets) {
+    if (!check.object(targets, 'targets')) return;
+
+    check.number(targets.count, 'targets.count', { min: 1, max: 64, integer: true });
+    check.number(targets.radius, 'targets.radius', { min: 0.05, max: 5 });
+    if (targets.color !== undefined && !/^#[0-9a-f]{6}$/i.test(targets.color)) {
+        check.fail('targets.color', 'must be a hex colour like "#ff0000"');
+    }
+    check.boolean(targets.respawnOnKill, 'targets.respawnOnKill', { optional: true });
+    check.number(targets.health, 'targets.health', { min: 1, optional: true });
+
+    const shape = targets.shape ?? 'sphere';
+    if (check.oneOf(shape, 'targets.shape', Object.keys(TARGET_SHAPES)) && targets.damage !== undefined) {
+        if (check.object(targets.damage, 'targets.damage')) {
+            Object.entries(targets.damage).forEach(([zone, amount]) => {
+                if (check.oneOf(zone, 'targets.damage', Object.keys(TARGET_SHAPES[shape]))) {
+                    check.number(amount, `targets.damage.${zone}`, { min: 0 });
+                }
+            });
+        }
+    }
+
+    const layout = targets.layout ?? { type: 'random' };
+    if (check.object(layout, 'targets.layout') && check.oneOf(layout.type, 'targets.layout.type', LAYOUT_TYPES)) {
+        if (layout.type === 'random') {
+            check.box(targets.spawn, 'targets.spawn');
+        } else if (layout.type === 'grid') {
+            checkGrid(check, layout, targets);
+        } else {
+            checkSurround(check, layout);
+        }
+    }
+    check.number(targets.cueInterval, 'targets.cueInterval', { min: 0.1, optional: true });
+
+    checkMotion(check, targets.motion, 'targets.motion');
+}
+
+// A single pattern, or { type: 'mix', layers: [...] } running several at once.
+// Bounds belong to the top level; layers share them.
+function checkMotion(check, motion, path, { isLayer = false } = {}) {
+    if (!check.object(motion, path)) return;
+    const types = isLayer ? Object.keys(MOTION_PATTERNS) : [...Object.keys(MOTION_PATTERNS), 'mix'];
+    if (!check.oneOf(motion.type, `${path}.type`, types)) return;
+
+    if (motion.type === 'mix') {
+        if (!Array.isArray(motion.layers) || motion.layers.length === 0) {
+            check.fail(`${path}.layers`, 'must be a non-empty array of motion patterns');
+        } else {
+            motion.layers.forEach((layer, i) => checkMotion(check, layer, `${path}.layers[${i}]`, { isLayer: true }));
+        }
+    } else {
+        Object.entries(MOTION_PATTERNS[motion.type]).forEach(([name, [, min, max]]) => {
+            check.number(motion[name], `${path}.${name}`, { min, max, optional: true });
+        });
+        if (motion.type === 'strafe' && motion.minInterval > motion.maxInterval) {
+            check.fail(`${path}.minInterval`, 'must not be greater than maxInterval');
+        }
+    }
+
+    if (!isLayer && motion.type !== 'static') {
+        check.box(motion.bounds, `${path}.bounds`);
+    }
+}
+
+// Fills in default pattern parameters (recursing into mix layers)
+function normalizeMotion(motion) {
+    if (motion.type === 'mix') {
+        motion.layers.forEach(normalizeMotion);
+        return;
+    }
+    Object.entries(MOTION_PATTERNS[motion.type]).forEach(([name, [value]]) => {
+        motion[name] = motion[name] ?? value;
+    });
+}
+
+// A wall of cells facing the player; targets occupy distinct cells
+function checkGrid(check, grid, targets) {
+    const okColumns = check.number(grid.columns, 'targets.layout.columns', { min: 1, max: 20, integer: true });
+    const okRows = check.number(grid.rows, 'targets.layout.rows', { min: 1, max: 20, integer: true });
+    check.number(grid.distance, 'targets.layout.distance', { min: 1 });
+    check.number(grid.height, 'targets.layout.height');
+
+    if (check.number(grid.spacing, 'targets.layout.spacing', { min: 0.1 }) && grid.spacing < targets.radius * 2) {
+        check.fail('targets.layout.spacing', `must be at least twice targets.radius so targets don't overlap (got ${grid.spacing})`);
+    }
+    // One cell always has to stay free so a kill can respawn somewhere other than the cell just cleared
+    const cells = grid.columns * grid.rows;
+    if (okColumns && okRows && Number.isInteger(targets.count) && targets.count >= cells) {
+        check.fail('targets.count', `must be less than the number of grid cells (${cells})`);
+    }
+}
+
+// A ring around the player; targets spawn anywhere on it, optionally only out of view
+function checkSurround(check, surround) {
+    const okMin = check.number(surround.minDistance, 'targets.layout.minDistance', { min: 1 });
+    const okMax = check.number(surround.maxDistance, 'targets.layout.maxDistance', { min: 1 });
+    if (okMin && okMax && surround.minDistance > surround.maxDistance) {
+        check.fail('targets.layout.minDistance', 'must not be greater than maxDistance');
+    }
+    const okLow = check.number(surround.minHeight, 'targets.layout.minHeight');
+    const okHigh = check.number(surround.maxHeight, 'targets.layout.maxHeight');
+    if (okLow && okHigh && surround.minHeight > surround.maxHeight) {
+        check.fail('targets.layout.minHeight', 'must not be greater than maxHeight');
+    }
+    check.boolean(surround.outsideView, 'targets.layout.outsideView', { optional: true });
+}
+
+function checkScoring(check, scoring) {
+    if (!check.object(scoring, 'scoring')) return;
+    if (!check.oneOf(scoring.type, 'scoring.type', SCORING_TYPES)) return;
+
+    if (scoring.type === 'hit') {
+        check.number(scoring.pointsPerHit, 'scoring.pointsPerHit');
+        check.number(scoring.missPenalty, 'scoring.missPenalty', { min: 0, optional: true });
+    } else {
+        check.number(scoring.pointsPerSecond, 'scoring.pointsPerSecond');
+    }
+    check.number(scoring.headshotMultiplier, 'scoring.headshotMultiplier', { min: 0, optional: true });
+}
+
+// Either generated (`generator` and its parameters) or hand-made (`start` and `platforms`)
+function checkLevel(check, level) {
+    if (!check.object(level, 'level')) return;
+    if (level.platforms !== undefined) {
+        checkPlatforms(check, level);
+    } else {
+        check.oneOf(level.generator, 'level.generator', LEVEL_GENERATORS);
+        check.number(level.platformCount, 'level.platformCount', { min: 1, max: 200, integer: true });
+        check.number(level.maxHeight, 'level.maxHeight', { min: 1 });
+        // Spread evenly over the platforms between start and goal
+        const maxCheckpoints = typeof level.platformCount === 'number' ? level.platformCount : Infinity;
+        check.number(level.checkpoints, 'level.checkpoints', { min: 0, max: maxCheckpoints, integer: true, optional: true });
+        check.number(level.difficulty, 'level.difficulty', { min: 0, max: 1, optional: true });
+    }
+    check.number(level.respawnHeight, 'level.respawnHeight', { optional: true });
+}
+
+// A hand-made level (see Level.js): where the player starts (feet position) and the
+// platforms, at least one of them a goal. Checkpoints count in the order they are listed.
+function checkPlatforms(check, level) {
+    check.vector3(level.start, 'level.start');
+    if (!Array.isArray(level.platforms) || level.platforms.length === 0 || level.platforms.length > MAX_PLATFORMS) {
+        check.fail('level.platforms', `must be an array of 1 to ${MAX_PLATFORMS} platforms`);
+        return;
+    }
+
+    const [minSize, maxSize] = PLATFORM_SIZE;
+    level.platforms.forEach((platform, i) => {
+        const path = `level.platforms[${i}]`;
+        if (!check.object(platform, path)) return;
+        check.vector3(platform.position, `${path}.position`);
+        check.number(platform.width, `${path}.width`, { min: minSize, max: maxSize });
+        check.number(platform.depth, `${path}.depth`, { min: minSize, max: maxSize });
+        check.number(platform.height, `${path}.height`, { min: minSize, max: maxSize, optional: true });
+        check.boolean(platform.goal, `${path}.goal`, { optional: true });
+        check.boolean(platform.checkpoint, `${path}.checkpoint`, { optional: true });
+        if (platform.goal === true && platform.checkpoint === true) {
+            check.fail(path, 'can\'t be both a goal and a checkpoint');
+        }
+        checkBehaviour(check, platform, path);
+    });
+    if (!level.platforms.some(platform => platform && platform.goal === true)) {
+        check.fail('level.platforms', 'must include at least one goal platform');
+    }
+}
+
+// Optional platform behaviours (see Platform.js)
+function checkBehaviour(check, platform, path) {
+    if (platform.move !== undefined && check.object(platform.move, `${path}.move`)) {
+        const { path: points } = platform.move;
+        if (!Array.isArray(points) || points.length === 0 || points.length > MAX_PATH_POINTS) {
+            check.fail(`${path}.move.path`, `must be an array of 1 to ${MAX_PATH_POINTS} points`);
+        } else {
+            points.forEach((point, i) => check.vector3(point, `${path}.move.path[${i}]`));
+        }
+        check.number(platform.move.speed, `${path}.move.speed`, { min: 0.1, max: 50 });
+    }
+    check.number(platform.rotate, `${path}.rotate`, { min: -720, max: 720, optional: true });
+    if (platform.crumble !== undefined && check.object(platform.crumble, `${path}.crumble`)) {
+        check.number(platform.crumble.delay, `${path}.crumble.delay`, { min: 0, max: 10, optional: true });
+        check.number(platform.crumble.respawn, `${path}.crumble.respawn`, { min: 0.5, max: 60, optional: true });
+    }
+    check.number(platform.bounce, `${path}.bounce`, { min: 0, max: 50, optional: true });
+    if (platform.conveyor !== undefined &&
+        (!Array.isArray(platform.conveyor) || platform.conveyor.length !== 2 ||
+         !platform.conveyor.every(v => typeof v === 'number' && Number.isFinite(v)))) {
+        check.fail(`${path}.conveyor`, 'must be an array of 2 numbers [x, z]');
+    }
+    check.number(platform.boost, `${path}.boost`, { min: 0.1, max: 5, optional: true });
+    // Respawning on a checkpoint needs it to still be there
+    if (platform.checkpoint === true && (platform.move !== undefined || platform.crumble !== undefined)) {
+        check.fail(path, 'can\'t be a checkpoint and move or crumble');
+    }
+}
+
+// Player movement: share of ground acceleration and friction kept in the air, and the grace
+// periods (seconds) for jumping after leaving an edge or pressing jump just before landing
+function checkMovement(check, movement) {
+    if (movement === undefined || !check.object(movement, 'movement')) return;
+    check.number(movement.airControl, 'movement.airControl', { min: 0, max: 1, optional: true });
+    check.number(movement.coyoteTime, 'movement.coyoteTime', { min: 0, max: 1, optional: true });
+    check.number(movement.jumpBuffer, 'movement.jumpBuffer', { min: 0, max: 1, optional: true });
+}
+
+// Parkour: { [ability]: rule } for any of the abilities (see Abilities.js)
+function checkAbilities(check, abilities, path) {
+    if (abilities === undefined || !check.object(abilities, path)) return;
+    Object.entries(abilities).forEach(([ability, rule]) => {
+        if (!ABILITIES[ability]) {
+            check.fail(`${path}.${ability}`, `is not an ability (expected one of ${Object.keys(ABILITIES).join(', ')})`);
+        } else {
+            check.oneOf(rule, `${path}.${ability}`, ABILITY_RULES);
+        }
+    });
+}
+
+// Validates raw scenario data and returns a normalised copy with defaults filled in.
+// Throws a ScenarioError listing every problem found.
+export function validateScenario(data, source = 'scenario') {
+    const check = new Checker();
+
+    if (!check.object(data, '(root)')) {
+        throw new ScenarioError(source, check.errors);
+    }
+
+    check.string(data.id, 'id');
+    check.string(data.name, 'name');
+    check.string(data.description, 'description', { optional: true });
+    check.number(data.order, 'order', { optional: true });
+    check.boolean(data.adjustableDuration, 'adjustableDuration', { optional: true });
+    checkMovement(check, data.movement);
+
+    if (data.duration !== null) {
+        check.number(data.duration, 'duration', { min: 1 });
+    }
+
+    if (check.oneOf(data.type, 'type', SCENARIO_TYPES)) {
+        if (data.type === 'targets') {
+            checkTargets(check, data.targets);
+            checkScoring(check, data.scoring);
+            if (data.weapon !== undefined) check.oneOf(data.weapon, 'weapon', Object.keys(WEAPONS));
+            check.boolean(data.sprayReview, 'sprayReview', { optional: true });
+            if (data.duration === null && (!data.winCondition || data.winCondition.type === 'time')) {
+                check.fail('duration', 'may only be null when the win condition can end the run on its own');
+            }
+        } else {
+            checkLevel(check, data.level);
+            checkAbilities(check, data.abilities, 'abilities');
+        }
+
+        if (check.object(data.winCondition, 'winCondition')) {
+            const condition = data.winCondition;
+            if (check.oneOf(condition.type, 'winCondition.type', WIN_CONDITIONS[data.type])) {
+                if (condition.type === 'score' || condition.type === 'kills') {
+                    check.number(condition.target, 'winCondition.target', { min: 1 });
+                }
+            }
+        }
+    }
+
+    if (check.errors.length > 0) {
+        throw new ScenarioError(data.id || source, check.errors);
+    }
+
+    // Deep copy so callers can't mutate the built-in definitions
+    const scenario = JSON.parse(JSON.stringify(data));
+    scenario.description = scenario.description || '';
+    scenario.order = scenario.order ?? 100;
+    scenario.adjustableDuration = scenario.adjustableDuration ?? false;
+    scenario.weapon = scenario.weapon ?? 'classic';
+    scenario.sprayReview = scenario.sprayReview ?? false;
+    scenario.movement = { ...DEFAULT_MOVEMENT, ...scenario.movement };
+    if (scenario.targets) {
+        scenario.targets.color = scenario.targets.color || '#ff0000';
+        scenario.targets.respawnOnKill = scenario.targets.respawnOnKill ?? true;
+        scenario.targets.layout = scenario.targets.layout ?? { type: 'random' };
+        if (scenario.targets.layout.type === 'surround') {
+            scenario.targets.layout.outsideView = scenario.targets.layout.outsideView ?? true;
+        }
+        scenario.targets.shape = scenario.targets.shape ?? 'sphere';
+        scenario.targets.health = scenario.targets.health ?? 100;
+        scenario.targets.damage = { ...TARGET_SHAPES[scenario.targets.shape], ...scenario.targets.damage };
+        normalizeMotion(scenario.targets.motion);
+    }
+    if (scenario.scoring) {
+        scenario.scoring.headshotMultiplier = scenario.scoring.headshotMultiplier ?? 1;
+    }
+    if (scenario.scoring && scenario.scoring.type === 'hit') {
+        scenario.scoring.missPenalty = scenario.scoring.missPenalty ?? 0;
+    }
+    if (scenario.level && scenario.level.platforms) {
+        // Hand-made levels can go anywhere, so falling is measured from their lowest platform
+        scenario.level.platforms.forEach(platform => {
+            platform.height = platform.height ?? PLATFORM_HEIGHT;
+            platform.goal = platform.goal ?? false;
+            platform.checkpoint = platform.checkpoint ?? false;
+            if (platform.crumble) platform.crumble = { ...DEFAULT_CRUMBLE, ...platform.crumble };
+        });
+        const lowest = Math.min(...scenario.level.platforms.map(platform => platform.position[1]));
+        scenario.level.respawnHeight = scenario.level.respawnHeight ?? Math.min(-10, lowest - 10);
+    } else if (scenario.level) {
+        scenario.level.respawnHeight = scenario.level.respawnHeight ?? -10;
+        scenario.level.checkpoints = scenario.level.checkpoints ?? 0;
+        scenario.level.difficulty = scenario.level.difficulty ?? 0;
+    }
+    if (scenario.type === 'parkour') {
+        const rules = scenario.abilities || {};
+        scenario.abilities = {};
+        Object.keys(ABILITIES).forEach(ability => { scenario.abilities[ability] = rules[ability] ?? 'optional'; });
+    }
+    return scenario;
+}
+
+// Parses a scenario from JSON text (e.g. a file the player picked)
+export function parseScenario(text, source = 'scenario') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ScenarioError(source, [`is not valid JSON: ${e.message}`]);
+    }
+    return validateScenario(data, source);
+}
+
+// Menu order: explicit `order` first, then alphabetical
+export function sortScenarios(list) {
+    return list.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+
+// Sensitivity.js - Converts between real games' mouse sensitivity and ours, and cm/360.
+//
+// Everything is expressed as "yaw": degrees of rotation per mouse count at sensitivity 1.
+// PointerLockControls turns `movementX * 0.002 * pointerSpeed` radians, so ours is
+// 0.002 rad (~0.1146°) per count, assuming the OS pointer speed is 1:1 (Windows 6/11,
+// acceleration off) and the browser reports raw counts.
+
+export const BROWSER_YAW = THREE.MathUtils.radToDeg(0.002);
+
+// yaw: degrees per count at in-game sensitivity 1, fov: default horizontal FOV at 16:9
+export const GAME_PRESETS = {
+    cs2: { name: 'CS2 / SOURCE', yaw: 0.022, fov: 106.26 },
+    valorant: { name: 'VALORANT', yaw: 0.07, fov: 103 },
+    overwatch: { name: 'OVERWATCH 2', yaw: 0.0066, fov: 103 },
+    apex: { name: 'APEX LEGENDS', yaw: 0.022, fov: 106.26 },
+    fortnite: { name: 'FORTNITE (%)', yaw: 0.005555, fov: 80 },
+    custom: { name: 'CUSTOM YAW', yaw: null, fov: 103 }
+};
+
+// How the converted sensitivity should feel the same:
+//   '360'   same cm/360 regardless of FOV
+//   'mdm0'  same speed at the crosshair (monitor distance 0%, focal length scaling)
+//   'mdm100' same distance to flick to the screen edge
+export const MATCH_MODES = {
+    '360': { name: '360° DISTANCE', percent: null },
+    mdm0: { name: 'MONITOR DISTANCE 0%', percent: 0 },
+    mdm100: { name: 'MONITOR DISTANCE 100%', percent: 1 }
+};
+
+const CM_PER_INCH = 2.54;
+
+// Three.js cameras store vertical FOV; games mostly quote horizontal
+export function horizontalFov(verticalFov, aspect) {
+    const half = THREE.MathUtils.degToRad(verticalFov) / 2;
+    return THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(half) * aspect));
+}
+
+// Mouse travel for a full turn. `degreesPerCount` is yaw × sensitivity.
+export function inchesPer360(degreesPerCount, dpi) {
+    return 360 / (degreesPerCount * dpi);
+}
+
+export function cmPer360(degreesPerCount, dpi) {
+    return inchesPer360(degreesPerCount, dpi) * CM_PER_INCH;
+}
+
+// How much faster our view should turn than the game's for the same feel on screen
+export function fovRatio(fov, gameFov, mode) {
+    const { percent } = MATCH_MODES[mode];
+    if (percent === null) return 1;
+
+    const tanOurs = Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+    const tanGame = Math.tan(THREE.MathUtils.degToRad(gameFov) / 2);
+    if (percent === 0) return tanOurs / tanGame;
+    return Math.atan(percent * tanOurs) / Math.atan(percent * tanGame);
+}
+
+// Game sensitivity -> our pointerSpeed.
+// { yaw, sensitivity, gameFov, fov (ours, horizontal), mode }
+export function convertFromGame({ yaw, sensitivity, gameFov, fov, mode = '360' }) {
+    return yaw * sensitivity * fovRatio(fov, gameFov, mode) / BROWSER_YAW;
+}
@@ -0,0 +1,256 @@
+// Settings.js - Named settings profiles, persisted locally and shareable
+//
+// Profiles are stored in localStorage as { active, profiles: { [name]: settings } }. Key
+// bindings belong to a profile too but are stored by InputBindings.js under the same name;
+// exports bundle both. A profile travels either as a JSON file or as a short code:
+// "AT1-" + base64url of [sensitivity, crosshair, duration, volume %, dpi, changed bindings,
+// category volumes %, enabled abilities], with the crosshair packed as in crosshair codes
+// (see Crosshair.js). Any change to that layout needs a new prefix ("AT2-"), since codes
+// already shared can't be told apart otherwise.
+
+import { InputBindings, DEFAULT_BINDINGS } from './InputBindings.js';
+import { SOUND_CATEGORIES } from './SoundManager.js';
+import { ABILITIES } from './Abilities.js';
+import { DEFAULT_CROSSHAIR, normalizeCrosshair, packCrosshair, unpackCrosshair } from './Crosshair.js';
+
+const STORAGE_KEY = 'aimthree.settings';
+const FILE_FORMAT = 'aimthree-profile';
+const CODE_PREFIX = 'AT1-';
+const CODE_FIELDS = 8; // Entries in a code's payload
+export const DEFAULT_PROFILE = 'default';
+export const MAX_PROFILE_NAME = 24;
+
+export const DURATIONS = [30, 60, 90];
+export const SENSITIVITY_RANGE = [0.05, 5]; // Also the settings slider's range
+
+export const DEFAULT_SETTINGS = {
+    sensitivity: 1.0,
+    crosshair: DEFAULT_CROSSHAIR,
+    duration: 60,
+    volume: 0.5,
+    volumes: Object.fromEntries(Object.keys(SOUND_CATEGORIES).map(category => [category, 1])),
+    soundPack: null, // Name of a stored sound pack (SoundPacks.js); codes leave it out
+    dpi: 800,
+    abilities: Object.fromEntries(Object.keys(ABILITIES).map(ability => [ability, false])) // Parkour, see Abilities.js
+};
+
+export class SettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SettingsError';
+    }
+}
+
+function inRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function toBase64Url(text) {
+    return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+    return atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+// Volume per sound category (see SoundManager.js), 0 .. 1
+function normalizeVolumes(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    const volumes = {};
+    Object.entries(DEFAULT_SETTINGS.volumes).forEach(([category, fallback]) => {
+        volumes[category] = inRange(source[category], 0, 1) ? source[category] : fallback;
+    });
+    return volumes;
+}
+
+// Which parkour abilities the player switched on
+function normalizeAbilities(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    return Object.fromEntries(Object.keys(ABILITIES).map(ability => [ability, source[ability] === true]));
+}
+
+export class SettingsProfiles {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        const { active, profiles } = this.load();
+        this.profiles = profiles;
+        this.active = active;
+    }
+
+    load() {
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+        } catch (e) {
+            console.warn('Settings are corrupted, using defaults:', e);
+        }
+
+        const profiles = {};
+        if (data && data.profiles && typeof data.profiles === 'object') {
+            Object.entries(data.profiles).forEach(([name, settings]) => {
+                profiles[name] = SettingsProfiles.normalize(settings);
+            });
+        }
+        if (Object.keys(profiles).length === 0) profiles[DEFAULT_PROFILE] = SettingsProfiles.normalize({});
+
+        const active = data && profiles[data.active] ? data.active : Object.keys(profiles)[0];
+        return { active, profiles };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ active: this.active, profiles: this.profiles }));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    // Settings with every invalid or missing field replaced by its default
+    static normalize(data) {
+        const settings = data && typeof data === 'object' ? data : {};
+        return {
+            sensitivity: inRange(settings.sensitivity, ...SENSITIVITY_RANGE) ? settings.sensitivity : DEFAULT_SETTINGS.sensitivity,
+            crosshair: normalizeCrosshair(settings.crosshair),
+            duration: DURATIONS.includes(settings.duration) ? settings.duration : DEFAULT_SETTINGS.duration,
+            volume: inRange(settings.volume, 0, 1) ? settings.volume : DEFAULT_SETTINGS.volume,
+            volumes: normalizeVolumes(settings.volumes),
+            soundPack: typeof settings.soundPack === 'string' && settings.soundPack !== '' ? settings.soundPack : null,
+            dpi: inRange(settings.dpi, 1, 100000) ? settings.dpi : DEFAULT_SETTINGS.dpi,
+            abilities: normalizeAbilities(settings.abilities)
+        };
+    }
+
+    get settings() {
+        return this.profiles[this.active];
+    }
+
+    get names() {
+        return Object.keys(this.profiles);
+    }
+
+    update(changes) {
+        this.profiles[this.active] = SettingsProfiles.normalize({ ...this.settings, ...changes });
+        this.save();
+    }
+
+    select(name) {
+        if (!this.profiles[name]) return;
+        this.active = name;
+        this.save();
+    }
+
+    // Trimmed, non-empty and not taken; throws a SettingsError otherwise
+    checkName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed === '') throw new SettingsError('Profile name is empty');
+        if (trimmed.length > MAX_PROFILE_NAME) throw new SettingsError(`Profile name is longer than ${MAX_PROFILE_NAME} characters`);
+        if (this.profiles[trimmed]) throw new SettingsError(`Profile "${trimmed}" already exists`);
+        return trimmed;
+    }
+
+    // A name like `name` that isn't taken yet: "name", "name (2)", ...
+    freeName(name) {
+        const base = typeof name === 'string' && name.trim() !== '' ? name.trim() : 'imported';
+        let candidate = base.slice(0, MAX_PROFILE_NAME);
+        for (let i = 2; this.profiles[candidate]; i++) {
+            const suffix = ` (${i})`;
+            candidate = base.slice(0, MAX_PROFILE_NAME - suffix.length).trimEnd() + suffix;
+        }
+        return candidate;
+    }
+
+    // Creates a profile (a copy of the active one unless settings are given) and selects it
+    create(name, settings = this.settings) {
+        const trimmed = this.checkName(name);
+        this.profiles[trimmed] = SettingsProfiles.normalize({ ...settings });
+        this.active = trimmed;
+        this.save();
+        return trimmed;
+    }
+
+    // The last profile can't be deleted; the first remaining one becomes active
+    delete(name) {
+        if (!this.profiles[name] || this.names.length === 1) return false;
+        delete this.profiles[name];
+        if (this.active === name) this.active = this.names[0];
+        this.save();
+        return true;
+    }
+
+    // --- Sharing ---
+
+    static toFile(name, settings, bindings) {
+        return JSON.stringify({ format: FILE_FORMAT, version: 1, name, settings, bindings }, null, 2);
+    }
+
+    // -> { name, settings, bindings }; throws a SettingsError when it isn't a profile file
+    static fromFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new SettingsError(`Not a valid JSON file: ${e.message}`);
+        }
+        if (!data || data.format !== FILE_FORMAT) throw new SettingsError('Not an AimThree profile file');
+
+        return {
+            name: typeof data.name === 'string' ? data.name : null,
+            settings: SettingsProfiles.normalize(data.settings),
+            bindings: InputBindings.normalize(data.bindings || {})
+        };
+    }
+
+    // Only bindings that differ from the defaults are included, to keep codes short
+    static toCode(settings, bindings) {
+        const changedBindings = {};
+        Object.entries(bindings).forEach(([action, codes]) => {
+            if (JSON.stringify(codes) !== JSON.stringify(InputBindings.normalize(DEFAULT_BINDINGS)[action])) {
+                changedBindings[action] = codes;
+            }
+        });
+
+        const packed = [
+            settings.sensitivity,
+            packCrosshair(settings.crosshair),
+            settings.duration,
+            Math.round(settings.volume * 100),
+            settings.dpi,
+            changedBindings,
+            Object.keys(SOUND_CATEGORIES).map(category => Math.round(settings.volumes[category] * 100)),
+            Object.keys(ABILITIES).filter(ability => settings.abilities[ability])
+        ];
+        return CODE_PREFIX + toBase64Url(JSON.stringify(packed));
+    }
+
+    // -> { settings, bindings }; throws a SettingsError for anything that isn't a valid code
+    static fromCode(code) {
+        const trimmed = typeof code === 'string' ? code.trim() : '';
+        if (!trimmed.startsWith(CODE_PREFIX)) throw new SettingsError(`Profile codes start with "${CODE_PREFIX}"`);
+
+        let packed;
+        try {
+            packed = JSON.parse(fromBase64Url(trimmed.slice(CODE_PREFIX.length)));
+        } catch (e) {
+            throw new SettingsError('Profile code is damaged or incomplete');
+        }
+        if (!Array.isArray(packed) || packed.length !== CODE_FIELDS || !Array.isArray(packed[1])) {
+            throw new SettingsError('Profile code is damaged or incomplete');
+        }
+
+        const [sensitivity, crosshair, duration, volume, dpi, changedBindings, volumes, abilities] = packed;
+        return {
+            settings: SettingsProfiles.normalize({
+                sensitivity,
+                crosshair: unpackCrosshair(crosshair),
+                duration,
+                volume: typeof volume === 'number' ? volume / 100 : undefined,
+                dpi,
+                volumes: Object.fromEntries(Object.keys(SOUND_CATEGORIES).map((category, i) => {
+                    return [category, Array.isArray(volumes) && typeof volumes[i] === 'number' ? volumes[i] / 100 : undefined];
+                })),
+                abilities: Array.isArray(abilities) ? Object.fromEntries(abilities.map(ability => [ability, true])) : {}
+            }),
+            bindings: InputBindings.normalize({ ...DEFAULT_BINDINGS, ...changedBindings })
+        };
+    }
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+// ShotAnalysis.js - Spatial shot analysis: where each shot landed relative to the
+// nearest target, and the aim path (camera yaw/pitch) that led up to it.
+//
+// Offsets are stored in target radii ("1" = edge of the target) with +x = right of
+// the target and +y = above it, so shots at different distances can be compared.
+
+const MAX_PATH_SAMPLES = 240; // Aim samples kept per shot (~2s of simulation ticks)
+const MIN_FLICK = 1.0; // Flicks shorter than this (in target radii) are micro-adjustments, not classified
+
+const _direction = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export class ShotAnalysis {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.shots = []; // { x, y, hit, path: [[x, y], ...] }
+        this.path = []; // Raw [yaw, pitch] samples since the last shot
+    }
+
+    // Current camera yaw/pitch (PointerLockControls uses YXZ order)
+    static getAim(camera) {
+        _euler.setFromQuaternion(camera.quaternion);
+        return [_euler.y, _euler.x];
+    }
+
+    // Called once per simulation tick while playing
+    sampleAim(camera) {
+        this.path.push(ShotAnalysis.getAim(camera));
+        if (this.path.length > MAX_PATH_SAMPLES) this.path.shift();
+    }
+
+    // Records a shot against the active target closest to the crosshair.
+    // `targets` are Target instances; returns the stored shot, or null if nothing was active.
+    recordShot(camera, targets, hit) {
+        const [yaw, pitch] = ShotAnalysis.getAim(camera);
+        let nearest = null;
+
+        targets.forEach(target => {
+            if (!target.isActive) return;
+
+            _direction.subVectors(target.mesh.position, camera.position);
+            const distance = _direction.length();
+            const targetYaw = Math.atan2(-_direction.x, -_direction.z);
+            const targetPitch = Math.asin(THREE.MathUtils.clamp(_direction.y / distance, -1, 1));
+            const angularRadius = Math.atan2(target.mesh.scale.x, distance);
+
+            // Horizontal error shrinks towards the poles, so scale yaw by cos(pitch)
+            const toOffset = ([sampleYaw, samplePitch]) => [
+                wrapAngle(targetYaw - sampleYaw) * Math.cos(targetPitch) / angularRadius,
+                (samplePitch - targetPitch) / angularRadius
+            ];
+            const [x, y] = toOffset([yaw, pitch]);
+            const angle = Math.hypot(x, y) * angularRadius;
+
+            if (!nearest || angle < nearest.angle) {
+                nearest = { angle, x, y, toOffset };
+            }
+        });
+
+        const rawPath = this.path;
+        this.path = [];
+        if (!nearest) return null;
+
+        const shot = {
+            x: nearest.x,
+            y: nearest.y,
+            hit,
+            path: [...rawPath.map(nearest.toOffset), [nearest.x, nearest.y]]
+        };
+        this.shots.push(shot);
+        return shot;
+    }
+
+    // Overshoot = crosshair ended up past the target in the direction it was moving
+    static classify(shot, axis) {
+        const start = shot.path[0][axis];
+        const end = shot.path[shot.path.length - 1][axis];
+        const flick = end - start;
+        if (Math.abs(flick) < MIN_FLICK) return null;
+
+        const error = axis === 0 ? shot.x : shot.y;
+        return Math.sign(error) === Math.sign(flick) ? 'over' : 'under';
+    }
+
+    summarize() {
+        const misses = this.shots.filter(shot => !shot.hit);
+        const count = (axis, kind) => misses.filter(shot => ShotAnalysis.classify(shot, axis) === kind).length;
+
+        const horizontal = { over: count(0, 'over'), under: count(0, 'under') };
+        const vertical = { over: count(1, 'over'), under: count(1, 'under') };
+        const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+        return {
+            shots: this.shots.length,
+            misses: misses.length,
+            horizontal,
+            vertical,
+            meanMissDistance: average(misses.map(shot => Math.hypot(shot.x, shot.y))),
+            meanMissX: average(misses.map(shot => shot.x)),
+            meanMissY: average(misses.map(shot => shot.y))
+        };
+    }
+
+    // Human readable findings for the end screen
+    static describe(summary) {
+        if (summary.misses === 0) {
+            return summary.shots > 0 ? ['No misses to analyse.'] : ['No shots recorded.'];
+        }
+
+        const lines = [];
+        const describeAxis = ({ over, under }, axisName) => {
+            const total = over + under;
+            if (total === 0) return;
+            const overshot = over >= under;
+            const percent = Math.round((overshot ? over : under) / summary.misses * 100);
+            lines.push(`${percent}% of misses were ${overshot ? 'past' : 'short of'} the target ${axisName}.`);
+        };
+        describeAxis(summary.horizontal, 'horizontally');
+        describeAxis(summary.vertical, 'vertically');
+
+        const side = Math.abs(summary.meanMissX) >= Math.abs(summary.meanMissY)
+            ? (summary.meanMissX > 0 ? 'right' : 'left')
+            : (summary.meanMissY > 0 ? 'high' : 'low');
+        lines.push(`Average miss was ${summary.meanMissDistance.toFixed(1)}× the target radius, biased ${side}.`);
+        return lines;
+    }
+}
@@ -0,0 +1,85 @@
+// ShotStats.js - Per-target lifecycle timing (spawn, first shot, kill) and derived analytics
+//
+// All times are in game seconds (the run's elapsed time), so pausing doesn't skew them.
+
+const TTK_BUCKET_SIZE = 0.1; // Histogram bucket width in seconds
+const TTK_BUCKET_COUNT = 15; // Last bucket collects everything slower
+
+export class ShotStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.lifecycles = new Map(); // Active target -> { spawnTime, firstShotTime }
+        this.kills = []; // { spawnTime, firstShotTime, killTime }
+        this.reactionTimes = []; // Spawn -> first shot, for every target that was shot at
+        this.missStreak = 0;
+        this.longestMissStreak = 0;
+    }
+
+    recordSpawn(target, time) {
+        this.lifecycles.set(target, { spawnTime: time, firstShotTime: null });
+    }
+
+    // Every shot counts as the "first shot" for targets that haven't been shot at yet,
+    // so reaction time is spawn -> first click, regardless of where the click went.
+    // `killed` is false for hits that only damaged a target with health left.
+    recordShot(time, hitTarget, killed = hitTarget !== null) {
+        this.lifecycles.forEach(lifecycle => {
+            if (lifecycle.firstShotTime === null) {
+                lifecycle.firstShotTime = time;
+                this.reactionTimes.push(time - lifecycle.spawnTime);
+            }
+        });
+
+        if (!hitTarget) {
+            this.missStreak++;
+            this.longestMissStreak = Math.max(this.longestMissStreak, this.missStreak);
+            return;
+        }
+
+        this.missStreak = 0;
+        if (!killed) return;
+
+        const lifecycle = this.lifecycles.get(hitTarget);
+        if (lifecycle) {
+            this.kills.push({ ...lifecycle, killTime: time });
+            this.lifecycles.delete(hitTarget);
+        }
+    }
+
+    static average(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    static percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+        return sorted[index];
+    }
+
+    // Summary for the end screen / run history. `elapsed` is the run length in seconds.
+    summarize(elapsed) {
+        const killTimes = this.kills.map(k => k.killTime - k.spawnTime);
+
+        const distribution = new Array(TTK_BUCKET_COUNT).fill(0);
+        killTimes.forEach(ttk => {
+            const bucket = Math.min(TTK_BUCKET_COUNT - 1, Math.floor(ttk / TTK_BUCKET_SIZE));
+            distribution[bucket]++;
+        });
+
+        return {
+            kills: this.kills.length,
+            reactionTime: ShotStats.average(this.reactionTimes),
+            ttkAverage: ShotStats.average(killTimes),
+            ttkMedian: ShotStats.percentile(killTimes, 0.5),
+            ttkP90: ShotStats.percentile(killTimes, 0.9),
+            ttkDistribution: distribution,
+            ttkBucketSize: TTK_BUCKET_SIZE,
+            killsPerSecond: elapsed > 0 ? this.kills.length / elapsed : 0,
+            longestMissStreak: this.longestMissStreak
+        };
+    }
+}
@@ -1,27 +1,66 @@
 // SoundManager.js - Procedural sound effects using Web Audio API
+//
+// Every sound belongs to a category with its own volume, mixed into the master volume.
+// Target cues are positioned in 3D with PannerNodes; updateListener() keeps the
+// AudioContext's listener on the camera so they come from where the targets are.
+// A sound pack (see SoundPacks.js) replaces the sounds it has samples for.
+
+import { SoundPackError } from './SoundPacks.js';
+
+export const SOUND_CATEGORIES = {
+    weapon: { name: 'WEAPON' },
+    hit: { name: 'HIT' },
+    miss: { name: 'MISS' },
+    ui: { name: 'UI' },
+    countdown: { name: 'COUNTDOWN' },
+    targets: { name: 'TARGET CUES' },
+    movement: { name: 'MOVEMENT' }
+};
 
 export class SoundManager {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.categoryGains = {};
         this.enabled = true;
         this.volume = 0.5;
+        this.pack = null; // Sound pack in use, and its decoded samples per event
+        this.samples = {};
+        this.categoryVolumes = {};
+        Object.keys(SOUND_CATEGORIES).forEach(category => {
+            this.categoryVolumes[category] = 1;
+        });
 
         // Initialize on first user interaction
         this.initialized = false;
     }
 
     init() {
-        if (this.initialized) return;
+        if (this.initialized) {
+            // Created before any user gesture, e.g. to decode a pack: start it now
+            if (this.audioContext.state === 'suspended') this.audioContext.resume();
+            return;
+        }
 
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.masterGain = this.audioContext.createGain();
             this.masterGain.connect(this.audioContext.destination);
             this.masterGain.gain.value = this.volume;
+            Object.keys(SOUND_CATEGORIES).forEach(category => {
+                const gain = this.audioContext.createGain();
+                gain.gain.value = this.categoryVolumes[category];
+                gain.connect(this.masterGain);
+                this.categoryGains[category] = gain;
+            });
             this.initialized = true;
         } catch (e) {
             console.warn('Web Audio API not supported:', e);
+            return;
+        }
+
+        if (this.pack) {
+            this.decodePack().catch(e => console.warn('Sound pack could not be decoded:', e));
         }
     }
 
@@ -32,6 +71,47 @@ export class SoundManager {
         }
     }
 
+    setCategoryVolume(category, value) {
+        this.categoryVolumes[category] = Math.max(0, Math.min(1, value));
+        if (this.categoryGains[category]) {
+            this.categoryGains[category].gain.value = this.categoryVolumes[category];
+        }
+    }
+
+    // Plays the samples of `pack` instead of the procedural sounds (null = procedural only).
+    // Decoding waits for init(); rejects with a SoundPackError if a file isn't playable.
+    async setPack(pack) {
+        this.pack = pack;
+        this.samples = {};
+        if (this.initialized && pack) await this.decodePack();
+    }
+
+    async decodePack() {
+        const pack = this.pack;
+        const samples = {};
+        for (const [event, data] of Object.entries(pack.data)) {
+            try {
+                // decodeAudioData detaches the buffer it's given; the pack keeps its copy
+                samples[event] = await this.audioContext.decodeAudioData(data.slice(0));
+            } catch (e) {
+                throw new SoundPackError(`"${pack.files[event]}" (${event}) isn't a playable audio file`);
+            }
+        }
+        if (this.pack === pack) this.samples = samples;
+    }
+
+    // Plays the pack's sample for `event` into `destination`; false when there is none
+    playSample(event, destination) {
+        const buffer = this.samples[event];
+        if (!buffer) return false;
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(destination);
+        source.start();
+        return true;
+    }
+
     toggle(enabled) {
         this.enabled = enabled;
     }
@@ -39,6 +119,7 @@ export class SoundManager {
     // Gunshot sound - punchy and satisfying
     playShoot() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('shoot', this.categoryGains.weapon)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -71,7 +152,7 @@ export class SoundManager {
         noiseSource.connect(highpass);
         highpass.connect(lowpass);
         lowpass.connect(noiseGain);
-        noiseGain.connect(this.masterGain);
+        noiseGain.connect(this.categoryGains.weapon);
 
         // Low frequency "thump"
         const osc = ctx.createOscillator();
@@ -84,7 +165,7 @@ export class SoundManager {
         oscGain.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
 
         osc.connect(oscGain);
-        oscGain.connect(this.masterGain);
+        oscGain.connect(this.categoryGains.weapon);
 
         noiseSource.start(now);
         noiseSource.stop(now + 0.1);
@@ -95,6 +176,7 @@ export class SoundManager {
     // Target hit sound - satisfying "ping" with confirmation feel
     playHit() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('hit', this.categoryGains.hit)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -110,7 +192,7 @@ export class SoundManager {
         osc1Gain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
 
         osc1.connect(osc1Gain);
-        osc1Gain.connect(this.masterGain);
+        osc1Gain.connect(this.categoryGains.hit);
 
         // Secondary harmonic
         const osc2 = ctx.createOscillator();
@@ -123,7 +205,7 @@ export class SoundManager {
         osc2Gain.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
 
         osc2.connect(osc2Gain);
-        osc2Gain.connect(this.masterGain);
+        osc2Gain.connect(this.categoryGains.hit);
 
         osc1.start(now);
         osc1.stop(now + 0.15);
@@ -134,6 +216,7 @@ export class SoundManager {
     // Miss sound - subtle "whoosh"
     playMiss() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('miss', this.categoryGains.miss)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -159,7 +242,7 @@ export class SoundManager {
 
         noiseSource.connect(bandpass);
         bandpass.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.categoryGains.miss);
 
         noiseSource.start(now);
         noiseSource.stop(now + 0.15);
@@ -168,6 +251,7 @@ export class SoundManager {
     // Game start sound - energizing
     playGameStart() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('gameStart', this.categoryGains.countdown)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -186,7 +270,7 @@ export class SoundManager {
             gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.2);
 
             osc.connect(gain);
-            gain.connect(this.masterGain);
+            gain.connect(this.categoryGains.countdown);
 
             osc.start(startTime);
             osc.stop(startTime + 0.25);
@@ -196,6 +280,7 @@ export class SoundManager {
     // Game over sound - descending tones
     playGameOver() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('gameOver', this.categoryGains.countdown)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -219,16 +304,69 @@ export class SoundManager {
 
             osc.connect(filter);
             filter.connect(gain);
-            gain.connect(this.masterGain);
+            gain.connect(this.categoryGains.countdown);
 
             osc.start(startTime);
             osc.stop(startTime + 0.35);
         });
     }
 
+    // Reload - magazine out, magazine in, slide rack
+    playReload() {
+        if (!this.enabled || !this.initialized) return;
+        if (this.playSample('reload', this.categoryGains.weapon)) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        [[0, 900, 0.2], [0.35, 1200, 0.25], [0.6, 700, 0.3]].forEach(([offset, freq, volume]) => {
+            const startTime = now + offset;
+
+            const osc = ctx.createOscillator();
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(freq, startTime);
+            osc.frequency.exponentialRampToValueAtTime(freq * 0.4, startTime + 0.04);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(volume, startTime);
+            gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.05);
+
+            osc.connect(gain);
+            gain.connect(this.categoryGains.weapon);
+
+            osc.start(startTime);
+            osc.stop(startTime + 0.05);
+        });
+    }
+
+    // Empty magazine - dry metallic click
+    playEmpty() {
+        if (!this.enabled || !this.initialized) return;
+        if (this.playSample('empty', this.categoryGains.weapon)) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        const osc = ctx.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(2500, now);
+        osc.frequency.exponentialRampToValueAtTime(1200, now + 0.02);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.2, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.03);
+
+        osc.connect(gain);
+        gain.connect(this.categoryGains.weapon);
+
+        osc.start(now);
+        osc.stop(now + 0.03);
+    }
+
     // UI click sound
     playClick() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('click', this.categoryGains.ui)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -243,7 +381,7 @@ export class SoundManager {
         gain.gain.exponentialRampToValueAtTime(0.01, now + 0.05);
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.categoryGains.ui);
 
         osc.start(now);
         osc.stop(now + 0.05);
@@ -252,6 +390,7 @@ export class SoundManager {
     // Countdown tick sound
     playTick() {
         if (!this.enabled || !this.initialized) return;
+        if (this.playSample('tick', this.categoryGains.countdown)) return;
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
@@ -265,9 +404,179 @@ export class SoundManager {
         gain.gain.exponentialRampToValueAtTime(0.01, now + 0.03);
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.categoryGains.countdown);
 
         osc.start(now);
         osc.stop(now + 0.03);
     }
+
+    // Parkour abilities (see Abilities.js) - a chirp for the double jump, air rushing for the rest
+    playAbility(ability) {
+        if (!this.enabled || !this.initialized) return;
+        if (this.playSample(ability, this.categoryGains.movement)) return;
+
+        if (ability === 'doubleJump') {
+            const ctx = this.audioContext;
+            const now = ctx.currentTime;
+
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(400, now);
+            osc.frequency.exponentialRampToValueAtTime(900, now + 0.12);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0.2, now);
+            gain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
+
+            osc.connect(gain);
+            gain.connect(this.categoryGains.movement);
+
+            osc.start(now);
+            osc.stop(now + 0.15);
+        } else if (ability === 'dash') {
+            this.playWhoosh(0.2, 3000, 600, 0.4);
+        } else if (ability === 'wallRun') {
+            this.playWhoosh(0.3, 1500, 2500, 0.2);
+        } else if (ability === 'slide') {
+            this.playWhoosh(0.5, 800, 300, 0.3);
+        }
+    }
+
+    // Band-passed noise sweeping from one frequency to another
+    playWhoosh(duration, fromFreq, toFreq, volume) {
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        const noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * duration, ctx.sampleRate);
+        const noiseData = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < noiseData.length; i++) {
+            noiseData[i] = Math.random() * 2 - 1;
+        }
+
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = noiseBuffer;
+
+        const bandpass = ctx.createBiquadFilter();
+        bandpass.type = 'bandpass';
+        bandpass.Q.value = 1.5;
+        bandpass.frequency.setValueAtTime(fromFreq, now);
+        bandpass.frequency.exponentialRampToValueAtTime(toFreq, now + duration);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.01, now);
+        gain.gain.exponentialRampToValueAtTime(volume, now + duration * 0.2);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+
+        noiseSource.connect(bandpass);
+        bandpass.connect(gain);
+        gain.connect(this.categoryGains.movement);
+
+        noiseSource.start(now);
+    }
+
+    // --- Spatial target cues ---
+
+    // Places the listener at `position` facing `forward` (camera world position and
+    // direction; `up` is the camera's up vector)
+    updateListener(position, forward, up) {
+        if (!this.initialized) return;
+
+        const listener = this.audioContext.listener;
+        if (listener.positionX) {
+            listener.positionX.value = position.x;
+            listener.positionY.value = position.y;
+            listener.positionZ.value = position.z;
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            // Older implementations only have the deprecated setters
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // Panner at a world position feeding the target cue volume
+    createPanner(position) {
+        const panner = this.audioContext.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 5;
+        panner.rolloffFactor = 1;
+        if (panner.positionX) {
+            panner.positionX.value = position.x;
+            panner.positionY.value = position.y;
+            panner.positionZ.value = position.z;
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+        panner.connect(this.categoryGains.targets);
+        return panner;
+    }
+
+    // Target spawned - rising two-note chirp from its position
+    playTargetSpawn(position) {
+        if (!this.enabled || !this.initialized) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const panner = this.createPanner(position);
+        if (this.playSample('targetSpawn', panner)) return;
+
+        [660, 990].forEach((freq, i) => {
+            const startTime = now + i * 0.06;
+
+            const osc = ctx.createOscillator();
+            osc.type = 'triangle';
+            osc.frequency.setValueAtTime(freq, startTime);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0, startTime);
+            gain.gain.linearRampToValueAtTime(0.35, startTime + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.12);
+
+            osc.connect(gain);
+            gain.connect(panner);
+
+            osc.start(startTime);
+            osc.stop(startTime + 0.12);
+        });
+    }
+
+    // Target location pulse - short, broadband enough to be easy to place
+    playTargetCue(position) {
+        if (!this.enabled || !this.initialized) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const panner = this.createPanner(position);
+        if (this.playSample('targetCue', panner)) return;
+
+        const noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 0.06, ctx.sampleRate);
+        const noiseData = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < noiseData.length; i++) {
+            noiseData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (ctx.sampleRate * 0.015));
+        }
+
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = noiseBuffer;
+
+        const bandpass = ctx.createBiquadFilter();
+        bandpass.type = 'bandpass';
+        bandpass.frequency.value = 3000;
+        bandpass.Q.value = 0.8;
+
+        const gain = ctx.createGain();
+        gain.gain.value = 0.5;
+
+        noiseSource.connect(bandpass);
+        bandpass.connect(gain);
+        gain.connect(panner);
+
+        noiseSource.start(now);
+        noiseSource.stop(now + 0.06);
+    }
 }
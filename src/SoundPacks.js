@@ -0,0 +1,141 @@
+// SoundPacks.js - Custom sound packs: the player's own audio files for game sounds
+//
+// A pack is a manifest plus the audio files it names, picked or dropped together:
+//
+//   { "name": "My pack", "sounds": { "hit": "hit.wav", "shoot": "shots/ak.ogg" } }
+//
+// Files are matched by name (any folder part is ignored). Packs are kept in IndexedDB,
+// since audio is binary and too large for localStorage, as
+// { name, files: { [event]: fileName }, data: { [event]: ArrayBuffer } }. Decoding happens
+// in SoundManager; events a pack leaves out keep their procedural sound.
+
+const DB_NAME = 'aimthree';
+const DB_VERSION = 1;
+const STORE = 'soundpacks';
+export const MAX_PACK_NAME = 32;
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // Bytes; sound effects are far smaller
+
+export const SOUND_EVENTS = {
+    shoot: { name: 'SHOOT' },
+    hit: { name: 'HIT' },
+    miss: { name: 'MISS' },
+    reload: { name: 'RELOAD' },
+    empty: { name: 'EMPTY MAGAZINE' },
+    gameStart: { name: 'GAME START' },
+    gameOver: { name: 'GAME OVER' },
+    click: { name: 'UI CLICK' },
+    tick: { name: 'COUNTDOWN TICK' },
+    targetSpawn: { name: 'TARGET SPAWN' },
+    targetCue: { name: 'TARGET CUE' },
+    doubleJump: { name: 'DOUBLE JUMP' },
+    dash: { name: 'DASH' },
+    wallRun: { name: 'WALL-RUN' },
+    slide: { name: 'SLIDE' }
+};
+
+export class SoundPackError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SoundPackError';
+    }
+}
+
+function baseName(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+// Builds a pack from picked or dropped files: exactly one .json manifest and the audio
+// files it names. Throws a SoundPackError listing every problem.
+export async function readSoundPack(files) {
+    const list = [...files];
+    const manifests = list.filter(file => file.name.toLowerCase().endsWith('.json'));
+    if (manifests.length !== 1) {
+        throw new SoundPackError(manifests.length === 0
+            ? 'Add the pack\'s manifest (.json) along with its audio files'
+            : 'Add only one manifest (.json) at a time');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifests[0].text());
+    } catch (e) {
+        throw new SoundPackError(`Manifest is not valid JSON: ${e.message}`);
+    }
+
+    const errors = [];
+    const name = manifest && typeof manifest.name === 'string' ? manifest.name.trim() : '';
+    if (name === '' || name.length > MAX_PACK_NAME) errors.push(`name must be 1 to ${MAX_PACK_NAME} characters`);
+    const sounds = manifest && manifest.sounds;
+    if (!sounds || typeof sounds !== 'object' || Array.isArray(sounds) || Object.keys(sounds).length === 0) {
+        errors.push('sounds must map at least one event to an audio file');
+        throw new SoundPackError(`Invalid sound pack:\n - ${errors.join('\n - ')}`);
+    }
+
+    const byName = new Map(list.map(file => [file.name, file]));
+    const pack = { name, files: {}, data: {} };
+    for (const [event, path] of Object.entries(sounds)) {
+        if (!SOUND_EVENTS[event]) {
+            errors.push(`sounds.${event} is not an event (expected one of ${Object.keys(SOUND_EVENTS).join(', ')})`);
+            continue;
+        }
+        const file = typeof path === 'string' ? byName.get(baseName(path)) : null;
+        if (!file) {
+            errors.push(`sounds.${event}: "${path}" wasn't among the files`);
+        } else if (file.size > MAX_FILE_SIZE) {
+            errors.push(`sounds.${event}: "${file.name}" is larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+        } else {
+            pack.files[event] = file.name;
+            pack.data[event] = await file.arrayBuffer();
+        }
+    }
+    if (errors.length > 0) throw new SoundPackError(`Invalid sound pack:\n - ${errors.join('\n - ')}`);
+    return pack;
+}
+
+// Stored packs. Every method returns a promise.
+export class SoundPackLibrary {
+    constructor(indexedDB = window.indexedDB) {
+        this.indexedDB = indexedDB;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'name' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async names() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.sort((a, b) => a.localeCompare(b));
+    }
+
+    // The pack, or null if there's none by that name
+    async get(name) {
+        return (await this.request('readonly', store => store.get(name))) ?? null;
+    }
+
+    // Replaces any pack with the same name
+    put(pack) {
+        return this.request('readwrite', store => store.put(pack));
+    }
+
+    delete(name) {
+        return this.request('readwrite', store => store.delete(name));
+    }
+}
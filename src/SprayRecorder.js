@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+
+// SprayRecorder.js - Collects the bullets of one spray for the spray-control review.
+//
+// Every bullet is stored as its [right, up] offset in degrees from the centre of the
+// active target nearest to it, next to where the weapon's raw recoil pattern would have
+// put it (the offset recoil had kicked the aim by when it was fired). Perfect control
+// keeps every bullet on the centre however far the pattern climbs.
+
+const _direction = new THREE.Vector3();
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Yaw/pitch of a direction, matching the camera's YXZ convention
+function toAngles(direction) {
+    return [
+        Math.atan2(-direction.x, -direction.z),
+        Math.asin(THREE.MathUtils.clamp(direction.y / direction.length(), -1, 1))
+    ];
+}
+
+export class SprayRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.spray = null; // { shots: [{ x, y, hit }], pattern: [[x, y], ...] } while spraying
+    }
+
+    get isSpraying() {
+        return this.spray !== null;
+    }
+
+    // `pattern` is the [right, up] recoil offset in degrees at the time of the shot.
+    // Returns the stored shot (so the caller can fill in `hit`), or null without targets.
+    recordShot(origin, direction, targets, pattern) {
+        const [yaw, pitch] = toAngles(direction);
+        let nearest = null;
+
+        targets.forEach(target => {
+            if (!target.isActive) return;
+
+            _direction.subVectors(target.mesh.position, origin);
+            const [targetYaw, targetPitch] = toAngles(_direction);
+            const x = THREE.MathUtils.radToDeg(wrapAngle(targetYaw - yaw) * Math.cos(targetPitch));
+            const y = THREE.MathUtils.radToDeg(pitch - targetPitch);
+            if (!nearest || Math.hypot(x, y) < Math.hypot(nearest.x, nearest.y)) {
+                nearest = { x, y };
+            }
+        });
+
+        if (!this.spray) this.spray = { shots: [], pattern: [] };
+        if (!nearest) return null;
+
+        const shot = { x: nearest.x, y: nearest.y, hit: false };
+        this.spray.shots.push(shot);
+        this.spray.pattern.push(pattern);
+        return shot;
+    }
+
+    // Ends the current spray; returns it, or null for single shots
+    finish() {
+        const spray = this.spray;
+        this.spray = null;
+        return spray && spray.shots.length > 1 ? spray : null;
+    }
+
+    // Mean distance of the bullets from the target centre, in degrees
+    static meanError(spray) {
+        const total = spray.shots.reduce((sum, shot) => sum + Math.hypot(shot.x, shot.y), 0);
+        return total / spray.shots.length;
+    }
+}
@@ -1,38 +1,92 @@
 import * as THREE from 'three';
+import { Motion } from './Motion.js';
+
+// Hit zone parts per target shape, in units of targets.radius. Humanoids have the head
+// centre at the origin (so aim analysis measures from the head) and the body below it,
+// about 8.8 radii tall in total.
+const SPHERE_GEOMETRY = new THREE.SphereGeometry(1, 32, 32);
+const TORSO_GEOMETRY = new THREE.BoxGeometry(2.4, 3.2, 1.2);
+const ARM_GEOMETRY = new THREE.BoxGeometry(0.8, 3.0, 0.8);
+const LEG_GEOMETRY = new THREE.BoxGeometry(0.9, 3.4, 0.9);
+
+const SHAPES = {
+    sphere: [
+        { zone: 'body', geometry: SPHERE_GEOMETRY, position: [0, 0, 0] }
+    ],
+    humanoid: [
+        { zone: 'head', geometry: SPHERE_GEOMETRY, position: [0, 0, 0] },
+        { zone: 'torso', geometry: TORSO_GEOMETRY, position: [0, -2.8, 0] },
+        { zone: 'limbs', geometry: ARM_GEOMETRY, position: [-1.7, -2.9, 0] },
+        { zone: 'limbs', geometry: ARM_GEOMETRY, position: [1.7, -2.9, 0] },
+        { zone: 'limbs', geometry: LEG_GEOMETRY, position: [-0.6, -6.1, 0] },
+        { zone: 'limbs', geometry: LEG_GEOMETRY, position: [0.6, -6.1, 0] }
+    ]
+};
 
 export class Target {
     constructor(scene) {
         this.scene = scene;
         this.isActive = false;
-        
-        // Neon Target (Solid Red unlit for max visibility)
-        const geometry = new THREE.SphereGeometry(0.5, 32, 32);
-        const material = new THREE.MeshBasicMaterial({ 
+
+        // Neon Target (Solid unlit for max visibility), shared by all hit zone parts
+        this.material = new THREE.MeshBasicMaterial({
             color: 0xff0000
         });
-        this.mesh = new THREE.Mesh(geometry, material);
-        
+        this.color = new THREE.Color(0xff0000);
+
+        // Parts are rebuilt when the shape changes; scale is the scenario's radius
+        this.mesh = new THREE.Group();
+        this.shape = null;
+
         // Store reference to this instance in user data for raycasting
         this.mesh.userData.target = this;
-        
+
         // Initially hide
         this.mesh.visible = false;
         this.scene.add(this.mesh);
 
-        // Movement properties for tracking mode
-        this.moveSpeed = 2.0;
-        this.moveDirection = new THREE.Vector3();
-        this.changeDirTimer = 0;
+        this.health = 0;
+        this.maxHealth = 0;
+
+        // Movement, built from the scenario's targets.motion on spawn (see Motion.js)
+        this.motion = null;
+
+        // Fixed timestep: last two simulated positions, the mesh renders between them
+        this.previousPosition = new THREE.Vector3();
+        this.simPosition = new THREE.Vector3();
+    }
+
+    setShape(shape) {
+        if (shape === this.shape) return;
+        this.shape = shape;
+
+        this.mesh.clear();
+        SHAPES[shape].forEach(({ zone, geometry, position }) => {
+            const part = new THREE.Mesh(geometry, this.material);
+            part.position.fromArray(position);
+            part.userData.target = this;
+            part.userData.zone = zone;
+            this.mesh.add(part);
+        });
     }
 
-    spawn(position) {
+    // config is the scenario's `targets` block (shape, radius, color, health, motion)
+    spawn(position, random, config) {
+        this.setShape(config.shape);
+        this.health = config.health;
+        this.maxHealth = config.health;
         this.mesh.position.copy(position);
+        this.previousPosition.copy(position);
+        this.simPosition.copy(position);
+        this.mesh.scale.setScalar(config.radius);
         this.mesh.visible = true;
         this.isActive = true;
-        this.mesh.material.color.setHex(0xff0000); // Reset color
-        
-        // Random initial direction for tracking
-        this.setRandomDirection();
+        this.color.set(config.color);
+        this.material.color.copy(this.color); // Reset color
+
+        // Seeded motion stream, supplied by the core on spawn
+        this.motion = new Motion(config.motion, random);
+        this.motion.reset(position);
     }
 
     despawn() {
@@ -45,39 +99,28 @@ export class Target {
         this.despawn();
     }
 
-    setRandomDirection() {
-        this.moveDirection.set(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
-        ).normalize();
+    // Non-lethal damage: darkens the target as its health drops
+    damage(amount) {
+        this.health -= amount;
+        this.material.color.copy(this.color).multiplyScalar(0.35 + 0.65 * Math.max(0, this.health / this.maxHealth));
     }
 
-    update(delta, mode) {
-        if (!this.isActive) return;
+    savePrevious() {
+        this.previousPosition.copy(this.mesh.position);
+    }
 
-        if (mode === 'tracking') {
-            // Move target
-            this.mesh.position.addScaledVector(this.moveDirection, this.moveSpeed * delta);
-
-            // Bounce off boundaries (simple box constraint)
-            const range = 8;
-            if (this.mesh.position.x > range || this.mesh.position.x < -range) this.moveDirection.x *= -1;
-            if (this.mesh.position.y > range || this.mesh.position.y < 1) this.moveDirection.y *= -1; // Floor check
-            if (this.mesh.position.z > 0 || this.mesh.position.z < -range*2) this.moveDirection.z *= -1; // Keep in front of player mostly
-
-            // Frequently change direction for erratic movement
-            this.changeDirTimer += delta;
-            if (this.changeDirTimer > 1.0) {
-                this.changeDirTimer = 0;
-                // Blend with new random direction
-                const newDir = new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2
-                ).normalize();
-                this.moveDirection.lerp(newDir, 0.5).normalize();
-            }
-        }
+    restoreSimulation() {
+        this.mesh.position.copy(this.simPosition);
+    }
+
+    interpolate(alpha) {
+        this.simPosition.copy(this.mesh.position);
+        this.mesh.position.lerpVectors(this.previousPosition, this.simPosition, alpha);
+    }
+
+    // aim: { origin, direction } of the player's crosshair, for reactive motion
+    update(delta, aim) {
+        if (!this.isActive) return;
+        this.motion.update(delta, this.mesh.position, aim);
     }
 }
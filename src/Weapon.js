@@ -46,6 +46,12 @@ export class Weapon extends THREE.Group {
         // Animation state
         this.recoilTimer = 0;
         this.isRecoiling = false;
+        this.isReloading = false;
+        this.reloadDip = 0; // 0 = ready, 1 = lowered out of view
+    }
+
+    setReloading(reloading) {
+        this.isReloading = reloading;
     }
 
     shoot() {
@@ -61,7 +67,7 @@ export class Weapon extends THREE.Group {
     }
 
     update(delta) {
-        // Recoil Animation
+        // Recoil Animation (viewmodel kick only; GameCore applies the recoil pattern to the aim)
         if (this.isRecoiling) {
             this.recoilTimer += delta * 10;
             if (this.recoilTimer > Math.PI) {
@@ -73,5 +79,11 @@ export class Weapon extends THREE.Group {
                 this.position.z = -0.5 + Math.sin(this.recoilTimer) * 0.1;
             }
         }
+
+        // Reload: dip the gun down and tilt it while the magazine is swapped
+        const dipTarget = this.isReloading ? 1 : 0;
+        this.reloadDip += Math.sign(dipTarget - this.reloadDip) * Math.min(Math.abs(dipTarget - this.reloadDip), delta * 5);
+        this.position.y = -0.3 - this.reloadDip * 0.15;
+        this.rotation.x = -this.reloadDip * 0.6;
     }
 }
@@ -0,0 +1,166 @@
+// Weapons.js - Weapon definitions: fire mode, rate, magazine, reload and spread
+//
+// Scenarios pick one with `weapon` (default "classic"), and the main menu can override it.
+// All spread values are cone half-angles in degrees:
+//   firstShotSpread  accuracy of a shot once bloom has fully recovered
+//   spreadPerShot    bloom added by every shot, capped at maxSpread
+//   spreadRecovery   bloom removed per second
+//   moveSpread       extra spread at full walking speed (scaled by current speed)
+//   sprintSpread     extra spread at full speed while sprinting (replaces moveSpread)
+//
+// fireRate is rounds per minute (for burst weapons, within a burst); burstDelay is the
+// pause after a burst before the next trigger pull. magazine null = unlimited ammo.
+//
+// recoil (null = none) rotates the camera itself, so it has to be pulled against:
+//   pattern   [right, up] kick in degrees applied by each shot of a spray; shots past
+//             the end repeat the last kick
+//   recovery  seconds for the aim to settle back once firing stops, which also resets
+//             the spray to the start of the pattern
+//
+// projectile (null = hitscan) fires simulated shots instead of instant hits:
+//   speed     muzzle velocity in units per second
+//   gravity   downward acceleration in units per second squared (0 = no drop)
+
+export const FIRE_MODES = ['semi', 'burst', 'auto'];
+
+export const WEAPONS = {
+    classic: {
+        id: 'classic',
+        name: 'CLASSIC',
+        fireMode: 'semi',
+        fireRate: 1200,
+        magazine: null,
+        reloadTime: 0,
+        firstShotSpread: 0,
+        spreadPerShot: 0,
+        maxSpread: 0,
+        spreadRecovery: 10,
+        moveSpread: 0,
+        sprintSpread: 0,
+        recoil: null,
+        projectile: null
+    },
+    pistol: {
+        id: 'pistol',
+        name: 'PISTOL',
+        fireMode: 'semi',
+        fireRate: 400,
+        magazine: 12,
+        reloadTime: 1.6,
+        firstShotSpread: 0.05,
+        spreadPerShot: 0.6,
+        maxSpread: 3,
+        spreadRecovery: 3,
+        moveSpread: 1.5,
+        sprintSpread: 3,
+        recoil: {
+            pattern: [[0, 0.8], [0.1, 0.9], [-0.1, 0.9], [0, 0.8]],
+            recovery: 0.25
+        },
+        projectile: null
+    },
+    burst: {
+        id: 'burst',
+        name: 'BURST RIFLE',
+        fireMode: 'burst',
+        fireRate: 900,
+        burstCount: 3,
+        burstDelay: 0.3,
+        magazine: 24,
+        reloadTime: 2.2,
+        firstShotSpread: 0.1,
+        spreadPerShot: 0.4,
+        maxSpread: 3,
+        spreadRecovery: 3,
+        moveSpread: 2,
+        sprintSpread: 4,
+        recoil: {
+            pattern: [[0, 0.6], [0.15, 0.7], [-0.1, 0.8], [0.1, 0.6], [-0.15, 0.5], [0, 0.4]],
+            recovery: 0.3
+        },
+        projectile: null
+    },
+    smg: {
+        id: 'smg',
+        name: 'SMG',
+        fireMode: 'auto',
+        fireRate: 850,
+        magazine: 30,
+        reloadTime: 2.0,
+        firstShotSpread: 0.6,
+        spreadPerShot: 0.35,
+        maxSpread: 4,
+        spreadRecovery: 4,
+        moveSpread: 1.2,
+        sprintSpread: 3,
+        recoil: {
+            pattern: [
+                [0, 0.4], [0, 0.5], [0.05, 0.5], [-0.05, 0.45], [0.1, 0.4],
+                [0.15, 0.3], [-0.1, 0.2], [-0.3, 0.15], [-0.35, 0.1], [0.2, 0.05],
+                [0.35, 0.05], [0.3, 0], [-0.25, 0.05], [-0.35, 0], [0, 0.05]
+            ],
+            recovery: 0.3
+        },
+        projectile: null
+    },
+    rifle: {
+        id: 'rifle',
+        name: 'RIFLE',
+        fireMode: 'auto',
+        fireRate: 600,
+        magazine: 25,
+        reloadTime: 2.5,
+        firstShotSpread: 0.1,
+        spreadPerShot: 0.5,
+        maxSpread: 5,
+        spreadRecovery: 3,
+        moveSpread: 3,
+        sprintSpread: 6,
+        // Climbs for ~7 shots, then sways left, right and left again
+        recoil: {
+            pattern: [
+                [0, 0.9], [0, 1.0], [0.1, 1.1], [-0.1, 1.0], [0.05, 0.9],
+                [0.2, 0.7], [0.3, 0.5], [-0.2, 0.3], [-0.6, 0.2], [-0.7, 0.1],
+                [-0.5, 0.1], [0.3, 0.1], [0.6, 0], [0.7, 0.05], [0.4, 0],
+                [-0.5, 0.05], [-0.6, 0], [-0.3, 0.05], [0, 0.05]
+            ],
+            recovery: 0.4
+        },
+        projectile: null
+    },
+    plasma: {
+        id: 'plasma',
+        name: 'PLASMA RIFLE',
+        fireMode: 'auto',
+        fireRate: 300,
+        magazine: 20,
+        reloadTime: 2.0,
+        firstShotSpread: 0,
+        spreadPerShot: 0.2,
+        maxSpread: 1.5,
+        spreadRecovery: 2,
+        moveSpread: 1,
+        sprintSpread: 2,
+        recoil: {
+            pattern: [[0, 0.3], [0.1, 0.3], [-0.1, 0.3]],
+            recovery: 0.3
+        },
+        projectile: { speed: 40, gravity: 0 }
+    },
+    crossbow: {
+        id: 'crossbow',
+        name: 'CROSSBOW',
+        fireMode: 'semi',
+        fireRate: 60,
+        magazine: 1,
+        reloadTime: 0.6,
+        firstShotSpread: 0,
+        spreadPerShot: 0,
+        maxSpread: 0,
+        spreadRecovery: 10,
+        moveSpread: 0.5,
+        sprintSpread: 1,
+        recoil: null,
+        projectile: { speed: 30, gravity: 9.8 }
+    }
+};
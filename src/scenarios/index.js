@@ -0,0 +1,20 @@
+import { validateScenario, sortScenarios } from '../Scenario.js';
+
+// Built-in scenarios bundled from src/scenarios/*.json. Kept out of Scenario.js so the
+// validator stays importable outside Vite (e.g. by headless scripts in Node).
+// An invalid file is reported and skipped rather than breaking the whole menu.
+function loadBuiltInScenarios() {
+    const modules = import.meta.glob('./*.json', { eager: true, import: 'default' });
+    const scenarios = [];
+
+    for (const [path, data] of Object.entries(modules)) {
+        try {
+            scenarios.push(validateScenario(data, path));
+        } catch (e) {
+            console.error(e.message);
+        }
+    }
+    return sortScenarios(scenarios);
+}
+
+export const builtInScenarios = loadBuiltInScenarios();
@@ -0,0 +1,143 @@
+// abilities.test.js - Parkour abilities: rules, double jump, dash, slide and wall-run
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore } from '../src/GameCore.js';
+import { resolveAbilities } from '../src/Abilities.js';
+import { levelScenario } from '../src/Level.js';
+import { validateScenario, ScenarioError } from '../src/Scenario.js';
+import { readScenario } from './helpers.js';
+
+const ALL = { doubleJump: true, dash: true, wallRun: true, slide: true };
+
+// A long floor with its top at y = 1, and the goal far out of the way
+const FLOOR = { position: [0, 0.75, -20], width: 8, depth: 48 };
+const GOAL = { position: [50, 0.75, 50], width: 2, depth: 2, goal: true };
+
+function startLevel(platforms, abilities = ALL) {
+    const core = new GameCore();
+    core.start(levelScenario({ name: 'Test', start: [0, 1, 0], platforms: [FLOOR, GOAL, ...platforms] }), {
+        seed: 'abilities',
+        abilities
+    });
+    for (let i = 0; i < 30; i++) core.step({ yaw: 0, pitch: 0 });
+    return core;
+}
+
+function used(core) {
+    const abilities = [];
+    core.addEventListener('ability', event => abilities.push(event.ability));
+    return abilities;
+}
+
+test('scenario rules decide over the player\'s switches', () => {
+    const rules = { doubleJump: 'optional', dash: 'required', wallRun: 'forbidden', slide: 'optional' };
+    assert.deepEqual(resolveAbilities(rules, { doubleJump: true, wallRun: true }),
+        { doubleJump: true, dash: true, wallRun: false, slide: false });
+    assert.deepEqual(resolveAbilities(null, ALL), { doubleJump: false, dash: false, wallRun: false, slide: false });
+
+    const parkour = validateScenario(readScenario('parkour'));
+    assert.deepEqual(parkour.abilities, { doubleJump: 'optional', dash: 'optional', wallRun: 'optional', slide: 'optional' });
+    assert.equal(validateScenario(readScenario('reflex')).abilities, undefined);
+
+    const level = levelScenario({ name: 'Rules', start: [0, 1, 0], platforms: [GOAL], abilities: { dash: 'forbidden' } }, parkour);
+    assert.equal(level.abilities.dash, 'forbidden');
+    const core = new GameCore();
+    core.start(level, { seed: 'rules', abilities: ALL });
+    assert.equal(core.abilities.dash, false);
+    assert.equal(core.abilities.slide, true);
+
+    const data = { ...readScenario('parkour'), abilities: { dash: 'sometimes', fly: 'required' } };
+    assert.throws(() => validateScenario(data), e => e instanceof ScenarioError &&
+        ['abilities.dash', 'abilities.fly'].every(path => e.errors.some(error => error.startsWith(`${path} `))));
+});
+
+test('double jump works once per time in the air', () => {
+    const core = startLevel([]);
+    const abilities = used(core);
+    core.step({ jump: true, yaw: 0, pitch: 0 });
+    for (let i = 0; i < 20; i++) core.step({ yaw: 0, pitch: 0 });
+    core.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(core.velocity.y > 8);
+    assert.deepEqual(abilities, ['doubleJump']);
+
+    for (let i = 0; i < 40; i++) core.step({ yaw: 0, pitch: 0 });
+    core.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(!core.isGrounded && core.velocity.y < 0, 'jumped a third time');
+
+    const without = startLevel([], {});
+    without.step({ jump: true, yaw: 0, pitch: 0 });
+    for (let i = 0; i < 20; i++) without.step({ yaw: 0, pitch: 0 });
+    const rising = without.velocity.y;
+    without.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(without.velocity.y < rising);
+});
+
+test('dashes fly straight along the keys or the view, then cool down', () => {
+    const core = startLevel([]);
+    const abilities = used(core);
+    core.step({ jump: true, yaw: 0, pitch: 0 });
+    core.step({ dash: true, yaw: 0, pitch: 0 });
+    const dashVelocity = core.velocity.clone();
+    assert.ok(dashVelocity.z < -20 && Math.abs(dashVelocity.x) < 1e-9 && dashVelocity.y === 0);
+    for (let i = 0; i < 10; i++) core.step({ yaw: 0, pitch: 0 });
+    assert.deepEqual(core.velocity.toArray(), dashVelocity.toArray(), 'no gravity or friction mid-dash');
+
+    for (let i = 0; i < 60; i++) core.step({ yaw: 0, pitch: 0 });
+    core.step({ dash: true, right: true, yaw: 0, pitch: 0 });
+    assert.deepEqual(abilities, ['dash'], 'dashed during the cooldown');
+    for (let i = 0; i < 120; i++) core.step({ yaw: 0, pitch: 0 });
+    core.step({ dash: true, right: true, yaw: 0, pitch: 0 });
+    assert.deepEqual(abilities, ['dash', 'dash']);
+    assert.ok(core.velocity.x > 20);
+});
+
+test('slides need sprinting speed and keep momentum', () => {
+    const core = startLevel([]);
+    const abilities = used(core);
+    for (let i = 0; i < 30; i++) core.step({ forward: true, yaw: 0, pitch: 0 });
+    core.step({ forward: true, slide: true, yaw: 0, pitch: 0 });
+    assert.deepEqual(abilities, [], 'slid at walking speed');
+
+    for (let i = 0; i < 30; i++) core.step({ forward: true, sprint: true, yaw: 0, pitch: 0 });
+    const speed = -core.velocity.z;
+    core.step({ forward: true, sprint: true, slide: true, yaw: 0, pitch: 0 });
+    assert.deepEqual(abilities, ['slide']);
+    assert.ok(-core.velocity.z > speed * 1.2);
+    for (let i = 0; i < 30; i++) core.step({ slide: true, yaw: 0, pitch: 0 });
+    assert.ok(-core.velocity.z > speed, 'lost momentum mid-slide');
+    assert.ok(core.abilityStatus.slide.active);
+
+    core.step({ yaw: 0, pitch: 0 });
+    assert.equal(core.abilityStatus.slide.active, false);
+    for (let i = 0; i < 5; i++) core.step({ yaw: 0, pitch: 0 });
+    assert.ok(-core.velocity.z < speed, 'kept sliding after letting go');
+});
+
+// Sprint-jumps along a tall wall on the left, steering into it
+function runAlongWall(abilities) {
+    const core = startLevel([{ position: [-1.25, 4, -20], width: 0.5, depth: 40, height: 6 }], abilities);
+    for (let i = 0; i < 30; i++) core.step({ forward: true, sprint: true, yaw: 0, pitch: 0 });
+    core.step({ forward: true, sprint: true, jump: true, yaw: 0, pitch: 0 });
+    let ran = 0;
+    for (let i = 0; i < 60 && !core.isGrounded; i++) {
+        core.step({ forward: true, sprint: true, left: true, yaw: 0, pitch: 0 });
+        if (core.isWallRunning) ran++;
+    }
+    return { core, ran };
+}
+
+test('wall-runs hold the player up along walls, and jump off them', () => {
+    const { core, ran } = runAlongWall(ALL);
+    assert.ok(ran > 10, `ran for ${ran} ticks`);
+    assert.ok(core.isWallRunning && !core.isGrounded);
+    assert.ok(core.abilityStatus.wallRun.ready < 1);
+
+    core.step({ forward: true, jump: true, yaw: 0, pitch: 0 });
+    assert.equal(core.isWallRunning, false);
+    assert.ok(core.velocity.x > 5, 'pushed away from the wall');
+    assert.ok(core.velocity.y > 9);
+    assert.equal(core.airJumps, 1, 'wall jumps give the double jump back');
+
+    assert.equal(runAlongWall({ ...ALL, wallRun: false }).ran, 0);
+});
@@ -0,0 +1,66 @@
+// bindings.test.js - Key bindings: defaults, per-profile storage, conflicts and labels
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputBindings, ACTIONS, DEFAULT_BINDINGS, BINDING_SLOTS } from '../src/InputBindings.js';
+import { memoryStorage } from './helpers.js';
+
+test('every action starts with its default bindings', () => {
+    const bindings = new InputBindings(memoryStorage());
+    Object.keys(ACTIONS).forEach(action => {
+        assert.equal(bindings.get(action).length, BINDING_SLOTS, action);
+        assert.deepEqual(bindings.get(action), DEFAULT_BINDINGS[action], action);
+    });
+    assert.deepEqual(bindings.getActions('KeyW'), ['forward']);
+    assert.deepEqual(bindings.getConflicts(), []);
+});
+
+test('bindings are saved per profile', () => {
+    const storage = memoryStorage();
+    const bindings = new InputBindings(storage, 'a');
+    bindings.set('jump', 1, 'Mouse3');
+    bindings.set('reload', 0, null);
+
+    const again = new InputBindings(storage, 'a');
+    assert.deepEqual(again.get('jump'), ['Space', 'Mouse3']);
+    assert.deepEqual(again.get('reload'), [null, null]);
+    assert.deepEqual(new InputBindings(storage, 'b').get('jump'), DEFAULT_BINDINGS.jump);
+
+    again.setProfile('b');
+    assert.deepEqual(again.get('jump'), DEFAULT_BINDINGS.jump);
+    again.setProfile('a');
+    again.reset();
+    assert.deepEqual(new InputBindings(storage, 'a').get('reload'), DEFAULT_BINDINGS.reload);
+});
+
+test('hand-edited or corrupted storage falls back to defaults', () => {
+    const storage = memoryStorage();
+    storage.setItem('aimthree.bindings', JSON.stringify({ default: { fire: ['Mouse1', 7, ''], jump: 'Space' } }));
+    const bindings = new InputBindings(storage);
+    assert.deepEqual(bindings.get('fire'), ['Mouse1', null]);
+    assert.deepEqual(bindings.get('jump'), DEFAULT_BINDINGS.jump);
+
+    storage.setItem('aimthree.bindings', '{oops');
+    assert.deepEqual(new InputBindings(storage).get('fire'), DEFAULT_BINDINGS.fire);
+});
+
+test('one input on two actions is reported, not refused', () => {
+    const bindings = new InputBindings(memoryStorage());
+    bindings.set('restart', 1, 'KeyR');
+    assert.deepEqual(bindings.getActions('KeyR'), ['reload', 'restart']);
+    assert.deepEqual(bindings.getConflicts(), [{ code: 'KeyR', actions: ['reload', 'restart'] }]);
+
+    // Both slots of one action on the same input is not a conflict
+    bindings.set('restart', 1, 'KeyT');
+    assert.deepEqual(bindings.getConflicts(), []);
+});
+
+test('bindings read as key and button names', () => {
+    assert.equal(InputBindings.describe('KeyW'), 'W');
+    assert.equal(InputBindings.describe('Digit4'), '4');
+    assert.equal(InputBindings.describe('ShiftLeft'), 'LEFT SHIFT');
+    assert.equal(InputBindings.describe('NumpadEnter'), 'NUMPAD ENTER');
+    assert.equal(InputBindings.describe('Mouse0'), 'LEFT MOUSE');
+    assert.equal(InputBindings.describe('Mouse7'), 'MOUSE 8');
+    assert.equal(InputBindings.describe(null), '—');
+});
@@ -0,0 +1,71 @@
+// core.test.js - Headless runs of GameCore: determinism, scoring, timing and replays
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, EYE_HEIGHT, START_PLATFORM_Y } from '../src/GameCore.js';
+import { serializeReplay, parseReplay } from '../src/Replay.js';
+import { SCENARIO_IDS, loadScenario, play, aimAt } from './helpers.js';
+
+test('the same scenario and seed play out the same', () => {
+    for (const id of SCENARIO_IDS) {
+        const first = play(loadScenario(id));
+        const second = play(loadScenario(id));
+        assert.deepEqual(second.result, first.result, id);
+        assert.deepEqual(second.replay.frames, first.replay.frames, id);
+        assert.deepEqual(second.replay.shots, first.replay.shots, id);
+    }
+});
+
+test('another seed gives another run', () => {
+    const first = play(loadScenario('reflex'), { seed: 'a' });
+    const second = play(loadScenario('reflex'), { seed: 'b' });
+    assert.notDeepEqual(second.replay.frames, first.replay.frames);
+});
+
+test('hits score and kill, misses do not', () => {
+    const scenario = loadScenario('reflex');
+    const core = new GameCore();
+    const shots = [];
+    core.addEventListener('shot', event => shots.push({ hit: event.hit, hitTarget: event.hitTarget }));
+    core.start(scenario, { seed: 'score' });
+
+    const target = core.targets.find(t => t.isActive);
+    core.step({ ...aimAt(core, target.mesh.position), fire: true });
+    assert.deepEqual(shots, [{ hit: true, hitTarget: target }]);
+    assert.equal(core.shotsHit, 1);
+    assert.equal(core.kills, 1);
+    assert.equal(core.score, scenario.scoring.pointsPerHit);
+    assert.equal(core.targets.filter(t => t.isActive).length, scenario.targets.count);
+
+    // Straight down at the floor
+    for (let i = 0; i < 30; i++) core.step({ pitch: -Math.PI / 2, yaw: 0 });
+    core.step({ pitch: -Math.PI / 2, yaw: 0, fire: true });
+    assert.deepEqual(shots[1], { hit: false, hitTarget: null });
+    assert.equal(core.shotsFired, 2);
+    assert.equal(core.shotsHit, 1);
+    assert.equal(core.score, scenario.scoring.pointsPerHit);
+});
+
+test('timed runs end on time, parkour runs start on the start platform', () => {
+    const timed = play(loadScenario('reflex'), { duration: 2, ticks: 1000 });
+    assert.equal(timed.isRunning, false);
+    assert.equal(timed.result.completed, false);
+    assert.ok(timed.replay.frames.at(-1)[0] <= 2);
+
+    const core = new GameCore();
+    core.start(loadScenario('parkour'), { seed: 'spawn' });
+    for (let i = 0; i < 120; i++) core.step({});
+    assert.ok(Math.abs(core.position.y - EYE_HEIGHT - START_PLATFORM_Y - 0.25) < 0.01);
+    assert.ok(Math.abs(core.velocity.y) < 1);
+});
+
+test('every built-in scenario survives a replay save and load', () => {
+    for (const id of SCENARIO_IDS) {
+        const { replay } = play(loadScenario(id), { ticks: 600 });
+        const text = serializeReplay(replay);
+        const loaded = parseReplay(text);
+        assert.deepEqual(loaded.scenario, replay.scenario, id);
+        // Compared as saved: JSON turns -0 into 0
+        assert.deepEqual(loaded.frames, JSON.parse(text).frames, id);
+    }
+});
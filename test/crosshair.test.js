@@ -0,0 +1,68 @@
+// crosshair.test.js - Crosshair settings, dynamic gap, and XH1 / CS2 share codes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CROSSHAIR_PRESETS, DEFAULT_CROSSHAIR, CrosshairError, DynamicGap, normalizeCrosshair,
+    crosshairToCode, crosshairFromCode, crosshairToCS2Code, crosshairFromCS2Code
+} from '../src/Crosshair.js';
+
+const CUSTOM = {
+    length: 10, thickness: 2, gap: 4, dot: true, outline: 1, color: '#ff00aa',
+    opacity: 0.8, tStyle: true, circle: 12, dynamic: true
+};
+
+test('crosshairs are completed, clamped and rounded', () => {
+    assert.deepEqual(normalizeCrosshair('cross'), CROSSHAIR_PRESETS.cross);
+    assert.deepEqual(normalizeCrosshair(null), DEFAULT_CROSSHAIR);
+    assert.deepEqual(
+        normalizeCrosshair({ ...CUSTOM, length: 500, thickness: 2.4, opacity: 0.55, color: 'red', dot: 'yes' }),
+        { ...CUSTOM, length: 40, thickness: 2, opacity: 0.55, color: DEFAULT_CROSSHAIR.color, dot: DEFAULT_CROSSHAIR.dot }
+    );
+    assert.equal(normalizeCrosshair({ color: '#ABCDEF' }).color, '#abcdef');
+});
+
+test('XH1 codes hold every field', () => {
+    const code = crosshairToCode(CUSTOM);
+    assert.ok(code.startsWith('XH1-'));
+    assert.deepEqual(crosshairFromCode(code), CUSTOM);
+    assert.deepEqual(crosshairFromCode(` ${crosshairToCode(DEFAULT_CROSSHAIR)} `), DEFAULT_CROSSHAIR);
+
+    assert.throws(() => crosshairFromCode('XH1-1.2.3'), CrosshairError);
+    assert.throws(() => crosshairFromCode('AT1-abc'), CrosshairError);
+});
+
+test('CS2 codes hold everything but the ring', () => {
+    const code = crosshairToCS2Code(CUSTOM);
+    assert.match(code, /^CSGO(-[A-Za-z0-9]{5}){5}$/);
+    assert.deepEqual(crosshairFromCS2Code(code), { ...CUSTOM, opacity: Math.round(0.8 * 255) / 255, circle: 0 });
+    // Through the general reader, in any case of the prefix
+    assert.deepEqual(crosshairFromCode(code.replace('CSGO', 'csgo')), crosshairFromCS2Code(code));
+
+    const fixed = { ...CUSTOM, dynamic: false, tStyle: false, outline: 0, opacity: 1, circle: 0 };
+    assert.deepEqual(crosshairFromCS2Code(crosshairToCS2Code(fixed)), fixed);
+});
+
+test('damaged CS2 codes are rejected', () => {
+    const code = crosshairToCS2Code(CUSTOM);
+    const last = code.at(-1);
+    const changed = code.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+    assert.throws(() => crosshairFromCS2Code(changed), CrosshairError); // Checksum
+    assert.throws(() => crosshairFromCS2Code(code.slice(0, -3)), CrosshairError);
+    assert.throws(() => crosshairFromCS2Code(code.slice(0, -1) + '0'), /can't appear/);
+});
+
+test('the dynamic gap opens with movement and firing, then closes', () => {
+    const gap = new DynamicGap();
+    for (let i = 0; i < 10; i++) gap.kick();
+    assert.ok(gap.firing > 0 && gap.firing <= 12);
+    for (let i = 0; i < 120; i++) gap.update(1 / 120, 1, true);
+    assert.equal(gap.firing, 0);
+    assert.ok(Math.abs(gap.movement - 8) < 0.01);
+    assert.ok(gap.value > 4);
+
+    for (let i = 0; i < 240; i++) gap.update(1 / 120, 0, false);
+    assert.ok(gap.value < 0.01);
+    gap.reset();
+    assert.equal(gap.value, 0);
+});
@@ -0,0 +1,56 @@
+// grid.test.js - Grid target layouts: distinct cells, respawns away from the cell just cleared
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore } from '../src/GameCore.js';
+import { validateScenario } from '../src/Scenario.js';
+import { readScenario, loadScenario, aimAt } from './helpers.js';
+
+test('targets sit on distinct cells of the wall', () => {
+    const scenario = loadScenario('gridshot');
+    const { columns, rows, spacing, distance } = scenario.targets.layout;
+    const core = new GameCore();
+    core.start(scenario, { seed: 'cells' });
+
+    const active = core.targets.filter(t => t.isActive);
+    assert.equal(active.length, scenario.targets.count);
+    assert.equal(new Set(active.map(t => core.targetCells.get(t))).size, active.length);
+    for (const target of active) {
+        const cell = core.targetCells.get(target);
+        assert.ok(cell >= 0 && cell < columns * rows);
+        assert.deepEqual(target.mesh.position.toArray(), core.getCellPosition(cell).toArray());
+        assert.equal(target.mesh.position.z, -distance);
+    }
+    assert.equal(core.getCellPosition(1).x - core.getCellPosition(0).x, spacing);
+    assert.equal(core.getCellPosition(columns).y - core.getCellPosition(0).y, spacing);
+});
+
+test('a kill respawns the target in another free cell', () => {
+    const core = new GameCore();
+    core.start(loadScenario('gridshot'), { seed: 'respawn' });
+
+    for (let kill = 0; kill < 20; kill++) {
+        const target = core.targets.find(t => t.isActive);
+        const cleared = core.targetCells.get(target);
+        core.step({ ...aimAt(core, target.mesh.position), fire: true });
+        for (let i = 0; i < 30; i++) core.step({});
+
+        // The pool holds exactly `count` targets, so the one killed is the one respawned
+        const cells = core.targets.filter(t => t.isActive).map(t => core.targetCells.get(t));
+        assert.equal(new Set(cells).size, 3);
+        assert.ok(target.isActive);
+        assert.notEqual(core.targetCells.get(target), cleared, `kill ${kill}`);
+    }
+    assert.equal(core.kills, 20);
+});
+
+test('grids must leave a free cell and keep targets apart', () => {
+    const data = readScenario('gridshot');
+    data.targets.count = 25;
+    data.targets.layout.spacing = 0.5;
+    assert.throws(() => validateScenario(data), error => {
+        assert.ok(error.errors.some(e => e.startsWith('targets.count ')), error.message);
+        assert.ok(error.errors.some(e => e.startsWith('targets.layout.spacing ')), error.message);
+        return true;
+    });
+});
@@ -0,0 +1,57 @@
+// helpers.js - Shared by the tests
+//
+// Built-in scenarios are read from src/scenarios/*.json and validated the way the game
+// does, since src/scenarios/index.js relies on Vite.
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { validateScenario } from '../src/Scenario.js';
+import { GameCore } from '../src/GameCore.js';
+
+export const SCENARIO_IDS = readdirSync(new URL('../src/scenarios/', import.meta.url))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+
+export function readScenario(id) {
+    return JSON.parse(readFileSync(new URL(`../src/scenarios/${id}.json`, import.meta.url), 'utf8'));
+}
+
+export function loadScenario(id) {
+    return validateScenario(readScenario(id), `${id}.json`);
+}
+
+// In-memory stand-in for localStorage
+export function memoryStorage() {
+    const items = {};
+    return { getItem: key => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+}
+
+// Scripted input for tick `i`: walks in circles, strafes, jumps and clicks now and then
+export function scriptedInput(i) {
+    return {
+        forward: i % 240 < 180,
+        left: i % 120 < 40,
+        right: i % 120 > 80,
+        sprint: i % 300 < 150,
+        jump: i % 90 === 0,
+        fire: i % 30 === 0,
+        yaw: i * 0.01,
+        pitch: Math.sin(i * 0.02) * 0.2
+    };
+}
+
+// Plays `ticks` ticks of scripted input (or until the run ends) and returns the core
+export function play(scenario, { seed = 'test', ticks = 1200, duration = scenario.duration } = {}) {
+    const core = new GameCore();
+    core.start(scenario, { seed, duration });
+    for (let i = 0; i < ticks && core.isRunning; i++) core.step(scriptedInput(i));
+    if (core.isRunning) core.finish(false);
+    return core;
+}
+
+// Yaw and pitch (YXZ) that look from the player's eye at `point`
+export function aimAt(core, point) {
+    const dx = point.x - core.position.x;
+    const dy = point.y - core.position.y;
+    const dz = point.z - core.position.z;
+    return { yaw: Math.atan2(-dx, -dz), pitch: Math.atan2(dy, Math.hypot(dx, dz)) };
+}
@@ -0,0 +1,78 @@
+// history.test.js - Run history and personal bests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunHistory } from '../src/RunHistory.js';
+import { memoryStorage } from './helpers.js';
+
+let nextId = 0;
+const scoreRun = (score, overrides = {}) => ({
+    id: `run-${nextId++}`, scenarioId: 'reflex', duration: 60, metric: 'score', score, timestamp: nextId, ...overrides
+});
+const timeRun = (time, completed, overrides = {}) => ({
+    id: `run-${nextId++}`, scenarioId: 'parkour', duration: null, metric: 'time', time, completed, timestamp: nextId, ...overrides
+});
+
+test('the highest score is the best, per scenario and duration', () => {
+    const history = new RunHistory(memoryStorage());
+    assert.deepEqual(history.add(scoreRun(500)), { previousBest: null, isNewBest: true });
+
+    const lower = history.add(scoreRun(300));
+    assert.equal(lower.previousBest.score, 500);
+    assert.equal(lower.isNewBest, false);
+    assert.equal(history.add(scoreRun(800)).isNewBest, true);
+
+    // Other durations and scenarios rank on their own
+    assert.equal(history.add(scoreRun(100, { duration: 30 })).isNewBest, true);
+    assert.equal(history.add(scoreRun(100, { scenarioId: 'tracking' })).isNewBest, true);
+    assert.equal(history.getBest('reflex', 60).score, 800);
+    assert.equal(history.getBest('reflex', 30).score, 100);
+});
+
+test('each weapon has its own best, runs from before weapons count as classic', () => {
+    const history = new RunHistory(memoryStorage());
+    history.add(scoreRun(500));
+    assert.equal(history.add(scoreRun(300, { weapon: 'rifle' })).isNewBest, true);
+    assert.equal(history.add(scoreRun(400, { weapon: 'classic' })).previousBest.score, 500);
+    assert.equal(history.getBest('reflex', 60, 'rifle').score, 300);
+    assert.equal(history.getBest('reflex', 60, 'classic').score, 500);
+    assert.deepEqual(history.filter({ weapon: 'classic' }).map(run => run.score), [400, 500]);
+});
+
+test('the fastest finished parkour run is the best', () => {
+    const history = new RunHistory(memoryStorage());
+    history.add(timeRun(40, true));
+    assert.equal(history.add(timeRun(10, false)).isNewBest, false); // Fell off: not ranked
+    assert.equal(history.add(timeRun(35, true)).isNewBest, true);
+    assert.equal(history.getBest('parkour', null).time, 35);
+});
+
+test('runs persist, newest first, and can be removed', () => {
+    const storage = memoryStorage();
+    const history = new RunHistory(storage);
+    const first = scoreRun(1);
+    history.add(first);
+    history.add(scoreRun(2));
+    history.add(scoreRun(3, { scenarioId: 'tracking' }));
+
+    const reloaded = new RunHistory(storage);
+    assert.deepEqual(reloaded.filter().map(run => run.score), [3, 2, 1]);
+    assert.deepEqual(reloaded.filter({ scenarioId: 'reflex' }).map(run => run.score), [2, 1]);
+
+    reloaded.remove(first.id);
+    assert.deepEqual(new RunHistory(storage).filter().map(run => run.score), [3, 2]);
+    reloaded.clear({ scenarioId: 'tracking' });
+    assert.deepEqual(new RunHistory(storage).filter().map(run => run.score), [2]);
+});
+
+test('corrupted storage starts a fresh history', () => {
+    const storage = memoryStorage();
+    storage.setItem('aimthree.runs', '{ not json');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(new RunHistory(storage).runs, []);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,93 @@
+// level.test.js - Hand-made parkour levels: files, validation, the library and playing them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, EYE_HEIGHT } from '../src/GameCore.js';
+import { LevelError, LevelLibrary, levelScenario, validateLevel, parseLevel, serializeLevel } from '../src/Level.js';
+import { loadScenario, memoryStorage } from './helpers.js';
+
+// Two platforms side by side; walking forward from the start reaches the goal
+const LEVEL = {
+    name: 'Walkway',
+    start: [0, 1, 0],
+    platforms: [
+        { position: [0, 0.75, 0], width: 4, depth: 4 },
+        { position: [0, 0.75, -4], width: 4, depth: 4, goal: true }
+    ]
+};
+
+function levelErrors(data) {
+    try {
+        validateLevel(data);
+    } catch (e) {
+        if (e instanceof LevelError) return e.errors;
+        throw e;
+    }
+    return [];
+}
+
+test('level files round trip, filling in defaults', () => {
+    const level = parseLevel(serializeLevel(LEVEL));
+    assert.equal(level.name, 'Walkway');
+    assert.deepEqual(level.start, LEVEL.start);
+    assert.equal(level.platforms[0].goal, false);
+    assert.equal(level.platforms[1].goal, true);
+    assert.deepEqual(parseLevel(serializeLevel(level)), level);
+});
+
+test('broken levels report every problem', () => {
+    const file = JSON.parse(serializeLevel(LEVEL));
+    assert.throws(() => parseLevel('{'), LevelError);
+    assert.deepEqual(levelErrors({ ...file, format: 'other' }), ['is not an AimThree level file']);
+    assert.equal(levelErrors({ ...file, name: ' ' }).length, 1);
+
+    const errors = levelErrors({
+        ...file,
+        start: [0, 1],
+        platforms: [{ position: [0, 0, 0], width: 0.1, depth: 4 }, 'floor']
+    });
+    for (const path of ['level.start', 'level.platforms[0].width', 'level.platforms[1]', 'level.platforms']) {
+        assert.ok(errors.some(error => error.startsWith(`${path} `)), `${path}\n${errors.join('\n')}`);
+    }
+});
+
+test('levels play untimed, or with a base scenario\'s settings', () => {
+    const untimed = levelScenario(LEVEL);
+    assert.equal(untimed.duration, null);
+    assert.equal(untimed.name, 'Walkway');
+    assert.equal(untimed.level.respawnHeight, -10);
+
+    const base = loadScenario('parkour');
+    const timed = levelScenario({ ...LEVEL, platforms: [{ ...LEVEL.platforms[1], position: [0, -50, 0] }] }, base);
+    assert.equal(timed.id, `parkour:Walkway`);
+    assert.equal(timed.duration, base.duration);
+    assert.equal(timed.level.respawnHeight, -60); // Below the lowest platform
+});
+
+test('a hand-made level starts at its start point and ends on the goal', () => {
+    const core = new GameCore();
+    core.start(levelScenario(LEVEL), { seed: 'level' });
+    assert.deepEqual(core.position.toArray(), [0, 1 + EYE_HEIGHT, 0]);
+    assert.equal(core.platforms.length, 2);
+
+    for (let i = 0; i < 600 && core.isRunning; i++) core.step({ forward: true, yaw: 0, pitch: 0 });
+    assert.equal(core.isRunning, false);
+    assert.equal(core.result.completed, true);
+});
+
+test('saved levels persist by name', () => {
+    const storage = memoryStorage();
+    const library = new LevelLibrary(storage);
+    library.put({ ...LEVEL, name: 'b' });
+    library.put({ ...LEVEL, name: 'a' });
+    library.put({ ...LEVEL, name: 'b', start: [1, 1, 1] });
+
+    const again = new LevelLibrary(storage);
+    assert.deepEqual(again.names, ['a', 'b']);
+    assert.deepEqual(again.get('b').start, [1, 1, 1]);
+    again.delete('a');
+    assert.equal(new LevelLibrary(storage).get('a'), null);
+
+    storage.setItem('aimthree.levels', '[');
+    assert.deepEqual(new LevelLibrary(storage).names, []);
+});
@@ -0,0 +1,102 @@
+// motion.test.js - Target motion patterns: bounds, determinism and what each pattern does
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Motion } from '../src/Motion.js';
+import { Random } from '../src/Random.js';
+import { validateScenario } from '../src/Scenario.js';
+import { readScenario } from './helpers.js';
+
+const STEP = 1 / 120;
+const BOUNDS = { min: [-9, 1, -16], max: [9, 5, -6] };
+const START = new THREE.Vector3(0, 2, -10);
+const PATTERNS = ['wander', 'strafe', 'surge', 'bezier', 'dodge', 'weave', 'jump', 'crouch'];
+
+// targets.motion as the validator leaves it, defaults filled in
+function motionConfig(motion) {
+    const data = readScenario('tracking');
+    data.targets.motion = { bounds: BOUNDS, ...motion };
+    return validateScenario(data).targets.motion;
+}
+
+// Positions over `seconds`, with the crosshair ray from `aim` if given
+function run(config, seed, seconds = 10, aim = undefined) {
+    const motion = new Motion(config, new Random(seed));
+    const position = START.clone();
+    motion.reset(position);
+    const path = [];
+    for (let t = 0; t < seconds; t += STEP) {
+        motion.update(STEP, position, aim);
+        path.push(position.clone());
+    }
+    return path;
+}
+
+test('every pattern stays in bounds and repeats for the same seed', () => {
+    const box = new THREE.Box3(new THREE.Vector3().fromArray(BOUNDS.min), new THREE.Vector3().fromArray(BOUNDS.max));
+    // Crosshair straight at the start, so dodges trigger
+    const aim = { origin: new THREE.Vector3(0, 2, 0), direction: new THREE.Vector3(0, 0, -1) };
+    for (const type of PATTERNS) {
+        const config = motionConfig({ type });
+        const path = run(config, 'same', 10, aim);
+        assert.ok(path.every(p => box.containsPoint(p)), type);
+        assert.ok(path.some(p => p.distanceTo(START) > 0.1), `${type} moves`);
+        assert.deepEqual(run(config, 'same', 10, aim), path, type);
+    }
+});
+
+test('static targets stay put', () => {
+    assert.ok(run(motionConfig({ type: 'static' }), 1, 2).every(p => p.equals(START)));
+});
+
+test('strafing goes left and right only', () => {
+    const path = run(motionConfig({ type: 'strafe' }), 'adad', 5);
+    assert.ok(path.every(p => p.y === START.y && p.z === START.z));
+    const velocities = path.slice(1).map((p, i) => Math.sign(p.x - path[i].x)).filter(Boolean);
+    const reversals = velocities.slice(1).filter((v, i) => v !== velocities[i]).length;
+    assert.ok(reversals >= 4, `${reversals} direction changes`);
+});
+
+test('jumps and crouches leave the ground and come back to it', () => {
+    const jump = run(motionConfig({ type: 'jump', interval: 0.5, jitter: 0 }), 'jump', 3);
+    assert.ok(jump.some(p => p.y > START.y + 1));
+    assert.ok(jump.every(p => p.y >= START.y));
+    assert.ok(jump.filter(p => p.y === START.y).length > 0);
+
+    const crouch = run(motionConfig({ type: 'crouch', depth: 0.5 }), 'crouch', 3);
+    assert.ok(crouch.every(p => p.y <= START.y && p.y >= START.y - 0.5 - 1e-9));
+    assert.ok(crouch.some(p => p.y < START.y - 0.4));
+});
+
+test('dodges only happen with the crosshair on the target, and move away from it', () => {
+    const config = motionConfig({ type: 'dodge', jitter: 0 });
+    assert.ok(run(config, 'dodge', 2).every(p => p.equals(START)));
+
+    // Crosshair just left of the target: it sidesteps right
+    const aim = { origin: new THREE.Vector3(-0.1, 2, 0), direction: new THREE.Vector3(0, 0, -1) };
+    const path = run(config, 'dodge', 0.5, aim);
+    assert.ok(Math.abs(path.at(-1).x - START.x - config.distance) < 1e-9);
+});
+
+test('a mix runs all of its layers at once', () => {
+    const layers = [{ type: 'strafe' }, { type: 'jump', interval: 0.5 }];
+    const path = run(motionConfig({ type: 'mix', layers }), 'mix', 3);
+    assert.ok(path.some(p => p.x !== START.x));
+    assert.ok(path.some(p => p.y > START.y));
+});
+
+test('pattern parameters are checked, layers cannot nest', () => {
+    const data = readScenario('tracking');
+    data.targets.motion = {
+        type: 'mix',
+        layers: [{ type: 'strafe', minInterval: 1, maxInterval: 0.5 }, { type: 'mix', layers: [] }, { type: 'jump', height: -1 }],
+        bounds: BOUNDS
+    };
+    assert.throws(() => validateScenario(data), error => {
+        for (const path of ['layers[0].minInterval', 'layers[1].type', 'layers[2].height']) {
+            assert.ok(error.errors.some(e => e.startsWith(`targets.motion.${path} `)), path);
+        }
+        return true;
+    });
+});
@@ -0,0 +1,156 @@
+// movement.test.js - Parkour movement: capsule collision, coyote time, jump buffering and air control
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, EYE_HEIGHT, FIXED_STEP } from '../src/GameCore.js';
+import { levelScenario } from '../src/Level.js';
+import { validateScenario, ScenarioError } from '../src/Scenario.js';
+import { readScenario } from './helpers.js';
+
+// A floor with its top at y = 1, and the goal far out of the way
+const FLOOR = { position: [0, 0.75, 0], width: 8, depth: 8 };
+const GOAL = { position: [50, 0.75, 50], width: 2, depth: 2, goal: true };
+
+function startLevel(platforms, movement = {}) {
+    const scenario = levelScenario({ name: 'Test', start: [0, 1, 0], platforms: [FLOOR, GOAL, ...platforms] });
+    scenario.movement = { ...scenario.movement, ...movement };
+    const core = new GameCore();
+    core.start(scenario, { seed: 'movement' });
+    return core;
+}
+
+function settle(core) {
+    for (let i = 0; i < 30; i++) core.step({ yaw: 0, pitch: 0 });
+}
+
+const feet = core => core.position.y - EYE_HEIGHT;
+
+test('the player stands on platform tops', () => {
+    const core = startLevel([]);
+    settle(core);
+    assert.ok(core.isGrounded);
+    assert.ok(Math.abs(feet(core) - 1) < 0.01);
+});
+
+test('walls block and can be slid along, low ledges are stepped onto', () => {
+    // Top 0.75 above the floor: too high to step onto
+    const wall = startLevel([{ position: [0, 1.5, -3], width: 8, depth: 1 }]);
+    settle(wall);
+    for (let i = 0; i < 240; i++) wall.step({ forward: true, yaw: 0, pitch: 0 });
+    assert.ok(wall.position.z > -2.5 + 0.3, `went through the wall to z ${wall.position.z}`);
+    assert.ok(wall.isGrounded);
+
+    // Facing along the wall at 45 degrees keeps the sideways part of the move
+    const x = wall.position.x;
+    for (let i = 0; i < 30; i++) wall.step({ forward: true, yaw: -Math.PI / 4, pitch: 0 });
+    assert.ok(wall.position.x > x + 0.3);
+    assert.ok(wall.position.z > -2.5 + 0.3);
+
+    // Top 0.3 above the floor
+    const ledge = startLevel([{ position: [0, 1.05, -3], width: 4, depth: 1 }]);
+    settle(ledge);
+    for (let i = 0; i < 120; i++) ledge.step({ forward: true, yaw: 0, pitch: 0 });
+    assert.ok(ledge.position.z < -2.5, 'stopped at the ledge');
+});
+
+test('undersides stop jumps', () => {
+    // Bottom 2 above the floor: the 1.8 tall capsule has 0.2 of headroom
+    const core = startLevel([{ position: [0, 3.25, 0], width: 4, depth: 4 }]);
+    settle(core);
+    let highest = feet(core);
+    core.step({ jump: true, yaw: 0, pitch: 0 });
+    for (let i = 0; i < 60; i++) {
+        highest = Math.max(highest, feet(core));
+        core.step({ yaw: 0, pitch: 0 });
+    }
+    assert.ok(highest > 1.1);
+    assert.ok(highest < 1.2 + 0.01, `feet reached ${highest}`);
+    assert.ok(core.isGrounded);
+});
+
+test('fast falls land instead of passing through thin platforms', () => {
+    const core = startLevel([]);
+    core.teleport(0, 300, 0);
+    let fastest = 0;
+    for (let i = 0; i < 600 && !core.isGrounded; i++) {
+        core.step({ yaw: 0, pitch: 0 });
+        fastest = Math.max(fastest, -core.velocity.y * FIXED_STEP);
+    }
+    assert.ok(fastest > 0.5, 'fell further than the platform is thick in one tick');
+    assert.ok(core.isGrounded);
+    assert.ok(Math.abs(feet(core) - 1) < 0.01);
+});
+
+// Walks forward off the floor's edge and returns the core on the first tick in the air
+function walkOffEdge(movement) {
+    const core = startLevel([], movement);
+    settle(core);
+    while (core.isGrounded) core.step({ forward: true, yaw: 0, pitch: 0 });
+    return core;
+}
+
+test('jumps still work for coyoteTime after walking off an edge', () => {
+    const movement = { coyoteTime: 0.1 };
+    const early = walkOffEdge(movement);
+    for (let i = 0; i < 6; i++) early.step({ yaw: 0, pitch: 0 });
+    early.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(early.velocity.y > 9, 'jumped within coyoteTime');
+
+    const late = walkOffEdge(movement);
+    for (let i = 0; i < 18; i++) late.step({ yaw: 0, pitch: 0 });
+    late.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(late.velocity.y < 0, 'jumped after coyoteTime');
+
+    const none = walkOffEdge({ coyoteTime: 0 });
+    none.step({ jump: true, yaw: 0, pitch: 0 });
+    assert.ok(none.velocity.y < 0);
+});
+
+// Drops onto the floor pressing jump `early` ticks before landing; returns whether it jumped
+function jumpBeforeLanding(early) {
+    const landing = startLevel([], { jumpBuffer: 0.1 });
+    landing.teleport(0, 3 + EYE_HEIGHT, 0);
+    let ticks = 0;
+    while (!landing.isGrounded) {
+        landing.step({ yaw: 0, pitch: 0 });
+        ticks++;
+    }
+
+    const core = startLevel([], { jumpBuffer: 0.1 });
+    core.teleport(0, 3 + EYE_HEIGHT, 0);
+    for (let i = 0; i < ticks + 5; i++) core.step({ jump: i === ticks - early, yaw: 0, pitch: 0 });
+    return feet(core) > 1.1;
+}
+
+test('jumps pressed up to jumpBuffer before landing happen on landing', () => {
+    assert.equal(jumpBeforeLanding(1), true);
+    assert.equal(jumpBeforeLanding(8), true);
+    assert.equal(jumpBeforeLanding(20), false);
+});
+
+test('airControl scales steering in the air', () => {
+    const sideways = airControl => {
+        const core = startLevel([], { airControl });
+        settle(core);
+        core.step({ jump: true, yaw: 0, pitch: 0 });
+        for (let i = 0; i < 30; i++) core.step({ right: true, yaw: 0, pitch: 0 });
+        assert.ok(!core.isGrounded);
+        return core.velocity.x;
+    };
+    assert.equal(sideways(0), 0);
+    const half = sideways(0.5);
+    const full = sideways(1);
+    assert.ok(half > 0 && half < full);
+});
+
+test('movement settings default and are range checked', () => {
+    const parkour = validateScenario(readScenario('parkour'));
+    assert.deepEqual(parkour.movement, { airControl: 0.5, coyoteTime: 0.1, jumpBuffer: 0.1 });
+    const reflex = validateScenario(readScenario('reflex'));
+    assert.deepEqual(reflex.movement, { airControl: 1, coyoteTime: 0.1, jumpBuffer: 0.1 });
+
+    const data = { ...readScenario('parkour'), movement: { airControl: 2, coyoteTime: -1, jumpBuffer: 'long' } };
+    assert.throws(() => validateScenario(data), e => e instanceof ScenarioError &&
+        ['movement.airControl', 'movement.coyoteTime', 'movement.jumpBuffer']
+            .every(path => e.errors.some(error => error.startsWith(`${path} `))));
+});
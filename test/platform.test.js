@@ -0,0 +1,184 @@
+// platform.test.js - Platform behaviours: poses, crumbling, carrying riders and generated mixes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Platform } from '../src/Platform.js';
+import { GameCore, EYE_HEIGHT, FIXED_STEP } from '../src/GameCore.js';
+import { ShotAnalysis } from '../src/ShotAnalysis.js';
+import { levelScenario } from '../src/Level.js';
+import { validateScenario, ScenarioError } from '../src/Scenario.js';
+import { loadScenario, readScenario } from './helpers.js';
+
+function close(actual, expected, message, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message ?? ''} ${actual} != ${expected}`);
+}
+
+const at = (x, y, z) => new THREE.Vector3(x, y, z);
+
+test('moving platforms loop through their path, rotating ones spin', () => {
+    const platform = new Platform({ position: at(0, 1, 0), width: 2, depth: 2, move: { path: [[4, 1, 0]], speed: 2 }, rotate: 90 });
+    for (const [time, x] of [[0, 0], [1, 2], [2, 4], [3, 2], [4, 0], [5, 2]]) {
+        platform.pose(time);
+        close(platform.position.x, x, `x at ${time}s`);
+    }
+    close(platform.angle, Math.PI * 2.5);
+
+    const still = new Platform({ position: at(1, 2, 3), width: 2, depth: 2, move: { path: [[1, 2, 3]], speed: 1 } });
+    still.pose(10);
+    assert.deepEqual(still.position.toArray(), [1, 2, 3]);
+    assert.equal(still.kind, null);
+});
+
+test('crumbling platforms fall after their delay and come back', () => {
+    const platform = new Platform({ position: at(0, 1, 0), width: 2, depth: 2, crumble: { delay: 0.5, respawn: 1 } });
+    assert.equal(platform.kind, 'crumble');
+    platform.land();
+    assert.ok(platform.isCrumbling && platform.isSolid);
+    let time = 0;
+    const run = seconds => {
+        for (let end = time + seconds; time < end; time += 0.125) platform.update(time + 0.125, 0.125);
+    };
+    run(0.5);
+    assert.equal(platform.isSolid, false);
+    platform.land(); // Nothing to land on
+    run(1);
+    assert.ok(platform.isSolid && !platform.isCrumbling);
+});
+
+test('platforms carry riders along their move, turn and conveyor', () => {
+    const moving = new Platform({ position: at(0, 1, 0), width: 2, depth: 2, move: { path: [[10, 1, 0]], speed: 1 } });
+    moving.update(0.5, 0.5);
+    const rider = at(0.5, 2, 0);
+    assert.equal(moving.carry(rider, 0.5), 0);
+    close(rider.x, 1);
+
+    const spinning = new Platform({ position: at(0, 1, 0), width: 4, depth: 4, rotate: 90 });
+    spinning.update(1, 1);
+    const edge = at(1, 2, 0);
+    close(spinning.carry(edge, 1), Math.PI / 2);
+    close(edge.x, 0);
+    close(edge.z, -1); // Counter-clockwise seen from above
+
+    const conveyor = new Platform({ position: at(0, 1, 0), width: 4, depth: 4, conveyor: [2, 0] });
+    const point = at(0, 2, 0);
+    conveyor.update(0.5, 0.5);
+    conveyor.carry(point, 0.5);
+    close(point.x, 1);
+    assert.equal(conveyor.kind, 'conveyor');
+});
+
+// The player on a 6x6 platform at the origin with the given behaviour; the goal far away
+function startOn(behaviour) {
+    const core = new GameCore();
+    core.start(levelScenario({
+        name: 'Test',
+        start: [0, 1, 0],
+        platforms: [
+            { position: [0, 0.75, 0], width: 6, depth: 6, ...behaviour },
+            { position: [50, 0.75, 50], width: 2, depth: 2, goal: true }
+        ]
+    }), { seed: 'platforms' });
+    return core;
+}
+
+test('riders move with the platform they stand on', () => {
+    const core = startOn({ move: { path: [[0, 0.75, -20]], speed: 2 } });
+    for (let i = 0; i < 240; i++) core.step({ yaw: 0, pitch: 0 });
+    assert.ok(core.isGrounded);
+    close(core.position.z, core.groundPlatform.position.z, 'rider z', 0.05);
+    assert.ok(core.position.z < -3.5);
+});
+
+test('riders of rotating platforms turn with them', () => {
+    const core = startOn({ rotate: 90 });
+    core.step({});
+    assert.ok(core.isGrounded);
+    const [yaw] = ShotAnalysis.getAim(core.camera);
+    const angle = core.platforms[0].angle;
+    for (let i = 0; i < 60; i++) core.step({});
+    close(ShotAnalysis.getAim(core.camera)[0] - yaw, core.platforms[0].angle - angle, 'view turn', 1e-6);
+    close(core.platforms[0].angle - angle, Math.PI / 4, 'platform turn', 1e-6);
+});
+
+test('bounce pads launch, crumbling platforms drop, speed zones speed up', () => {
+    const bounce = startOn({ bounce: 20 });
+    let highest = 0;
+    for (let i = 0; i < 120; i++) {
+        bounce.step({ yaw: 0, pitch: 0 });
+        highest = Math.max(highest, bounce.position.y - EYE_HEIGHT);
+    }
+    assert.ok(highest > 5, `bounced to ${highest}`);
+
+    const crumble = startOn({ crumble: { delay: 0.25, respawn: 10 } });
+    for (let i = 0; i < 120; i++) crumble.step({ yaw: 0, pitch: 0 });
+    assert.equal(crumble.platforms[0].isSolid, false);
+    assert.ok(crumble.position.y - EYE_HEIGHT < 0, 'still standing on a fallen platform');
+
+    const topSpeed = boost => {
+        const core = startOn({ boost });
+        for (let i = 0; i < 30; i++) core.step({ yaw: 0, pitch: 0 });
+        for (let i = 0; i < 20; i++) core.step({ forward: true, yaw: 0, pitch: 0 }); // Not off the edge yet
+        return -core.velocity.z;
+    };
+    assert.ok(topSpeed(1.5) > topSpeed(1) * 1.4);
+    assert.ok(topSpeed(0.5) < topSpeed(1) * 0.6);
+});
+
+test('generated levels mix in behaviours by difficulty, keeping the layout', () => {
+    const level = difficulty => {
+        const scenario = loadScenario('parkour');
+        scenario.level = { ...scenario.level, difficulty };
+        const core = new GameCore();
+        core.start(scenario, { seed: 'mix' });
+        return core.platforms;
+    };
+    const plain = level(0);
+    const hard = level(1);
+    assert.ok(plain.every(platform => platform.kind === null && !platform.path && platform.spin === 0));
+    assert.deepEqual(hard.map(platform => platform.origin.toArray()), plain.map(platform => platform.origin.toArray()));
+    const mixed = hard.filter(platform => platform.kind !== null || platform.path || platform.spin !== 0);
+    assert.ok(mixed.length > hard.length / 4, `${mixed.length} of ${hard.length}`);
+    assert.ok(hard.filter(platform => platform.checkpoint !== null).every(platform => platform.kind === null && !platform.path));
+    assert.equal(loadScenario('parkour').level.difficulty > 0, true);
+});
+
+test('platform behaviours are validated', () => {
+    const level = platform => ({
+        ...readScenario('parkour'),
+        level: { start: [0, 1, 0], platforms: [{ position: [0, 0, 0], width: 4, depth: 4, goal: true }, platform] }
+    });
+    const errorsOf = data => {
+        try {
+            validateScenario(data);
+        } catch (e) {
+            if (e instanceof ScenarioError) return e.errors;
+            throw e;
+        }
+        return [];
+    };
+
+    const valid = validateScenario(level({ position: [0, 2, 0], width: 2, depth: 2, crumble: {} }));
+    assert.deepEqual(valid.level.platforms[1].crumble, { delay: 0.5, respawn: 3 });
+
+    const errors = errorsOf(level({
+        position: [0, 2, 0], width: 2, depth: 2, checkpoint: true,
+        move: { path: [], speed: 0 }, rotate: 1000, conveyor: [1], boost: 0, bounce: -1
+    }));
+    for (const path of ['level.platforms[1].move.path', 'level.platforms[1].move.speed', 'level.platforms[1].rotate',
+        'level.platforms[1].conveyor', 'level.platforms[1].boost', 'level.platforms[1].bounce', 'level.platforms[1]']) {
+        assert.ok(errors.some(error => error.startsWith(`${path} `)), `${path}\n${errors.join('\n')}`);
+    }
+    assert.ok(errorsOf({ ...readScenario('parkour'), level: { ...readScenario('parkour').level, difficulty: 2 } })
+        .some(error => error.startsWith('level.difficulty ')));
+});
+
+test('platform poses depend only on the clock', () => {
+    const first = startOn({ move: { path: [[5, 0.75, 0]], speed: 3 }, rotate: 45 });
+    for (let i = 0; i < 200; i++) first.step({ yaw: 0, pitch: 0 });
+    const second = startOn({ move: { path: [[5, 0.75, 0]], speed: 3 }, rotate: 45 });
+    second.posePlatforms(first.elapsedTime);
+    close(second.platforms[0].position.x, first.platforms[0].position.x, 'x', 1e-6);
+    close(second.platforms[0].angle, first.platforms[0].angle, 'angle', 1e-6);
+    assert.ok(first.elapsedTime > 199 * FIXED_STEP);
+});
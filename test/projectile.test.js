@@ -0,0 +1,139 @@
+// projectile.test.js - Projectile flight, swept hits, delayed scoring and lead error
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameCore, FIXED_STEP } from '../src/GameCore.js';
+import { Projectile } from '../src/Projectile.js';
+import { WEAPONS } from '../src/Weapons.js';
+import { loadScenario, aimAt } from './helpers.js';
+
+function armed(weapon, scenarioId = 'reflex') {
+    const core = new GameCore();
+    const events = [];
+    ['launch', 'shot'].forEach(type => core.addEventListener(type, event => events.push(event)));
+    core.start(loadScenario(scenarioId), { seed: 'projectile', weapon });
+    return { core, events };
+}
+
+// A target stand-in moving at `velocity` per second, for Projectile on its own
+function movingTarget(position, velocity) {
+    return {
+        isActive: true,
+        mesh: { position: position.clone() },
+        previousPosition: position.clone(),
+        velocity,
+        update(delta) {
+            this.previousPosition.copy(this.mesh.position);
+            this.mesh.position.addScaledVector(this.velocity, delta);
+        }
+    };
+}
+
+test('projectiles fly straight, or drop under gravity', () => {
+    const straight = new Projectile(new THREE.Scene());
+    straight.launch(new THREE.Vector3(0, 2, 0), new THREE.Vector3(0, 0, -1), WEAPONS.plasma.projectile);
+    for (let i = 0; i < 120; i++) straight.update(FIXED_STEP);
+    assert.ok(straight.position.distanceTo(new THREE.Vector3(0, 2, -WEAPONS.plasma.projectile.speed)) < 1e-9);
+
+    const { speed, gravity } = WEAPONS.crossbow.projectile;
+    const arrow = new Projectile(new THREE.Scene());
+    arrow.launch(new THREE.Vector3(0, 2, 0), new THREE.Vector3(0, 0, -1), WEAPONS.crossbow.projectile);
+    for (let i = 0; i < 60; i++) arrow.update(FIXED_STEP);
+    assert.ok(Math.abs(arrow.position.z + speed / 2) < 1e-9);
+    assert.ok(Math.abs(arrow.position.y - (2 - gravity / 8)) < 0.05, `${arrow.position.y}`);
+
+    // Replays place it from the launch alone
+    const replayed = new Projectile(new THREE.Scene());
+    replayed.place(new THREE.Vector3(0, 2, 0), new THREE.Vector3(0, 0, -speed), gravity, 60 * FIXED_STEP);
+    assert.ok(replayed.position.distanceTo(arrow.position) < 0.05);
+});
+
+test('a projectile scores when it arrives, not when it is fired', () => {
+    const { core, events } = armed(WEAPONS.plasma);
+    const target = core.targets.find(t => t.isActive);
+    const flightTime = target.mesh.position.distanceTo(core.position) / WEAPONS.plasma.projectile.speed;
+
+    core.step({ ...aimAt(core, target.mesh.position), fire: true });
+    assert.deepEqual(events.map(e => e.type), ['launch']);
+    assert.equal(core.shotsFired, 1);
+    assert.equal(core.shotsHit, 0);
+    const [replayShot] = core.replayRecorder.replay.shots;
+    assert.equal(replayShot[1], 0);
+    const [launch] = core.replayRecorder.replay.projectiles;
+    assert.equal(launch[0], replayShot[0]);
+    assert.ok(new THREE.Vector3(...launch.slice(1, 4)).distanceTo(core.position) < 0.01);
+    assert.ok(Math.abs(new THREE.Vector3(...launch.slice(4, 7)).length() - WEAPONS.plasma.projectile.speed) < 0.01);
+    assert.equal(launch[8], null);
+
+    let ticks = 0;
+    while (core.projectiles.length > 0) {
+        core.step({});
+        ticks++;
+    }
+    assert.ok(Math.abs(ticks * FIXED_STEP - flightTime) < 0.05, `${ticks} ticks`);
+    const shot = events.at(-1);
+    assert.equal(shot.type, 'shot');
+    assert.equal(shot.hit, true);
+    assert.equal(shot.projectile, events[0].projectile);
+    assert.equal(core.shotsHit, 1);
+    assert.equal(replayShot[1], 1);
+    assert.ok(Math.abs(launch[8] - ticks * FIXED_STEP) < 1e-3);
+});
+
+test('fast projectiles are swept and cannot tunnel through targets', () => {
+    const railgun = { ...WEAPONS.plasma, projectile: { speed: 600, gravity: 0 } };
+    const { core } = armed(railgun);
+    const target = core.targets.find(t => t.isActive);
+    assert.ok(railgun.projectile.speed * FIXED_STEP > target.mesh.scale.x * 4);
+
+    core.step({ ...aimAt(core, target.mesh.position), fire: true });
+    for (let i = 0; i < 10; i++) core.step({});
+    assert.equal(core.shotsHit, 1);
+});
+
+test('misses land on the floor and count as misses', () => {
+    const { core, events } = armed(WEAPONS.crossbow);
+    core.step({ yaw: Math.PI, pitch: -0.3, fire: true }); // Behind the player, into the floor
+    for (let i = 0; i < 120 && core.projectiles.length > 0; i++) core.step({});
+    assert.equal(core.projectiles.length, 0);
+    assert.equal(events.at(-1).hit, false);
+    assert.equal(core.shotsHit, 0);
+});
+
+test('lead error is measured along the target\'s direction of travel', () => {
+    const leadError = aimX => {
+        const target = movingTarget(new THREE.Vector3(0, 2, -10), new THREE.Vector3(5, 0, 0));
+        const projectile = new Projectile(new THREE.Scene());
+        const direction = new THREE.Vector3(aimX, 0, -10).normalize();
+        projectile.launch(new THREE.Vector3(0, 2, 0), direction, { speed: 40, gravity: 0 }, target);
+        for (let i = 0; i < 60; i++) {
+            target.update(FIXED_STEP);
+            projectile.savePrevious();
+            projectile.update(FIXED_STEP);
+            projectile.trackApproach(FIXED_STEP);
+        }
+        return projectile.getLeadError();
+    };
+
+    // The shot takes ~0.25s, by which time the target is ~1.25 units along
+    assert.ok(Math.abs(leadError(1.25)) < 0.1, `${leadError(1.25)}`);
+    assert.ok(leadError(3) > 1);
+    assert.ok(leadError(0) < -1);
+});
+
+test('slow targets are not scored for lead, runs summarize the rest', () => {
+    const target = movingTarget(new THREE.Vector3(0, 2, -10), new THREE.Vector3(0.1, 0, 0));
+    const projectile = new Projectile(new THREE.Scene());
+    projectile.launch(new THREE.Vector3(0, 2, 0), new THREE.Vector3(0, 0, -1), { speed: 40, gravity: 0 }, target);
+    target.update(FIXED_STEP);
+    projectile.savePrevious();
+    projectile.update(FIXED_STEP);
+    projectile.trackApproach(FIXED_STEP);
+    assert.equal(projectile.getLeadError(), null);
+
+    const { core } = armed(WEAPONS.plasma, 'lead-training');
+    core.leadErrors = [0.5, -0.25, 1];
+    core.finish(false);
+    assert.deepEqual(core.result.lead, { shots: 3, meanError: 1.75 / 3, ahead: 2, behind: 1 });
+});
@@ -0,0 +1,52 @@
+// random.test.js - Seeded randomness: same seed, same numbers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../src/Random.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(take(new Random('scrim-night'), 20), take(new Random('scrim-night'), 20));
+    assert.notDeepEqual(take(new Random('scrim-night'), 20), take(new Random('scrim-day'), 20));
+});
+
+test('seeds normalize to unsigned 32-bit integers', () => {
+    assert.equal(Random.normalizeSeed(1234), 1234);
+    assert.equal(Random.normalizeSeed('1234'), 1234);
+    assert.equal(Random.normalizeSeed(' 1234 '), 1234);
+    assert.equal(Random.normalizeSeed(-1), 0xffffffff);
+    assert.equal(Random.normalizeSeed('scrim-night'), Random.normalizeSeed('scrim-night'));
+    assert.notEqual(Random.normalizeSeed('a'), Random.normalizeSeed('b'));
+    for (const seed of ['abc', '', '99999999999', Random.randomSeed()]) {
+        const value = Random.normalizeSeed(seed);
+        assert.ok(Number.isInteger(value) && value >= 0 && value <= 0xffffffff, String(seed));
+    }
+});
+
+test('derived streams are independent of each other', () => {
+    const root = new Random(42);
+    const spawn = root.derive('spawn');
+    const motion = root.derive('motion');
+    const expected = take(new Random(42).derive('motion'), 10);
+
+    take(spawn, 100); // Using one stream...
+    assert.deepEqual(take(motion, 10), expected); // ...never shifts another
+    assert.notDeepEqual(take(new Random(42).derive('spawn'), 10), expected);
+});
+
+test('range, int and pick stay in bounds', () => {
+    const random = new Random('bounds');
+    const values = ['a', 'b', 'c'];
+    const picked = new Set();
+    for (let i = 0; i < 1000; i++) {
+        const next = random.next();
+        assert.ok(next >= 0 && next < 1);
+        const range = random.range(-2, 3);
+        assert.ok(range >= -2 && range < 3);
+        const int = random.int(1, 6);
+        assert.ok(Number.isInteger(int) && int >= 1 && int <= 6);
+        picked.add(random.pick(values));
+    }
+    assert.deepEqual([...picked].sort(), values);
+});
@@ -0,0 +1,108 @@
+// recoil.test.js - Recoil patterns kicking the camera, recovery, and spray review
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameCore, FIXED_STEP } from '../src/GameCore.js';
+import { ShotAnalysis } from '../src/ShotAnalysis.js';
+import { SprayRecorder } from '../src/SprayRecorder.js';
+import { WEAPONS } from '../src/Weapons.js';
+import { loadScenario } from './helpers.js';
+
+const { degToRad } = THREE.MathUtils;
+
+function close(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message ?? ''} ${actual} != ${expected}`);
+}
+
+function armed(weapon, scenarioId = 'reflex') {
+    const core = new GameCore();
+    core.start(loadScenario(scenarioId), { seed: 'recoil', weapon: WEAPONS[weapon] });
+    return core;
+}
+
+// Recoil the first `shots` kicks of a pattern add up to, as [yaw, pitch] radians
+function kicked(pattern, shots) {
+    let yaw = 0;
+    let pitch = 0;
+    for (let i = 0; i < shots; i++) {
+        const [right, up] = pattern[Math.min(i, pattern.length - 1)];
+        yaw -= degToRad(right);
+        pitch += degToRad(up);
+    }
+    return [yaw, pitch];
+}
+
+test('every shot kicks the camera by the next step of the pattern', () => {
+    const { pattern } = WEAPONS.rifle.recoil;
+    const core = armed('rifle');
+    const shots = pattern.length + 3; // Past the end the last kick repeats
+    while (core.shotsFired < shots) core.step({ trigger: true });
+
+    const [yaw, pitch] = kicked(pattern, shots);
+    const [aimYaw, aimPitch] = ShotAnalysis.getAim(core.camera);
+    close(aimYaw, yaw, 'yaw');
+    close(aimPitch, pitch, 'pitch');
+    close(core.recoil.pitch, pitch);
+    assert.equal(core.recoil.shots, shots);
+});
+
+test('recoil adds to a scripted aim, as it does to the mouse', () => {
+    const core = armed('pistol');
+    core.step({ yaw: 0.2, pitch: 0.1, fire: true });
+    core.step({ yaw: 0.2, pitch: 0.1 });
+    const [yaw, pitch] = ShotAnalysis.getAim(core.camera);
+    close(yaw, 0.2);
+    close(pitch, 0.1 + degToRad(WEAPONS.pistol.recoil.pattern[0][1]));
+});
+
+test('the aim settles back and the pattern restarts once firing stops', () => {
+    const { recovery, pattern } = WEAPONS.smg.recoil;
+    const core = armed('smg');
+    while (core.shotsFired < 5) core.step({ trigger: true });
+    for (let t = 0; t < recovery + 60 / WEAPONS.smg.fireRate; t += FIXED_STEP) core.step({});
+
+    assert.equal(core.recoil.shots, 0);
+    close(core.recoil.yaw, 0);
+    close(core.recoil.pitch, 0);
+    const [yaw, pitch] = ShotAnalysis.getAim(core.camera);
+    close(yaw, 0);
+    close(pitch, 0);
+
+    const before = ShotAnalysis.getAim(core.camera)[1];
+    core.step({ fire: true });
+    close(ShotAnalysis.getAim(core.camera)[1] - before, degToRad(pattern[0][1]), 'first kick again');
+});
+
+test('sprays are reported with each bullet next to the raw pattern', () => {
+    const core = armed('rifle', 'spray-transfer');
+    const sprays = [];
+    core.addEventListener('spray', event => sprays.push(event.spray));
+
+    const target = core.targets.find(t => t.isActive);
+    const d = new THREE.Vector3().subVectors(target.mesh.position, core.position);
+    const aim = { yaw: Math.atan2(-d.x, -d.z), pitch: Math.atan2(d.y, Math.hypot(d.x, d.z)) };
+    while (core.shotsFired < 6) core.step({ ...aim, trigger: true });
+    assert.equal(sprays.length, 0);
+    for (let i = 0; i < 120; i++) core.step(aim);
+
+    assert.equal(sprays.length, 1);
+    const [spray] = sprays;
+    assert.equal(spray.shots.length, 6);
+    assert.deepEqual(spray.pattern[0], [-0, 0]);
+    const [yaw, pitch] = kicked(WEAPONS.rifle.recoil.pattern, 5);
+    close(spray.pattern[5][0], -THREE.MathUtils.radToDeg(yaw));
+    close(spray.pattern[5][1], THREE.MathUtils.radToDeg(pitch));
+    assert.ok(spray.shots[0].hit);
+    assert.ok(SprayRecorder.meanError(spray) > 0);
+    // Nobody pulled down: the bullets climb with the pattern
+    assert.ok(spray.shots[5].y > spray.shots[0].y);
+});
+
+test('single shots are not sprays', () => {
+    const recorder = new SprayRecorder();
+    const target = { isActive: true, mesh: { position: new THREE.Vector3(0, 0, -10) } };
+    recorder.recordShot(new THREE.Vector3(), new THREE.Vector3(0, 0, -1), [target], [0, 0]);
+    assert.equal(recorder.finish(), null);
+    assert.equal(recorder.isSpraying, false);
+});
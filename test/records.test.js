@@ -0,0 +1,113 @@
+// records.test.js - Parkour checkpoints, splits, and the records kept per level
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, EYE_HEIGHT } from '../src/GameCore.js';
+import { ParkourRecords, levelKey, ghostPath } from '../src/ParkourRecords.js';
+import { levelScenario } from '../src/Level.js';
+import { loadScenario, memoryStorage } from './helpers.js';
+
+// Start, then a checkpoint straight ahead, then a gap too wide to walk over
+const LEVEL = {
+    name: 'Steps',
+    start: [0, 1, 0],
+    platforms: [
+        { position: [0, 0.75, 0], width: 4, depth: 4 },
+        { position: [0, 0.75, -4], width: 4, depth: 4, checkpoint: true },
+        { position: [0, 0.75, -30], width: 4, depth: 4, goal: true }
+    ]
+};
+
+test('generated levels are keyed by seed and settings, hand-made ones by layout', () => {
+    const parkour = loadScenario('parkour');
+    assert.notEqual(levelKey(parkour, 1), levelKey(parkour, 2));
+
+    const level = levelScenario(LEVEL);
+    assert.equal(levelKey(level, 1), levelKey(level, 2));
+
+    // Same checkpoint count, moved platform
+    const edited = structuredClone(LEVEL);
+    edited.platforms[1].position = [2, 0.75, -4];
+    assert.notEqual(levelKey(levelScenario(edited), 1), levelKey(level, 1));
+
+    // Any other generator setting builds another spiral from the same seed
+    for (const change of [{ difficulty: 0 }, { checkpoints: 5 }]) {
+        const tweaked = loadScenario('parkour');
+        tweaked.level = { ...tweaked.level, ...change };
+        assert.notEqual(levelKey(tweaked, 1), levelKey(parkour, 1), Object.keys(change)[0]);
+    }
+});
+
+test('runs with other abilities are kept apart', () => {
+    const none = { doubleJump: false, dash: false, wallRun: false, slide: false };
+    for (const scenario of [loadScenario('parkour'), levelScenario(LEVEL)]) {
+        const plain = levelKey(scenario, 1);
+        assert.equal(levelKey(scenario, 1, none), plain);
+        const dash = levelKey(scenario, 1, { ...none, dash: true });
+        const both = levelKey(scenario, 1, { ...none, dash: true, slide: true });
+        assert.equal(new Set([plain, dash, both]).size, 3);
+        assert.equal(levelKey(scenario, 1, { slide: true, dash: true }), both);
+    }
+});
+
+test('generated levels spread their checkpoints between start and goal', () => {
+    const core = new GameCore();
+    core.start(loadScenario('parkour'), { seed: 'checkpoints' });
+    const checkpoints = core.platforms.filter(platform => platform.checkpoint !== null);
+    assert.deepEqual(checkpoints.map(platform => platform.checkpoint), [0, 1, 2]);
+    assert.deepEqual(core.splits, [null, null, null]);
+    assert.ok(!core.platforms[0].checkpoint && !core.platforms.at(-1).checkpoint);
+});
+
+test('reaching a checkpoint records a split and moves the respawn there', () => {
+    const core = new GameCore();
+    const reached = [];
+    core.addEventListener('checkpoint', event => reached.push({ index: event.index, time: event.time }));
+    core.start(levelScenario(LEVEL), { seed: 'splits' });
+
+    // Walk over the checkpoint and off its far edge
+    for (let i = 0; i < 240; i++) core.step({ forward: true, yaw: 0, pitch: 0 });
+    assert.equal(reached.length, 1);
+    assert.equal(reached[0].index, 0);
+    assert.deepEqual(core.splits, [reached[0].time]);
+
+    for (let i = 0; i < 600; i++) core.step({});
+    assert.deepEqual(core.position.toArray(), [0, 1 + EYE_HEIGHT, -4]);
+    assert.deepEqual(core.startPoint.toArray(), LEVEL.start); // Heights are still measured from the start
+    assert.equal(reached.length, 1); // Landing on it again doesn't count
+
+    core.finish(false);
+    assert.deepEqual(core.result.splits, core.splits);
+});
+
+test('best splits and the fastest ghost are kept', () => {
+    const records = new ParkourRecords(memoryStorage());
+    records.add('level', { completed: true, time: 10, splits: [4, 8] }, [[0, 0, 0, 0]]);
+    records.add('level', { completed: true, time: 12, splits: [3, 9] }, [[0, 1, 1, 1]]);
+    records.add('level', { completed: false, time: null, splits: [2, null] }, [[0, 2, 2, 2]]);
+    const record = records.get('level');
+    assert.deepEqual(record.bestSplits, [2, 8]);
+    assert.equal(record.best.time, 10);
+    assert.deepEqual(record.best.ghost, [[0, 0, 0, 0]]);
+    assert.equal(records.get('other'), null);
+});
+
+test('records persist, and start over when the checkpoints change', () => {
+    const storage = memoryStorage();
+    new ParkourRecords(storage).add('level', { completed: true, time: 10, splits: [4] }, []);
+    const records = new ParkourRecords(storage);
+    assert.equal(records.get('level').best.time, 10);
+
+    records.add('level', { completed: false, time: null, splits: [5, 6] }, []);
+    assert.deepEqual(records.get('level'), { ...records.get('level'), bestSplits: [5, 6], best: null });
+});
+
+test('ghosts are the replay path, thinned out but ending at the last frame', () => {
+    const frames = Array.from({ length: 11 }, (_, i) => [i / 100, i, 2, -i, 0, 0, 0, 0, []]);
+    const path = ghostPath({ frames });
+    assert.deepEqual(path.map(([time]) => time), [0, 0.05, 0.1]);
+    assert.deepEqual(path[1], [0.05, 5, 2, -5]);
+
+    frames.push([0.115, 11, 2, -11, 0, 0, 0, 0, []]);
+    assert.deepEqual(ghostPath({ frames }).at(-1), [0.115, 11, 2, -11]);
+});
@@ -0,0 +1,88 @@
+// replay.test.js - Replay recording and replay files
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ReplayRecorder, serializeReplay, parseReplay, ReplayError, REPLAY_VERSION, INPUT } from '../src/Replay.js';
+import { GameCore } from '../src/GameCore.js';
+import { loadScenario, play } from './helpers.js';
+
+// Records a short run past two targets, the second one inactive
+function record() {
+    const recorder = new ReplayRecorder();
+    const targets = [0, 1].map(i => {
+        const mesh = new THREE.Object3D();
+        mesh.position.set(i, 2, -10);
+        return { isActive: i === 0, mesh };
+    });
+    const position = new THREE.Vector3(0, 1.6, 0);
+
+    recorder.start({ scenario: loadScenario('reflex'), seed: 42, sensitivity: 1, duration: 60 });
+    [0, 0.05, 0.1].forEach((time, i) => {
+        position.x = i * 0.12345;
+        recorder.recordFrame(time, position, [0.1 * i, -0.05], INPUT.FORWARD | (i === 1 ? INPUT.FIRE : 0), i * 100, targets);
+        if (i === 1) recorder.recordShot(time, true);
+    });
+    return recorder.finish({ score: 200 });
+}
+
+test('frames hold the player, inputs, score and active targets', () => {
+    const replay = record();
+    assert.equal(replay.version, REPLAY_VERSION);
+    assert.equal(replay.seed, 42);
+    assert.equal(replay.frames.length, 3);
+    assert.deepEqual(replay.frames[1], [0.05, 0.123, 1.6, 0, 0.1, -0.05, INPUT.FORWARD | INPUT.FIRE, 100, [0, 0, 2, -10]]);
+    assert.deepEqual(replay.shots, [[0.05, 1]]);
+    assert.deepEqual(replay.projectiles, []);
+    assert.deepEqual(replay.result, { score: 200 });
+});
+
+test('nothing is recorded outside a run', () => {
+    const recorder = new ReplayRecorder();
+    recorder.recordFrame(0, new THREE.Vector3(), [0, 0], 0, 0, []);
+    recorder.recordShot(0, true);
+    assert.equal(recorder.isRecording, false);
+    assert.equal(recorder.finish(null), null);
+});
+
+test('replay files load back', () => {
+    const replay = record();
+    const loaded = parseReplay(serializeReplay(replay));
+    assert.deepEqual(loaded.frames, replay.frames);
+    assert.deepEqual(loaded.shots, replay.shots);
+    assert.deepEqual(loaded.scenario, replay.scenario);
+});
+
+test('broken replay files are rejected with the reason', () => {
+    const replay = record();
+    const broken = (change) => serializeReplay({ ...replay, ...change });
+    assert.throws(() => parseReplay('nope'), ReplayError);
+    assert.throws(() => parseReplay(broken({ version: REPLAY_VERSION + 1 })), /Unsupported replay version/);
+    assert.throws(() => parseReplay(broken({ version: REPLAY_VERSION - 1 })), /Unsupported replay version/);
+    assert.throws(() => parseReplay(broken({ frames: [replay.frames[0]] })), /no frames/);
+    assert.throws(() => parseReplay(broken({ frames: [replay.frames[0], [1, 2, 3]] })), /frame 1 is malformed/);
+    assert.throws(() => parseReplay(broken({ shots: undefined })), /shot list/);
+    assert.throws(() => parseReplay(broken({ projectiles: undefined })), /projectile list/);
+    assert.throws(() => parseReplay(broken({ scenario: { id: 'x' } })), /Invalid scenario/);
+});
+
+test('frames are stored 30 times a second and keep the inputs in between', () => {
+    const { replay } = play(loadScenario('reflex'), { ticks: 1200 });
+    assert.equal(replay.frames.length, 301);
+    assert.equal(replay.frames.at(-1)[0], 10);
+
+    // scriptedInput clicks every 30 ticks, which is not a multiple of 4
+    const fired = replay.frames.filter(frame => frame[6] & INPUT.FIRE).length;
+    assert.equal(fired, replay.shots.length);
+});
+
+test('movement abilities and zoom are recorded with the other inputs', () => {
+    const bits = input => GameCore.getInputBits(input);
+    assert.equal(bits({ jump: true, dash: true }), INPUT.JUMP | INPUT.DASH);
+    assert.equal(bits({ slide: true, zoom: true, sprint: true }), INPUT.SLIDE | INPUT.ZOOM | INPUT.SPRINT);
+    assert.equal(new Set(Object.values(INPUT)).size, Object.keys(INPUT).length);
+
+    // scriptedInput jumps every 90 ticks
+    const { replay } = play(loadScenario('parkour'), { ticks: 900 });
+    assert.equal(replay.frames.filter(frame => frame[6] & INPUT.JUMP).length, 10);
+});
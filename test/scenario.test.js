@@ -0,0 +1,73 @@
+// scenario.test.js - Scenario validation: built-ins pass, mistakes are all reported
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScenario, parseScenario, sortScenarios, ScenarioError } from '../src/Scenario.js';
+import { SCENARIO_IDS, readScenario, loadScenario } from './helpers.js';
+
+// Every problem a ScenarioError lists for `data`
+function errorsOf(data) {
+    try {
+        validateScenario(data, 'test');
+    } catch (e) {
+        if (e instanceof ScenarioError) return e.errors;
+        throw e;
+    }
+    return [];
+}
+
+test('built-in scenarios are valid, and validate again once normalized', () => {
+    assert.ok(SCENARIO_IDS.length > 0);
+    for (const id of SCENARIO_IDS) {
+        const scenario = loadScenario(id);
+        assert.equal(scenario.id, id);
+        assert.deepEqual(validateScenario(JSON.parse(JSON.stringify(scenario)), id), scenario, id);
+    }
+});
+
+test('defaults are filled in without touching the input', () => {
+    const data = readScenario('reflex');
+    delete data.description;
+    delete data.order;
+    delete data.targets.respawnOnKill;
+    delete data.scoring.missPenalty;
+    const before = JSON.stringify(data);
+
+    const scenario = validateScenario(data);
+    assert.equal(scenario.description, '');
+    assert.equal(scenario.order, 100);
+    assert.equal(scenario.targets.respawnOnKill, true);
+    assert.equal(scenario.scoring.missPenalty, 0);
+    assert.equal(JSON.stringify(data), before);
+});
+
+test('every mistake is reported with its path', () => {
+    const data = readScenario('reflex');
+    data.name = '';
+    data.targets.count = 0;
+    data.targets.spawn.min = [0, 10, 0];
+    data.scoring.type = 'headshots';
+    const errors = errorsOf(data);
+    assert.equal(errors.length, 4, errors.join('\n'));
+    for (const path of ['name', 'targets.count', 'targets.spawn', 'scoring.type']) {
+        assert.ok(errors.some(error => error.startsWith(`${path} `)), path);
+    }
+});
+
+test('only runs that can end by themselves may be untimed', () => {
+    const untimed = { ...readScenario('reflex'), duration: null };
+    assert.ok(errorsOf(untimed).some(error => error.startsWith('duration ')));
+    untimed.winCondition = { type: 'kills', target: 10 };
+    assert.deepEqual(errorsOf(untimed), []);
+});
+
+test('files that are not JSON are reported as such', () => {
+    assert.throws(() => parseScenario('{ nope', 'broken.json'), /broken\.json[\s\S]*not valid JSON/);
+});
+
+test('scenarios sort by order, then name', () => {
+    const sorted = sortScenarios([
+        { name: 'b', order: 2 }, { name: 'c', order: 1 }, { name: 'a', order: 2 }
+    ]);
+    assert.deepEqual(sorted.map(s => s.name), ['c', 'a', 'b']);
+});
@@ -0,0 +1,41 @@
+// sensitivity.test.js - Sensitivity conversions between games, ours and cm/360
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BROWSER_YAW, GAME_PRESETS, horizontalFov, cmPer360, inchesPer360, fovRatio, convertFromGame
+} from '../src/Sensitivity.js';
+
+function close(actual, expected, message, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${message ?? ''} ${actual} != ${expected}`);
+}
+
+test('cm/360 follows yaw, sensitivity and DPI', () => {
+    // CS2 at 800 DPI, sensitivity 1: 360 / (0.022 × 800) inches
+    close(inchesPer360(0.022, 800), 360 / 17.6);
+    close(cmPer360(0.022, 800), 360 / 17.6 * 2.54);
+    close(cmPer360(0.022 * 2, 800), cmPer360(0.022, 1600));
+});
+
+test('horizontal FOV from vertical FOV and aspect', () => {
+    close(horizontalFov(90, 1), 90);
+    // Source's 90° at 4:3 is 106.26° at 16:9; both are 73.74° vertical
+    close(horizontalFov(73.7398, 16 / 9), 106.26, 'wide', 0.01);
+});
+
+test('360° distance ignores FOV, monitor distance scales with it', () => {
+    assert.equal(fovRatio(80, 103, '360'), 1);
+    close(fovRatio(103, 103, 'mdm0'), 1);
+    close(fovRatio(103, 103, 'mdm100'), 1);
+    assert.ok(fovRatio(80, 103, 'mdm0') < fovRatio(80, 103, 'mdm100'));
+    assert.ok(fovRatio(80, 103, 'mdm100') < 1);
+});
+
+test('converted sensitivity keeps the game\'s cm/360', () => {
+    const { yaw, fov: gameFov } = GAME_PRESETS.valorant;
+    const speed = convertFromGame({ yaw, sensitivity: 0.4, gameFov, fov: 90 });
+    close(cmPer360(BROWSER_YAW * speed, 800), cmPer360(yaw * 0.4, 800));
+
+    const matched = convertFromGame({ yaw, sensitivity: 0.4, gameFov, fov: gameFov, mode: 'mdm0' });
+    close(matched, speed, 'same FOV');
+});
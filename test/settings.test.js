@@ -0,0 +1,112 @@
+// settings.test.js - Settings profiles: storage, names, files and codes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettingsProfiles, SettingsError, DEFAULT_PROFILE, DEFAULT_SETTINGS, MAX_PROFILE_NAME, SENSITIVITY_RANGE } from '../src/Settings.js';
+import { InputBindings, DEFAULT_BINDINGS } from '../src/InputBindings.js';
+import { memoryStorage } from './helpers.js';
+
+test('a fresh or corrupted store starts with the default profile', () => {
+    const profiles = new SettingsProfiles(memoryStorage());
+    assert.deepEqual(profiles.names, [DEFAULT_PROFILE]);
+    assert.deepEqual(profiles.settings, SettingsProfiles.normalize({}));
+    assert.equal(profiles.settings.sensitivity, DEFAULT_SETTINGS.sensitivity);
+
+    const storage = memoryStorage();
+    storage.setItem('aimthree.settings', '{oops');
+    assert.deepEqual(new SettingsProfiles(storage).names, [DEFAULT_PROFILE]);
+});
+
+test('invalid values fall back to their defaults', () => {
+    const profiles = new SettingsProfiles(memoryStorage());
+    profiles.update({ sensitivity: 2.5, dpi: -4, duration: 45, volumes: { hit: 0.2, miss: 3 } });
+    assert.equal(profiles.settings.sensitivity, 2.5);
+    assert.deepEqual(profiles.settings.volumes, { ...DEFAULT_SETTINGS.volumes, hit: 0.2 });
+    assert.equal(profiles.settings.dpi, DEFAULT_SETTINGS.dpi);
+    assert.equal(profiles.settings.duration, DEFAULT_SETTINGS.duration);
+});
+
+test('sensitivities outside the slider\'s range fall back to the default', () => {
+    const [min, max] = SENSITIVITY_RANGE;
+    assert.equal(SettingsProfiles.normalize({ sensitivity: min }).sensitivity, min);
+    assert.equal(SettingsProfiles.normalize({ sensitivity: max }).sensitivity, max);
+    assert.equal(SettingsProfiles.normalize({ sensitivity: max * 2 }).sensitivity, DEFAULT_SETTINGS.sensitivity);
+    assert.equal(SettingsProfiles.normalize({ sensitivity: min / 2 }).sensitivity, DEFAULT_SETTINGS.sensitivity);
+});
+
+test('profiles are created, selected and deleted, and persist', () => {
+    const storage = memoryStorage();
+    const profiles = new SettingsProfiles(storage);
+    profiles.update({ sensitivity: 3 });
+    assert.equal(profiles.create('  valorant  '), 'valorant');
+    assert.equal(profiles.settings.sensitivity, 3); // Copied from the active profile
+    profiles.update({ sensitivity: 0.4 });
+
+    const again = new SettingsProfiles(storage);
+    assert.deepEqual(again.names, [DEFAULT_PROFILE, 'valorant']);
+    assert.equal(again.active, 'valorant');
+    assert.equal(again.settings.sensitivity, 0.4);
+
+    again.select(DEFAULT_PROFILE);
+    assert.equal(again.settings.sensitivity, 3);
+    assert.equal(again.delete(DEFAULT_PROFILE), true);
+    assert.equal(again.active, 'valorant');
+    assert.equal(again.delete('valorant'), false); // The last one stays
+});
+
+test('profile names must be new, non-empty and short', () => {
+    const profiles = new SettingsProfiles(memoryStorage());
+    for (const name of ['', '   ', DEFAULT_PROFILE, 'x'.repeat(100), 7]) {
+        assert.throws(() => profiles.checkName(name), SettingsError, String(name));
+    }
+    assert.equal(profiles.freeName(DEFAULT_PROFILE), `${DEFAULT_PROFILE} (2)`);
+    assert.equal(profiles.freeName(''), 'imported');
+});
+
+test('free names stay within the length limit', () => {
+    const profiles = new SettingsProfiles(memoryStorage());
+    const name = 'x'.repeat(MAX_PROFILE_NAME + 5);
+    for (let i = 0; i < 12; i++) {
+        const free = profiles.freeName(name);
+        assert.ok(free.length <= MAX_PROFILE_NAME, free);
+        profiles.create(free);
+    }
+    assert.ok(profiles.names.includes(`${'x'.repeat(MAX_PROFILE_NAME - 5)} (12)`));
+});
+
+test('profile files carry settings and bindings', () => {
+    const settings = SettingsProfiles.normalize({ sensitivity: 1.25, dpi: 400 });
+    const bindings = InputBindings.normalize({ ...DEFAULT_BINDINGS, reload: ['KeyE'] });
+    const file = SettingsProfiles.fromFile(SettingsProfiles.toFile('mine', settings, bindings));
+    assert.deepEqual(file, { name: 'mine', settings, bindings });
+
+    assert.throws(() => SettingsProfiles.fromFile('not json'), SettingsError);
+    assert.throws(() => SettingsProfiles.fromFile('{"format":"something-else"}'), SettingsError);
+});
+
+test('profile codes carry settings and changed bindings', () => {
+    const settings = SettingsProfiles.normalize({
+        ...DEFAULT_SETTINGS,
+        sensitivity: 1.75,
+        dpi: 1600,
+        volume: 0.3,
+        volumes: { ...DEFAULT_SETTINGS.volumes, weapon: 0.3, targets: 0 },
+        abilities: { ...DEFAULT_SETTINGS.abilities, dash: true, slide: true }
+    });
+    const bindings = InputBindings.normalize({ ...DEFAULT_BINDINGS, jump: ['KeyF'] });
+    const code = SettingsProfiles.toCode(settings, bindings);
+    assert.ok(code.startsWith('AT1-'));
+    assert.ok(code.length < SettingsProfiles.toCode(settings, InputBindings.normalize({ ...DEFAULT_BINDINGS, jump: ['KeyF'], fire: ['Mouse1'] })).length);
+
+    const loaded = SettingsProfiles.fromCode(`  ${code}\n`);
+    assert.deepEqual(loaded.settings, settings);
+    assert.deepEqual(loaded.bindings, bindings);
+
+});
+
+test('codes with another layout are rejected', () => {
+    const short = 'AT1-' + btoa(JSON.stringify([1, 0, 60, 50, 800])).replace(/=+$/, '');
+    assert.throws(() => SettingsProfiles.fromCode(short), SettingsError);
+    assert.throws(() => SettingsProfiles.fromCode('AT1-???'), SettingsError);
+    assert.throws(() => SettingsProfiles.fromCode('XH1-1.2.3'), SettingsError);
+});
@@ -0,0 +1,64 @@
+// shotanalysis.test.js - Shot offsets in target radii and over/undershoot
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ShotAnalysis } from '../src/ShotAnalysis.js';
+
+// Stand-in for a Target: an active mesh of radius `radius` at `position`
+function target(position, radius = 0.5) {
+    const mesh = new THREE.Object3D();
+    mesh.position.set(...position);
+    mesh.scale.setScalar(radius);
+    return { isActive: true, mesh };
+}
+
+function look(camera, yaw, pitch) {
+    camera.quaternion.setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+}
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test('offsets are measured in target radii from the nearest target', () => {
+    const camera = new THREE.PerspectiveCamera();
+    const distance = 10;
+    const radius = 0.5;
+    const angularRadius = Math.atan2(radius, distance);
+    const targets = [target([0, 0, -distance], radius), target([20, 0, 0], radius)];
+
+    // One radius right of and half a radius above the target in front
+    look(camera, -angularRadius, angularRadius / 2);
+    const shot = new ShotAnalysis().recordShot(camera, targets, false);
+    close(shot.x, 1, 'x');
+    close(shot.y, 0.5, 'y');
+});
+
+test('the aim path leads up to the shot and flicks are classified', () => {
+    const camera = new THREE.PerspectiveCamera();
+    const analysis = new ShotAnalysis();
+    const angularRadius = Math.atan2(0.5, 10);
+    const targets = [target([0, 0, -10])];
+
+    // Flick from the left, ending past the target on the right
+    [-5, -3, -1, 0.5].forEach(x => {
+        look(camera, -x * angularRadius, 0);
+        analysis.sampleAim(camera);
+    });
+    look(camera, -2 * angularRadius, 0);
+    const shot = analysis.recordShot(camera, targets, false);
+    assert.equal(shot.path.length, 5);
+    close(shot.path[0][0], -5, 'path start');
+    assert.equal(ShotAnalysis.classify(shot, 0), 'over');
+    assert.equal(ShotAnalysis.classify(shot, 1), null); // No vertical flick
+
+    const summary = analysis.summarize();
+    assert.deepEqual(summary.horizontal, { over: 1, under: 0 });
+    assert.equal(summary.misses, 1);
+    assert.match(ShotAnalysis.describe(summary).join(' '), /past the target horizontally.*biased right/);
+});
+
+test('shots with no active target are not recorded', () => {
+    const analysis = new ShotAnalysis();
+    assert.equal(analysis.recordShot(new THREE.PerspectiveCamera(), [], true), null);
+    assert.deepEqual(ShotAnalysis.describe(analysis.summarize()), ['No shots recorded.']);
+});
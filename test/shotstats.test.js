@@ -0,0 +1,52 @@
+// shotstats.test.js - Reaction time, time to kill and miss streaks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShotStats } from '../src/ShotStats.js';
+
+test('reaction time runs from spawn to the first click, wherever it went', () => {
+    const stats = new ShotStats();
+    const a = {};
+    const b = {};
+    stats.recordSpawn(a, 0);
+    stats.recordSpawn(b, 1);
+    stats.recordShot(1.5, null); // Miss: first shot for both
+    stats.recordShot(2, a);
+    const summary = stats.summarize(10);
+    assert.equal(summary.reactionTime, (1.5 + 0.5) / 2);
+    assert.equal(summary.kills, 1);
+    assert.equal(summary.ttkAverage, 2);
+    assert.equal(summary.killsPerSecond, 0.1);
+});
+
+test('time to kill statistics and histogram', () => {
+    const stats = new ShotStats();
+    [0.15, 0.25, 0.35, 0.45, 5].forEach((ttk, i) => {
+        const target = {};
+        stats.recordSpawn(target, i * 10);
+        stats.recordShot(i * 10 + ttk, target);
+    });
+    const summary = stats.summarize(50);
+    assert.equal(summary.kills, 5);
+    assert.ok(Math.abs(summary.ttkMedian - 0.35) < 1e-9);
+    assert.ok(Math.abs(summary.ttkP90 - 5) < 1e-9);
+    assert.equal(summary.ttkDistribution.reduce((sum, n) => sum + n, 0), 5);
+    assert.equal(summary.ttkDistribution[1], 1); // 0.1 .. 0.2
+    assert.equal(summary.ttkDistribution.at(-1), 1); // Slow kills end up in the last bucket
+});
+
+test('longest miss streak, and empty runs', () => {
+    const stats = new ShotStats();
+    const target = {};
+    stats.recordSpawn(target, 0);
+    [null, null, null].forEach(hit => stats.recordShot(1, hit));
+    stats.recordShot(2, target);
+    stats.recordShot(3, null);
+    assert.equal(stats.summarize(5).longestMissStreak, 3);
+
+    stats.reset();
+    const empty = stats.summarize(0);
+    assert.equal(empty.reactionTime, null);
+    assert.equal(empty.ttkAverage, null);
+    assert.equal(empty.killsPerSecond, 0);
+});
@@ -0,0 +1,50 @@
+// soundpacks.test.js - Reading sound packs from a manifest and the files it names
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSoundPack, SoundPackError, MAX_PACK_NAME } from '../src/SoundPacks.js';
+
+const manifest = data => new File([JSON.stringify(data)], 'pack.json');
+const audio = (name, bytes = 4) => new File([new Uint8Array(bytes)], name);
+
+// The SoundPackError's message, or null if the pack was read
+async function problems(files) {
+    try {
+        await readSoundPack(files);
+        return null;
+    } catch (e) {
+        if (e instanceof SoundPackError) return e.message;
+        throw e;
+    }
+}
+
+test('a pack holds the audio of every event its manifest names', async () => {
+    const pack = await readSoundPack([
+        manifest({ name: ' Mine ', sounds: { hit: 'hit.wav', shoot: 'shots\\ak.ogg' } }),
+        audio('hit.wav', 3),
+        audio('ak.ogg', 5),
+        audio('unused.wav')
+    ]);
+    assert.equal(pack.name, 'Mine');
+    assert.deepEqual(pack.files, { hit: 'hit.wav', shoot: 'ak.ogg' });
+    assert.equal(pack.data.hit.byteLength, 3);
+    assert.equal(pack.data.shoot.byteLength, 5);
+});
+
+test('exactly one valid manifest is needed', async () => {
+    assert.match(await problems([audio('hit.wav')]), /manifest/);
+    assert.match(await problems([manifest({}), manifest({})]), /only one/);
+    assert.match(await problems([new File(['{nope'], 'pack.json')]), /not valid JSON/);
+    assert.match(await problems([manifest({ name: 'x', sounds: {} })]), /at least one event/);
+});
+
+test('every problem with the manifest is listed', async () => {
+    const message = await problems([
+        manifest({ name: 'x'.repeat(MAX_PACK_NAME + 1), sounds: { bang: 'a.wav', hit: 'missing.wav', miss: 'big.wav' } }),
+        { name: 'big.wav', size: 6 * 1024 * 1024 }
+    ]);
+    assert.match(message, /name must be/);
+    assert.match(message, /sounds\.bang is not an event/);
+    assert.match(message, /"missing\.wav" wasn't among the files/);
+    assert.match(message, /"big\.wav" is larger than/);
+});
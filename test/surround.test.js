@@ -0,0 +1,54 @@
+// surround.test.js - Surround layouts: targets spawn around the player, out of view
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameCore } from '../src/GameCore.js';
+import { validateScenario } from '../src/Scenario.js';
+import { readScenario, loadScenario, aimAt } from './helpers.js';
+
+test('360 targets spawn on the ring, outside the view cone', () => {
+    const scenario = loadScenario('reflex-360');
+    const { minDistance, maxDistance, minHeight, maxHeight } = scenario.targets.layout;
+    const core = new GameCore();
+    const spawned = [];
+    core.addEventListener('spawn', event => spawned.push(event.spawned));
+    core.start(scenario, { seed: 'surround' });
+
+    // Half the angle through the screen corners: anything wider is off screen
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(core.camera.fov / 2));
+    const corner = Math.atan(Math.hypot(halfHeight, halfHeight * core.camera.aspect));
+
+    for (let kill = 0; kill < 20; kill++) {
+        const target = core.targets.find(t => t.isActive);
+        const position = target.mesh.position;
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(core.camera.quaternion);
+        const toTarget = position.clone().sub(core.position);
+        assert.ok(toTarget.angleTo(forward) > corner, `spawn ${kill} is in view`);
+        const flat = Math.hypot(toTarget.x, toTarget.z);
+        assert.ok(flat >= minDistance - 1e-9 && flat <= maxDistance + 1e-9, `${flat}`);
+        assert.ok(position.y >= minHeight && position.y <= maxHeight);
+
+        core.step({ ...aimAt(core, position), fire: true });
+        for (let i = 0; i < 30; i++) core.step({});
+    }
+    assert.equal(core.kills, 20);
+    assert.equal(spawned.length, 21);
+    assert.ok(spawned.every(target => core.targets.includes(target)));
+});
+
+test('surround layouts and cue intervals are validated', () => {
+    const data = readScenario('reflex-360');
+    data.targets.layout.minDistance = 20;
+    data.targets.layout.minHeight = 9;
+    data.targets.cueInterval = 0;
+    assert.throws(() => validateScenario(data), error => {
+        for (const path of ['targets.layout.minDistance', 'targets.layout.minHeight', 'targets.cueInterval']) {
+            assert.ok(error.errors.some(e => e.startsWith(`${path} `)), path);
+        }
+        return true;
+    });
+
+    assert.equal(loadScenario('reflex-360').targets.layout.outsideView, true);
+    assert.equal('cueInterval' in loadScenario('reflex').targets, false);
+});
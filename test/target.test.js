@@ -0,0 +1,39 @@
+// target.test.js - Targets on the fixed timestep: seeded motion and render interpolation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Target } from '../src/Target.js';
+import { Random } from '../src/Random.js';
+import { loadScenario } from './helpers.js';
+
+const STEP = 1 / 120;
+
+function spawn(scenarioId, seed) {
+    const target = new Target(new THREE.Scene());
+    target.spawn(new THREE.Vector3(0, 2, -10), new Random(seed), loadScenario(scenarioId).targets);
+    return target;
+}
+
+test('moving targets follow the same path for the same seed', () => {
+    const a = spawn('tracking', 7);
+    const b = spawn('tracking', 7);
+    const c = spawn('tracking', 8);
+    for (let i = 0; i < 600; i++) [a, b, c].forEach(target => target.update(STEP));
+    assert.deepEqual(a.mesh.position.toArray(), b.mesh.position.toArray());
+    assert.notDeepEqual(a.mesh.position.toArray(), c.mesh.position.toArray());
+    assert.notDeepEqual(a.mesh.position.toArray(), [0, 2, -10]);
+});
+
+test('the mesh renders between ticks and returns to the simulated position', () => {
+    const target = spawn('tracking', 1);
+    target.savePrevious();
+    const from = target.mesh.position.clone();
+    target.update(STEP);
+    const to = target.mesh.position.clone();
+
+    target.interpolate(0.25);
+    assert.ok(target.mesh.position.distanceTo(from.clone().lerp(to, 0.25)) < 1e-9);
+    target.restoreSimulation();
+    assert.deepEqual(target.mesh.position.toArray(), to.toArray());
+});
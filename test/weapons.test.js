@@ -0,0 +1,124 @@
+// weapons.test.js - Fire modes, fire rate, magazines, reloads and spread
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameCore, FIXED_STEP } from '../src/GameCore.js';
+import { WEAPONS } from '../src/Weapons.js';
+import { validateScenario } from '../src/Scenario.js';
+import { readScenario, loadScenario } from './helpers.js';
+
+// A reflex run with `weapon`, collecting 'shot', 'dryfire' and 'reload' events
+function armed(weapon) {
+    const core = new GameCore();
+    const events = [];
+    ['shot', 'dryfire', 'reload'].forEach(type => core.addEventListener(type, event => events.push(event)));
+    core.start(loadScenario('reflex'), { seed: weapon, weapon: WEAPONS[weapon] });
+    return { core, events, count: type => events.filter(e => e.type === type).length };
+}
+
+function hold(core, seconds, input) {
+    for (let t = 0; t < seconds - 1e-9; t += FIXED_STEP) core.step(input);
+}
+
+test('semi-automatic weapons fire once per click, no faster than their rate', () => {
+    const { core, count } = armed('pistol');
+    hold(core, 1, { trigger: true });
+    assert.equal(count('shot'), 0);
+
+    core.step({ fire: true, trigger: true });
+    core.step({ fire: true, trigger: true }); // Second click inside 60 / fireRate seconds
+    assert.equal(count('shot'), 1);
+    hold(core, 60 / WEAPONS.pistol.fireRate, {});
+    core.step({ fire: true });
+    assert.equal(count('shot'), 2);
+});
+
+test('automatic weapons fire at their rate while the trigger is held', () => {
+    const { core, count } = armed('rifle');
+    hold(core, 1, { trigger: true });
+    assert.ok(Math.abs(count('shot') - WEAPONS.rifle.fireRate / 60) <= 1, `${count('shot')} shots`);
+});
+
+test('burst weapons fire a whole burst per click, then pause', () => {
+    const { burstCount, burstDelay, fireRate } = WEAPONS.burst;
+    const { core, count } = armed('burst');
+    core.step({ fire: true });
+    hold(core, (burstCount - 1) * 60 / fireRate + burstDelay / 2, {});
+    assert.equal(count('shot'), burstCount);
+
+    core.step({ fire: true }); // Still inside burstDelay
+    assert.equal(count('shot'), burstCount);
+    hold(core, burstDelay / 2 + FIXED_STEP, {});
+    core.step({ fire: true });
+    assert.equal(count('shot'), burstCount + 1);
+});
+
+test('an empty magazine clicks and reloads', () => {
+    const { magazine, reloadTime } = WEAPONS.rifle;
+    const { core, count } = armed('rifle');
+    hold(core, 5, { trigger: true });
+    assert.equal(count('shot'), magazine);
+    assert.equal(core.ammo, 0);
+
+    core.step({ fire: true });
+    assert.equal(count('dryfire'), 1);
+    assert.ok(core.isReloading);
+    hold(core, reloadTime + FIXED_STEP, {});
+    assert.equal(core.isReloading, false);
+    assert.equal(core.ammo, magazine);
+    assert.equal(count('reload'), 2); // Started and done
+});
+
+test('reloading only happens with rounds missing, and blocks firing', () => {
+    const { core, count } = armed('pistol');
+    core.step({ reload: true });
+    assert.equal(core.isReloading, false);
+
+    core.step({ fire: true });
+    hold(core, 0.5, {});
+    core.step({ reload: true });
+    assert.ok(core.isReloading);
+    core.step({ fire: true });
+    assert.equal(count('shot'), 1);
+
+    // Unlimited ammo never reloads
+    const classic = armed('classic').core;
+    classic.step({ fire: true });
+    classic.step({ reload: true });
+    assert.equal(classic.isReloading, false);
+});
+
+test('spread blooms with each shot, caps, recovers, and grows with movement', () => {
+    const rifle = WEAPONS.rifle;
+    const { core, events } = armed('rifle');
+    assert.equal(core.getSpread({}), rifle.firstShotSpread);
+    core.step({ fire: true });
+    assert.equal(core.bloom, rifle.spreadPerShot);
+
+    let previous = core.bloom;
+    for (let i = 0; i < 240; i++) {
+        core.step({ trigger: true });
+        if (core.firedThisTick) assert.ok(core.bloom > previous || core.bloom === rifle.maxSpread);
+        assert.ok(core.bloom <= rifle.maxSpread);
+        previous = core.bloom;
+    }
+    const aim = new THREE.Vector3(0, 0, -1).applyQuaternion(core.camera.quaternion);
+    events.filter(e => e.type === 'shot').forEach(shot => {
+        const degrees = THREE.MathUtils.radToDeg(shot.direction.angleTo(aim));
+        assert.ok(degrees <= rifle.maxSpread + 1e-9, `${degrees}°`);
+    });
+
+    hold(core, core.bloom / rifle.spreadRecovery + FIXED_STEP, {});
+    assert.equal(core.bloom, 0);
+
+    core.velocity.set(100, 0, 0);
+    assert.equal(core.getSpread({}), rifle.firstShotSpread + rifle.moveSpread);
+    assert.equal(core.getSpread({ sprint: true }), rifle.firstShotSpread + rifle.sprintSpread);
+});
+
+test('scenarios pick a weapon, classic by default', () => {
+    assert.equal(loadScenario('reflex').weapon, 'classic');
+    const data = { ...readScenario('reflex'), weapon: 'railgun' };
+    assert.throws(() => validateScenario(data), error => error.errors.some(e => e.startsWith('weapon ')));
+});
@@ -0,0 +1,66 @@
+// zones.test.js - Humanoid targets: hit zones, damage, health and headshot scoring
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameCore } from '../src/GameCore.js';
+import { loadScenario, aimAt } from './helpers.js';
+
+// Torso centre of a humanoid target, in world units (parts are in units of the radius)
+function torsoOf(target) {
+    return target.mesh.position.clone().add(new THREE.Vector3(0, -2.8 * target.mesh.scale.y, 0));
+}
+
+function startHeadshot(seed) {
+    const core = new GameCore();
+    core.start(loadScenario('headshot'), { seed });
+    return core;
+}
+
+test('a headshot kills at once and scores the multiplier', () => {
+    const core = startHeadshot('head');
+    const { pointsPerHit, headshotMultiplier } = core.scenario.scoring;
+    const shots = [];
+    core.addEventListener('shot', event => shots.push(event));
+
+    const target = core.targets.find(t => t.isActive);
+    core.step({ ...aimAt(core, target.mesh.position), fire: true });
+    assert.equal(shots[0].zone, 'head');
+    assert.equal(shots[0].killed, true);
+    assert.equal(core.kills, 1);
+    assert.equal(core.score, pointsPerHit * headshotMultiplier);
+    assert.equal(core.zoneStats.head, 1);
+});
+
+test('body shots wear health down until the target dies', () => {
+    const core = startHeadshot('torso');
+    const { health, damage } = core.scenario.targets;
+    const target = core.targets.find(t => t.isActive);
+    const aim = aimAt(core, torsoOf(target));
+    const shotsToKill = Math.ceil(health / damage.torso);
+
+    for (let shot = 1; shot < shotsToKill; shot++) {
+        core.step({ ...aim, fire: true });
+        for (let i = 0; i < 30; i++) core.step(aim); // Trigger released between clicks
+        assert.equal(target.health, health - shot * damage.torso);
+        assert.equal(core.kills, 0);
+    }
+    core.step({ ...aim, fire: true });
+    assert.equal(core.kills, 1);
+    assert.equal(core.shotsHit, shotsToKill);
+    assert.equal(core.zoneStats.torso, shotsToKill);
+    assert.equal(core.score, shotsToKill * core.scenario.scoring.pointsPerHit);
+});
+
+test('the end screen breaks hits down by zone, only for humanoids', () => {
+    const core = startHeadshot('summary');
+    const target = core.targets.find(t => t.isActive);
+    core.step({ ...aimAt(core, target.mesh.position), fire: true });
+    core.finish(false);
+    assert.deepEqual(core.result.zones, { unit: 'hits', values: { head: 1, torso: 0, limbs: 0 } });
+
+    const sphere = new GameCore();
+    sphere.start(loadScenario('reflex'), { seed: 'summary' });
+    sphere.finish(false);
+    assert.equal(sphere.result.zones, null);
+});